@@ -9,12 +9,35 @@ CREATE TABLE users (
     email VARCHAR(100) UNIQUE NOT NULL,
     password VARCHAR(255) NOT NULL,
     phone VARCHAR(15),
-    role ENUM('customer', 'farmer', 'admin') NOT NULL DEFAULT 'customer',
+    role ENUM('customer', 'farmer', 'admin', 'delivery') NOT NULL DEFAULT 'customer',
+    price_group ENUM('retail', 'wholesale', 'institutional') NOT NULL DEFAULT 'retail', -- picks the price tiers a customer gets
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     is_active BOOLEAN DEFAULT TRUE
 );
 
+-- Customer address book
+CREATE TABLE user_addresses (
+    address_id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    label VARCHAR(50), -- e.g. Home, Shop
+    recipient_name VARCHAR(100),
+    phone VARCHAR(15),
+    house VARCHAR(100) NOT NULL,
+    street VARCHAR(150),
+    city VARCHAR(100) NOT NULL, -- village or city
+    district VARCHAR(100),
+    state VARCHAR(50) NOT NULL,
+    pincode CHAR(6) NOT NULL,
+    landmark VARCHAR(150),
+    latitude DECIMAL(10,7),
+    longitude DECIMAL(10,7),
+    is_default BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
+
 -- Farmers table for farmer-specific information
 CREATE TABLE farmers (
     farmer_id INT PRIMARY KEY AUTO_INCREMENT,
@@ -53,11 +76,189 @@ CREATE TABLE products (
     product_id INT PRIMARY KEY AUTO_INCREMENT,
     name VARCHAR(100) NOT NULL,
     description TEXT,
+    image_url VARCHAR(255), -- shared image, used when a variant has none
+    image_sizes JSON, -- thumbnail, card and full versions: { width, height, webp, jpeg }
+    category ENUM('milk', 'paneer', 'buttermilk', 'ghee', 'curd', 'other') NOT NULL,
+    hsn_code VARCHAR(8), -- falls back to a per-category default on invoices
+    gst_rate DECIMAL(5,2), -- percent, prices are GST-inclusive
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Pack sizes of a product (e.g. Cow Milk 500ml and 1L); carts, orders and
+-- subscriptions refer to a variant, which has its own price and stock
+CREATE TABLE product_variants (
+    variant_id INT PRIMARY KEY AUTO_INCREMENT,
+    product_id INT NOT NULL,
+    sku VARCHAR(50) NOT NULL UNIQUE,
+    size_label VARCHAR(50), -- e.g. '500ml'; NULL for products sold in one size
+    unit ENUM('liter', 'kg', 'piece', 'packet') NOT NULL DEFAULT 'liter',
     price DECIMAL(10,2) NOT NULL,
     stock INT NOT NULL DEFAULT 0,
+    reorder_level INT NULL, -- alert below this stock; NULL uses DEFAULT_REORDER_LEVEL
+    target_level INT NULL, -- stock to refill to; NULL derives it from recent sales
+    low_stock_alerted_at DATETIME NULL, -- set while below the reorder level so the alert goes out once
     image_url VARCHAR(255),
-    category ENUM('milk', 'paneer', 'buttermilk', 'ghee', 'curd', 'other') NOT NULL,
-    unit ENUM('liter', 'kg', 'piece', 'packet') NOT NULL DEFAULT 'liter',
+    image_sizes JSON,
+    sort_order INT NOT NULL DEFAULT 0,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES products(product_id) ON DELETE CASCADE
+);
+
+-- Production batches of a variant. Orders take stock from the batch expiring
+-- first; the expiry job writes off whatever is left once a batch expires.
+-- product_variants.stock stays the total, including stock received before
+-- batches were tracked.
+CREATE TABLE stock_batches (
+    batch_id INT PRIMARY KEY AUTO_INCREMENT,
+    variant_id INT NOT NULL,
+    batch_code VARCHAR(50) NOT NULL, -- as printed on the pack
+    production_date DATE NOT NULL,
+    expiry_date DATE NOT NULL,
+    quantity INT NOT NULL, -- received
+    remaining_quantity INT NOT NULL,
+    written_off_quantity INT NOT NULL DEFAULT 0,
+    status ENUM('active', 'expired') NOT NULL DEFAULT 'active',
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (variant_id) REFERENCES product_variants(variant_id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    UNIQUE KEY unique_variant_batch (variant_id, batch_code)
+);
+
+-- Stock ledger: one row per change to a variant's stock, with what caused it
+-- and the balance it left. quantity is negative for stock going out.
+CREATE TABLE stock_movements (
+    movement_id INT PRIMARY KEY AUTO_INCREMENT,
+    variant_id INT NOT NULL,
+    movement_type ENUM('sale', 'cancellation', 'production', 'wastage', 'spoilage', 'correction') NOT NULL,
+    quantity INT NOT NULL,
+    balance_after INT NOT NULL,
+    batch_id INT,
+    reference_type ENUM('order', 'batch', 'complaint', 'adjustment'),
+    reference_id INT, -- order, batch or complaint id
+    note VARCHAR(255), -- reason for manual adjustments
+    created_by INT, -- NULL for background jobs
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (variant_id) REFERENCES product_variants(variant_id) ON DELETE CASCADE,
+    FOREIGN KEY (batch_id) REFERENCES stock_batches(batch_id) ON DELETE SET NULL,
+    FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+-- Quantity-break prices per variant. A tier applies from min_quantity units to
+-- customers of its price group (or to everyone when price_group is NULL);
+-- orders get the lowest applicable price.
+CREATE TABLE product_price_tiers (
+    tier_id INT PRIMARY KEY AUTO_INCREMENT,
+    variant_id INT NOT NULL,
+    price_group ENUM('retail', 'wholesale', 'institutional'),
+    min_quantity INT NOT NULL DEFAULT 1,
+    price DECIMAL(10,2) NOT NULL,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (variant_id) REFERENCES product_variants(variant_id) ON DELETE CASCADE,
+    UNIQUE KEY unique_variant_tier (variant_id, price_group, min_quantity)
+);
+
+-- Recurring milk subscriptions (daily, alternate days or weekly on chosen weekdays)
+CREATE TABLE subscriptions (
+    subscription_id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    frequency ENUM('daily', 'alternate_days', 'weekly') NOT NULL DEFAULT 'daily',
+    weekdays VARCHAR(20), -- comma-separated 0-6 (Sunday = 0), used by weekly subscriptions
+    start_date DATE NOT NULL,
+    end_date DATE,
+    status ENUM('active', 'paused', 'cancelled') NOT NULL DEFAULT 'active',
+    delivery_address TEXT NOT NULL,
+    delivery_pincode VARCHAR(6), -- picks the delivery zone and slot of each day's order
+    phone VARCHAR(15) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
+
+-- Products and quantities delivered on each subscription day
+CREATE TABLE subscription_items (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    subscription_id INT NOT NULL,
+    product_id INT NOT NULL,
+    variant_id INT NOT NULL,
+    quantity INT NOT NULL,
+    FOREIGN KEY (subscription_id) REFERENCES subscriptions(subscription_id) ON DELETE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES products(product_id) ON DELETE CASCADE,
+    FOREIGN KEY (variant_id) REFERENCES product_variants(variant_id) ON DELETE CASCADE,
+    UNIQUE KEY unique_subscription_variant (subscription_id, variant_id)
+);
+
+-- Single delivery days the customer has skipped
+CREATE TABLE subscription_skips (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    subscription_id INT NOT NULL,
+    skip_date DATE NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (subscription_id) REFERENCES subscriptions(subscription_id) ON DELETE CASCADE,
+    UNIQUE KEY unique_subscription_skip (subscription_id, skip_date)
+);
+
+-- Vacation holds (inclusive date ranges with no deliveries)
+CREATE TABLE subscription_holds (
+    hold_id INT PRIMARY KEY AUTO_INCREMENT,
+    subscription_id INT NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    reason VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (subscription_id) REFERENCES subscriptions(subscription_id) ON DELETE CASCADE
+);
+
+-- Server-side shopping cart, one line per variant
+CREATE TABLE cart_items (
+    cart_item_id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    product_id INT NOT NULL,
+    variant_id INT NOT NULL,
+    quantity INT NOT NULL,
+    price_at_add DECIMAL(10,2) NOT NULL, -- price the customer last saw, for price-change warnings
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_cart_user_variant (user_id, variant_id),
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES products(product_id) ON DELETE CASCADE,
+    FOREIGN KEY (variant_id) REFERENCES product_variants(variant_id) ON DELETE CASCADE
+);
+
+-- Delivery rounds customers book at checkout (e.g. morning and evening van runs)
+CREATE TABLE delivery_slots (
+    slot_id INT PRIMARY KEY AUTO_INCREMENT,
+    slot_date DATE NOT NULL,
+    label VARCHAR(50) NOT NULL,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    area VARCHAR(100),
+    pincodes VARCHAR(255), -- comma-separated; NULL means every pincode
+    max_orders INT, -- NULL means no limit
+    max_liters DECIMAL(10,2), -- liters of products sold by the liter; NULL means no limit
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Areas we deliver to, as a pincode list or a radius (km) from the dairy
+-- (DAIRY_LATITUDE/DAIRY_LONGITUDE). With no active zones every address is served.
+CREATE TABLE delivery_zones (
+    zone_id INT PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(100) NOT NULL,
+    zone_type ENUM('pincodes', 'radius') NOT NULL DEFAULT 'pincodes',
+    pincodes VARCHAR(500), -- comma-separated, for pincode zones
+    radius_km DECIMAL(6,2), -- for radius zones; needs the address's coordinates
+    min_order_value DECIMAL(10,2) NOT NULL DEFAULT 0,
+    delivery_charge DECIMAL(10,2) NOT NULL DEFAULT 0,
+    free_delivery_above DECIMAL(10,2), -- orders of this value or more pay no delivery charge
+    delivery_days VARCHAR(20), -- comma-separated 0-6 (Sunday = 0); NULL means every day
     is_active BOOLEAN DEFAULT TRUE,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
@@ -68,14 +269,37 @@ CREATE TABLE orders (
     order_id INT PRIMARY KEY AUTO_INCREMENT,
     user_id INT NOT NULL,
     total_amount DECIMAL(10,2) NOT NULL,
+    discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0, -- coupon discounts already taken off total_amount
+    wallet_amount DECIMAL(10,2) NOT NULL DEFAULT 0, -- part of total_amount paid from the customer's wallet
+    delivery_charge DECIMAL(10,2) NOT NULL DEFAULT 0, -- included in total_amount
+    zone_id INT, -- delivery zone the address fell in
     payment_status ENUM('pending', 'completed', 'failed', 'refunded') DEFAULT 'pending',
-    payment_id VARCHAR(100), -- Razorpay payment ID
+    payment_method ENUM('razorpay', 'cod', 'upi_on_delivery') NOT NULL DEFAULT 'razorpay',
+    payment_id VARCHAR(100), -- Razorpay payment ID; only set for online payments
+    razorpay_order_id VARCHAR(100), -- Razorpay order ID created at checkout
     order_status ENUM('placed', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled') DEFAULT 'placed',
     delivery_address TEXT NOT NULL,
+    delivery_state VARCHAR(50), -- place of supply for GST (defaults to the seller's state)
+    delivery_pincode VARCHAR(6),
     phone VARCHAR(15) NOT NULL,
+    address_id INT, -- saved address the order was placed with
+    address_snapshot JSON, -- copy of that address at order time
+    slot_id INT, -- delivery slot booked at checkout
+    subscription_id INT, -- set for orders generated by the subscription scheduler
+    reservation_status ENUM('held', 'committed', 'released') NOT NULL DEFAULT 'committed', -- stock hold for unpaid orders
+    reserved_until DATETIME, -- unpaid 'held' orders are cancelled after this
+    collected_amount DECIMAL(10,2), -- cash/UPI collected at the doorstep
+    collected_at DATETIME,
+    collected_by INT, -- admin or delivery agent who recorded the collection
+    collection_reference VARCHAR(100), -- UPI transaction or receipt number of the doorstep collection
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (subscription_id) REFERENCES subscriptions(subscription_id) ON DELETE SET NULL,
+    FOREIGN KEY (address_id) REFERENCES user_addresses(address_id) ON DELETE SET NULL,
+    FOREIGN KEY (slot_id) REFERENCES delivery_slots(slot_id) ON DELETE SET NULL,
+    FOREIGN KEY (zone_id) REFERENCES delivery_zones(zone_id) ON DELETE SET NULL,
+    FOREIGN KEY (collected_by) REFERENCES users(user_id) ON DELETE SET NULL
 );
 
 -- Order items for detailed order information
@@ -83,10 +307,151 @@ CREATE TABLE order_items (
     item_id INT PRIMARY KEY AUTO_INCREMENT,
     order_id INT NOT NULL,
     product_id INT NOT NULL,
+    variant_id INT NOT NULL,
     quantity INT NOT NULL,
     price DECIMAL(10,2) NOT NULL, -- price at time of order
+    price_tier_id INT, -- tier the price came from (NULL for the list price)
+    price_rule VARCHAR(100), -- e.g. 'wholesale 10+' or 'list price'
     FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE,
-    FOREIGN KEY (product_id) REFERENCES products(product_id) ON DELETE CASCADE
+    FOREIGN KEY (product_id) REFERENCES products(product_id) ON DELETE CASCADE,
+    FOREIGN KEY (variant_id) REFERENCES product_variants(variant_id) ON DELETE CASCADE,
+    FOREIGN KEY (price_tier_id) REFERENCES product_price_tiers(tier_id) ON DELETE SET NULL
+);
+
+-- Batches each order item's stock was taken from
+CREATE TABLE order_item_batches (
+    item_id INT NOT NULL,
+    batch_id INT NOT NULL,
+    quantity INT NOT NULL,
+    PRIMARY KEY (item_id, batch_id),
+    FOREIGN KEY (item_id) REFERENCES order_items(item_id) ON DELETE CASCADE,
+    FOREIGN KEY (batch_id) REFERENCES stock_batches(batch_id) ON DELETE CASCADE
+);
+
+-- Every order status change; from_status is NULL for the order's first entry
+CREATE TABLE order_status_history (
+    history_id INT PRIMARY KEY AUTO_INCREMENT,
+    order_id INT NOT NULL,
+    from_status ENUM('placed', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'),
+    to_status ENUM('placed', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled') NOT NULL,
+    changed_by INT, -- NULL for changes made by background jobs
+    actor_role ENUM('customer', 'admin', 'delivery', 'system') NOT NULL DEFAULT 'system',
+    note VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE,
+    FOREIGN KEY (changed_by) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+-- Orders handed to a delivery agent for a day's run. A failed attempt can be
+-- assigned again for a later date.
+CREATE TABLE delivery_assignments (
+    assignment_id INT PRIMARY KEY AUTO_INCREMENT,
+    order_id INT NOT NULL,
+    agent_id INT NOT NULL,
+    run_date DATE NOT NULL,
+    status ENUM('assigned', 'delivered', 'failed') NOT NULL DEFAULT 'assigned',
+    failure_reason VARCHAR(255),
+    proof_photo_url VARCHAR(255),
+    collected_amount DECIMAL(10,2), -- cash/UPI the agent collected for a pay-on-delivery order
+    completed_at DATETIME,
+    assigned_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE,
+    FOREIGN KEY (agent_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (assigned_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    UNIQUE KEY unique_order_run (order_id, run_date)
+);
+
+-- One row per subscription and delivery date processed by the scheduler
+CREATE TABLE subscription_runs (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    subscription_id INT NOT NULL,
+    delivery_date DATE NOT NULL,
+    status ENUM('processing', 'created', 'skipped', 'failed') NOT NULL, -- failed runs are retried on later ticks that day
+    order_id INT,
+    note VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (subscription_id) REFERENCES subscriptions(subscription_id) ON DELETE CASCADE,
+    FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE SET NULL,
+    UNIQUE KEY unique_subscription_run (subscription_id, delivery_date)
+);
+
+-- Admin-managed promotions and coupon codes
+CREATE TABLE promotions (
+    promotion_id INT PRIMARY KEY AUTO_INCREMENT,
+    code VARCHAR(50) UNIQUE NOT NULL, -- stored upper-case
+    description VARCHAR(255),
+    discount_type ENUM('percentage', 'flat', 'buy_x_get_y') NOT NULL,
+    discount_value DECIMAL(10,2) NOT NULL DEFAULT 0, -- percent or flat amount
+    buy_quantity INT, -- buy_x_get_y only
+    get_quantity INT, -- buy_x_get_y only
+    max_discount_amount DECIMAL(10,2), -- optional cap on the total discount
+    scope ENUM('cart', 'product', 'category') NOT NULL DEFAULT 'cart',
+    scope_product_id INT,
+    scope_category ENUM('milk', 'paneer', 'buttermilk', 'ghee', 'curd', 'other'),
+    min_cart_value DECIMAL(10,2) NOT NULL DEFAULT 0,
+    usage_limit_total INT,
+    usage_limit_per_user INT,
+    first_order_only BOOLEAN DEFAULT FALSE,
+    starts_at DATETIME,
+    ends_at DATETIME,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (scope_product_id) REFERENCES products(product_id) ON DELETE SET NULL
+);
+
+-- Coupon uses (redemptions on cancelled orders do not count towards limits)
+CREATE TABLE promotion_redemptions (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    promotion_id INT NOT NULL,
+    user_id INT NOT NULL,
+    order_id INT NOT NULL,
+    discount_amount DECIMAL(10,2) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (promotion_id) REFERENCES promotions(promotion_id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE
+);
+
+-- Discount lines applied to an order
+CREATE TABLE order_discounts (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    order_id INT NOT NULL,
+    promotion_id INT,
+    code VARCHAR(50) NOT NULL,
+    product_id INT, -- NULL for cart-wide discounts
+    description VARCHAR(255),
+    amount DECIMAL(10,2) NOT NULL,
+    FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE,
+    FOREIGN KEY (promotion_id) REFERENCES promotions(promotion_id) ON DELETE SET NULL,
+    FOREIGN KEY (product_id) REFERENCES products(product_id) ON DELETE SET NULL
+);
+
+-- Last invoice number used in each financial year (e.g. 2026-27)
+CREATE TABLE invoice_sequences (
+    financial_year VARCHAR(7) PRIMARY KEY,
+    last_number INT NOT NULL
+);
+
+-- GST tax invoices; line items are a snapshot so later product edits never change them
+CREATE TABLE invoices (
+    invoice_id INT PRIMARY KEY AUTO_INCREMENT,
+    order_id INT NOT NULL UNIQUE,
+    invoice_number VARCHAR(30) NOT NULL UNIQUE,
+    financial_year VARCHAR(7) NOT NULL,
+    sequence_number INT NOT NULL,
+    place_of_supply VARCHAR(50) NOT NULL,
+    is_inter_state BOOLEAN NOT NULL DEFAULT FALSE,
+    taxable_amount DECIMAL(10,2) NOT NULL,
+    cgst_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    sgst_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    igst_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    total_amount DECIMAL(10,2) NOT NULL,
+    line_items JSON NOT NULL,
+    issued_at DATETIME NOT NULL,
+    FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE
 );
 
 -- Training sessions table
@@ -114,6 +479,39 @@ CREATE TABLE farmer_training (
     UNIQUE KEY unique_farmer_session (farmer_id, session_id)
 );
 
+-- Outgoing email, sent and retried by the email worker
+CREATE TABLE email_outbox (
+    email_id INT PRIMARY KEY AUTO_INCREMENT,
+    to_email VARCHAR(100) NOT NULL,
+    to_name VARCHAR(100),
+    template VARCHAR(50) NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    body_text TEXT NOT NULL,
+    body_html TEXT,
+    dedupe_key VARCHAR(150) UNIQUE, -- one email per event, e.g. order:42:order_shipped
+    status ENUM('pending', 'sending', 'sent', 'failed') NOT NULL DEFAULT 'pending',
+    attempts INT NOT NULL DEFAULT 0,
+    next_attempt_at DATETIME NOT NULL,
+    last_error VARCHAR(255),
+    sent_at DATETIME,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Responses stored per Idempotency-Key so retried requests are not run twice
+CREATE TABLE idempotency_keys (
+    user_id INT NOT NULL,
+    idempotency_key VARCHAR(100) NOT NULL,
+    request_hash CHAR(64) NOT NULL, -- SHA-256 of method, path and body
+    status ENUM('processing', 'completed') NOT NULL DEFAULT 'processing',
+    response_status INT,
+    response_body JSON,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at DATETIME,
+    PRIMARY KEY (user_id, idempotency_key),
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
+
 -- Admin queries log for AI system
 CREATE TABLE admin_queries (
     query_id INT PRIMARY KEY AUTO_INCREMENT,
@@ -124,25 +522,196 @@ CREATE TABLE admin_queries (
     FOREIGN KEY (admin_user_id) REFERENCES users(user_id) ON DELETE CASCADE
 );
 
+-- Processed Razorpay webhook events (replayed events are ignored)
+CREATE TABLE payment_webhook_events (
+    event_id VARCHAR(100) PRIMARY KEY, -- X-Razorpay-Event-Id
+    event_type VARCHAR(50) NOT NULL,
+    order_id INT,
+    outcome VARCHAR(30),
+    payload JSON,
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE SET NULL
+);
+
+-- Refunds issued against paid orders (full or partial)
+CREATE TABLE order_refunds (
+    refund_id INT PRIMARY KEY AUTO_INCREMENT,
+    order_id INT NOT NULL,
+    razorpay_refund_id VARCHAR(100) UNIQUE,
+    destination ENUM('razorpay', 'wallet') NOT NULL DEFAULT 'razorpay', -- back to the payment method or to the wallet
+    amount DECIMAL(10,2) NOT NULL,
+    status ENUM('pending', 'processed', 'failed') NOT NULL DEFAULT 'pending',
+    reason VARCHAR(255),
+    failure_reason VARCHAR(255),
+    initiated_by INT, -- user who triggered the refund (NULL when created outside the app)
+    attempts INT NOT NULL DEFAULT 0, -- refund requests sent to Razorpay; failed ones are retried
+    last_attempt_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    processed_at TIMESTAMP NULL,
+    FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE,
+    FOREIGN KEY (initiated_by) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+-- Customer complaints about a delivered order item and how they were resolved
+CREATE TABLE order_complaints (
+    complaint_id INT PRIMARY KEY AUTO_INCREMENT,
+    order_id INT NOT NULL,
+    item_id INT NOT NULL,
+    product_id INT NOT NULL,
+    user_id INT NOT NULL,
+    quantity INT NOT NULL,
+    reason ENUM('spoiled', 'damaged', 'leaking', 'wrong_item', 'missing', 'quality', 'other') NOT NULL,
+    description TEXT,
+    photo_url VARCHAR(255),
+    batch_code VARCHAR(50), -- batch/lot printed on the pack, if the customer has it
+    requested_resolution ENUM('replacement', 'refund', 'wallet_credit') NOT NULL,
+    status ENUM('open', 'approved', 'rejected') NOT NULL DEFAULT 'open',
+    resolution ENUM('replacement', 'refund', 'wallet_credit'), -- what the admin approved
+    resolution_amount DECIMAL(10,2),
+    replacement_order_id INT, -- free order created for a replacement
+    refund_id INT, -- order_refunds row for a refund or wallet credit
+    written_off_quantity INT NOT NULL DEFAULT 0, -- stock removed along with the approval
+    admin_note VARCHAR(255),
+    resolved_by INT,
+    resolved_at DATETIME,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE,
+    FOREIGN KEY (item_id) REFERENCES order_items(item_id) ON DELETE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES products(product_id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (replacement_order_id) REFERENCES orders(order_id) ON DELETE SET NULL,
+    FOREIGN KEY (refund_id) REFERENCES order_refunds(refund_id) ON DELETE SET NULL,
+    FOREIGN KEY (resolved_by) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+-- Prepaid wallet balance per customer; wallet_transactions is the ledger behind it
+CREATE TABLE wallets (
+    user_id INT PRIMARY KEY,
+    balance DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (balance >= 0),
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
+
+-- Wallet ledger; balance_after is the running balance after each entry
+CREATE TABLE wallet_transactions (
+    txn_id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    entry_type ENUM('topup', 'admin_credit', 'order_refund', 'order_debit', 'admin_debit') NOT NULL,
+    direction ENUM('credit', 'debit') NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    balance_after DECIMAL(10,2) NOT NULL,
+    order_id INT,
+    reference VARCHAR(100) UNIQUE, -- e.g. Razorpay payment ID of a top-up
+    note VARCHAR(255),
+    created_by INT, -- admin who made an adjustment
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE SET NULL,
+    FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+-- Razorpay payments that add money to a wallet
+CREATE TABLE wallet_topups (
+    topup_id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    razorpay_order_id VARCHAR(100) NOT NULL UNIQUE,
+    razorpay_payment_id VARCHAR(100),
+    status ENUM('created', 'paid', 'failed') NOT NULL DEFAULT 'created',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    paid_at DATETIME,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
+
+-- Razorpay settlement/payment reports uploaded for reconciliation
+CREATE TABLE reconciliation_runs (
+    run_id INT PRIMARY KEY AUTO_INCREMENT,
+    file_name VARCHAR(255) NOT NULL,
+    payment_count INT NOT NULL DEFAULT 0,
+    refund_count INT NOT NULL DEFAULT 0,
+    matched_count INT NOT NULL DEFAULT 0, -- report rows matched to an order, top-up or refund
+    discrepancy_count INT NOT NULL DEFAULT 0,
+    payments_total DECIMAL(12,2) NOT NULL DEFAULT 0,
+    refunds_total DECIMAL(12,2) NOT NULL DEFAULT 0,
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+-- Differences found in a reconciliation run
+CREATE TABLE reconciliation_discrepancies (
+    discrepancy_id INT PRIMARY KEY AUTO_INCREMENT,
+    run_id INT NOT NULL,
+    discrepancy_type ENUM('pending_locally', 'amount_mismatch', 'payment_id_mismatch', 'refund_not_reflected', 'orphan_payment', 'orphan_refund') NOT NULL,
+    order_id INT,
+    topup_id INT,
+    payment_id VARCHAR(100), -- Razorpay payment ID from the report
+    refund_id VARCHAR(100), -- Razorpay refund ID from the report
+    report_amount DECIMAL(10,2),
+    local_amount DECIMAL(10,2),
+    details VARCHAR(255),
+    FOREIGN KEY (run_id) REFERENCES reconciliation_runs(run_id) ON DELETE CASCADE,
+    FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE SET NULL,
+    FOREIGN KEY (topup_id) REFERENCES wallet_topups(topup_id) ON DELETE SET NULL
+);
+
 -- Insert default admin user
 INSERT INTO users (name, email, password, role) VALUES 
 ('Admin', 'admin@malidairyfarm.com', '$2a$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi', 'admin');
 
 -- Insert sample products
-INSERT INTO products (name, description, price, stock, category, unit) VALUES
-('Fresh Cow Milk', 'Pure and fresh cow milk, delivered daily', 60.00, 100, 'milk', 'liter'),
-('Buffalo Milk', 'Rich and creamy buffalo milk', 80.00, 50, 'milk', 'liter'),
-('Paneer', 'Fresh homemade paneer from pure milk', 400.00, 20, 'paneer', 'kg'),
-('Buttermilk', 'Refreshing traditional buttermilk', 30.00, 30, 'buttermilk', 'liter'),
-('Pure Ghee', 'Traditional cow ghee made from fresh cream', 800.00, 15, 'ghee', 'kg'),
-('Fresh Curd', 'Thick and creamy curd made from pure milk', 70.00, 25, 'curd', 'kg');
+INSERT INTO products (name, description, category) VALUES
+('Fresh Cow Milk', 'Pure and fresh cow milk, delivered daily', 'milk'),
+('Buffalo Milk', 'Rich and creamy buffalo milk', 'milk'),
+('Paneer', 'Fresh homemade paneer from pure milk', 'paneer'),
+('Buttermilk', 'Refreshing traditional buttermilk', 'buttermilk'),
+('Pure Ghee', 'Traditional cow ghee made from fresh cream', 'ghee'),
+('Fresh Curd', 'Thick and creamy curd made from pure milk', 'curd');
+
+INSERT INTO product_variants (product_id, sku, size_label, unit, price, stock, sort_order)
+SELECT product_id, sku, size_label, unit, price, stock, sort_order
+FROM products p
+JOIN (
+    SELECT 'Fresh Cow Milk' AS name, 'COW-MILK-500ML' AS sku, '500ml' AS size_label, 'packet' AS unit, 32.00 AS price, 100 AS stock, 1 AS sort_order
+    UNION ALL SELECT 'Fresh Cow Milk', 'COW-MILK-1L', '1L', 'liter', 60.00, 100, 2
+    UNION ALL SELECT 'Buffalo Milk', 'BUF-MILK-1L', '1L', 'liter', 80.00, 50, 1
+    UNION ALL SELECT 'Paneer', 'PANEER-200G', '200g', 'packet', 90.00, 40, 1
+    UNION ALL SELECT 'Paneer', 'PANEER-1KG', '1kg', 'kg', 400.00, 20, 2
+    UNION ALL SELECT 'Buttermilk', 'BUTTERMILK-1L', '1L', 'liter', 30.00, 30, 1
+    UNION ALL SELECT 'Pure Ghee', 'GHEE-1KG', '1kg', 'kg', 800.00, 15, 1
+    UNION ALL SELECT 'Fresh Curd', 'CURD-1KG', '1kg', 'kg', 70.00, 25, 1
+) v ON v.name = p.name;
 
 -- Create indexes for better performance
+CREATE INDEX idx_user_addresses_user ON user_addresses(user_id, is_default);
 CREATE INDEX idx_farmers_village ON farmers(village);
 CREATE INDEX idx_farmer_forms_farmer_id ON farmer_forms(farmer_id);
 CREATE INDEX idx_farmer_forms_type ON farmer_forms(form_type);
 CREATE INDEX idx_orders_user_id ON orders(user_id);
 CREATE INDEX idx_orders_status ON orders(order_status);
+CREATE INDEX idx_orders_razorpay_order_id ON orders(razorpay_order_id);
+CREATE INDEX idx_orders_payment_id ON orders(payment_id);
+CREATE INDEX idx_orders_payment_method ON orders(payment_method);
+CREATE INDEX idx_orders_reservation ON orders(reservation_status, reserved_until);
+CREATE INDEX idx_order_refunds_order_id ON order_refunds(order_id);
+CREATE INDEX idx_order_complaints_status ON order_complaints(status, created_at);
+CREATE INDEX idx_order_complaints_product ON order_complaints(product_id, batch_code);
+CREATE INDEX idx_subscriptions_user_id ON subscriptions(user_id);
+CREATE INDEX idx_subscriptions_status ON subscriptions(status);
+CREATE INDEX idx_promotion_redemptions_promotion ON promotion_redemptions(promotion_id, user_id);
+CREATE INDEX idx_delivery_slots_date ON delivery_slots(slot_date, start_time);
+CREATE INDEX idx_orders_slot ON orders(slot_id);
+CREATE INDEX idx_order_status_history_order ON order_status_history(order_id, created_at);
+CREATE INDEX idx_delivery_assignments_agent ON delivery_assignments(agent_id, run_date);
+CREATE INDEX idx_email_outbox_due ON email_outbox(status, next_attempt_at);
+CREATE INDEX idx_wallet_transactions_user ON wallet_transactions(user_id, created_at);
+CREATE INDEX idx_wallet_topups_user ON wallet_topups(user_id);
+CREATE INDEX idx_wallet_topups_payment ON wallet_topups(razorpay_payment_id);
+CREATE INDEX idx_reconciliation_discrepancies_run ON reconciliation_discrepancies(run_id, discrepancy_type);
 CREATE INDEX idx_products_category ON products(category);
+CREATE INDEX idx_product_variants_product ON product_variants(product_id, sort_order);
+CREATE INDEX idx_stock_batches_expiry ON stock_batches(variant_id, status, expiry_date);
+CREATE INDEX idx_order_item_batches_batch ON order_item_batches(batch_id);
+CREATE INDEX idx_stock_movements_variant ON stock_movements(variant_id, created_at);
 CREATE INDEX idx_training_sessions_village ON training_sessions(village);
 CREATE INDEX idx_training_sessions_date ON training_sessions(session_date);
@@ -0,0 +1,17 @@
+const path = require('path');
+
+// Folder uploaded files are saved to and served from as /uploads/...; fixed
+// to the project root so it does not depend on where the server is started
+const UPLOADS_DIR = path.join(__dirname, '..', '..', 'uploads');
+
+// File on disk for an /uploads/... URL
+const uploadFilePath = (url) => path.join(UPLOADS_DIR, url.replace(/^\/?uploads\//, ''));
+
+// /uploads/... URL for a file under UPLOADS_DIR
+const uploadUrl = (filePath) => '/uploads/' + path.relative(UPLOADS_DIR, filePath).split(path.sep).join('/');
+
+module.exports = {
+  UPLOADS_DIR,
+  uploadFilePath,
+  uploadUrl
+};
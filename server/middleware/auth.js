@@ -39,6 +39,29 @@ const verifyToken = async (req, res, next) => {
   }
 };
 
+// Attach the user when a valid token is sent, for public routes that show
+// more to logged-in users. Missing or invalid tokens are treated as anonymous.
+const optionalToken = async (req, res, next) => {
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+  if (!token) return next();
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await executeQuery(
+      'SELECT user_id, name, email, role, is_active FROM users WHERE user_id = ?',
+      [decoded.userId]
+    );
+
+    if (user.length && user[0].is_active) {
+      req.user = user[0];
+    }
+  } catch (error) {
+    // Fall through as anonymous
+  }
+
+  next();
+};
+
 // Check if user is admin
 const requireAdmin = (req, res, next) => {
   if (req.user.role !== 'admin') {
@@ -72,9 +95,22 @@ const requireCustomer = (req, res, next) => {
   next();
 };
 
+// Check if user is delivery agent or admin
+const requireDelivery = (req, res, next) => {
+  if (req.user.role !== 'delivery' && req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. Delivery privileges required.'
+    });
+  }
+  next();
+};
+
 module.exports = {
   verifyToken,
+  optionalToken,
   requireAdmin,
   requireFarmer,
-  requireCustomer
+  requireCustomer,
+  requireDelivery
 };
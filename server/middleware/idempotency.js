@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const { executeQuery } = require('../config/database');
+
+// How long a stored response is replayed for
+const getKeyTtlHours = () => parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24', 10);
+
+// A request still 'processing' after this long is assumed to have died
+const STALE_PROCESSING_MINUTES = 5;
+
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${req.baseUrl}${req.path}\n${JSON.stringify(req.body || {})}`)
+  .digest('hex');
+
+// Make a POST endpoint safe to retry with an Idempotency-Key header. The first
+// request with a key runs normally and its response is stored; retries with
+// the same key and body get the stored response back instead of running again.
+// Reusing a key for a different request is a 409. Requests without the header
+// are not affected. Must come after verifyToken (keys are per user).
+const idempotent = async (req, res, next) => {
+  const key = req.header('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > 100) {
+    return res.status(400).json({
+      success: false,
+      message: 'Idempotency-Key must be at most 100 characters'
+    });
+  }
+
+  try {
+    const userId = req.user.user_id;
+    const requestHash = hashRequest(req);
+
+    await executeQuery(`
+      DELETE FROM idempotency_keys
+      WHERE user_id = ? AND idempotency_key = ?
+        AND (created_at < DATE_SUB(NOW(), INTERVAL ? HOUR)
+          OR (status = 'processing' AND created_at < DATE_SUB(NOW(), INTERVAL ? MINUTE)))
+    `, [userId, key, getKeyTtlHours(), STALE_PROCESSING_MINUTES]);
+
+    const claimed = await executeQuery(
+      'INSERT IGNORE INTO idempotency_keys (user_id, idempotency_key, request_hash) VALUES (?, ?, ?)',
+      [userId, key, requestHash]
+    );
+
+    if (!claimed.affectedRows) {
+      const [stored] = await executeQuery(
+        'SELECT request_hash, status, response_status, response_body FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ?',
+        [userId, key]
+      );
+
+      if (!stored || stored.request_hash !== requestHash) {
+        return res.status(409).json({
+          success: false,
+          message: 'This Idempotency-Key was already used for a different request'
+        });
+      }
+
+      if (stored.status === 'processing') {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(stored.response_status).json(stored.response_body);
+    }
+
+    // Store the response before sending it, so a retry made after the client
+    // got the response always replays it. Server errors release the key so the
+    // request can be retried for real.
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const save = res.statusCode >= 500
+        ? executeQuery('DELETE FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ?', [userId, key])
+        : executeQuery(`
+          UPDATE idempotency_keys
+          SET status = 'completed', response_status = ?, response_body = ?, completed_at = NOW()
+          WHERE user_id = ? AND idempotency_key = ?
+        `, [res.statusCode, JSON.stringify(body), userId, key]);
+
+      save
+        .catch(error => console.error('Idempotency key save error:', error))
+        .finally(() => json(body));
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    console.error('Idempotency middleware error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error checking Idempotency-Key'
+    });
+  }
+};
+
+module.exports = {
+  idempotent
+};
@@ -0,0 +1,59 @@
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const { UPLOADS_DIR } = require('../config/uploads');
+
+// Multer instance that stores images under UPLOADS_DIR/<folder> as <prefix>-<unique>.<ext>
+const imageUpload = (folder, prefix) => {
+  const storage = multer.diskStorage({
+    destination: (req, file, cb) => {
+      const uploadPath = path.join(UPLOADS_DIR, folder);
+      if (!fs.existsSync(uploadPath)) {
+        fs.mkdirSync(uploadPath, { recursive: true });
+      }
+      cb(null, uploadPath);
+    },
+    filename: (req, file, cb) => {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      cb(null, `${prefix}-` + uniqueSuffix + path.extname(file.originalname));
+    }
+  });
+
+  return multer({
+    storage: storage,
+    limits: {
+      fileSize: 5 * 1024 * 1024 // 5MB limit
+    },
+    fileFilter: (req, file, cb) => {
+      const allowedTypes = /jpeg|jpg|png|gif|webp/;
+      const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+      const mimetype = allowedTypes.test(file.mimetype);
+
+      if (mimetype && extname) {
+        return cb(null, true);
+      } else {
+        cb(new Error('Only image files are allowed'));
+      }
+    }
+  });
+};
+
+// Multer instance that keeps an uploaded CSV or Excel report in memory
+// (req.file.buffer) for parsing
+const spreadsheetUpload = () => multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|xlsx)$/i.test(file.originalname)) {
+      return cb(null, true);
+    }
+    cb(new Error('Only CSV or Excel (.xlsx) files are allowed'));
+  }
+});
+
+module.exports = {
+  imageUpload,
+  spreadsheetUpload
+};
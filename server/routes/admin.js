@@ -1,13 +1,21 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const { executeQuery } = require('../config/database');
 const { verifyToken, requireAdmin } = require('../middleware/auth');
 const ExcelJS = require('exceljs');
-const PDFDocument = require('pdf-lib').PDFDocument;
+const archiver = require('archiver');
 const { askGemini } = require('../utils/ai');
+const { issueInvoice, renderInvoicePdf } = require('../utils/invoices');
+const { PRICE_GROUPS } = require('../utils/pricing');
+const { spreadsheetUpload } = require('../middleware/upload');
+const { DISCREPANCY_TYPES, runReconciliation, getReconciliation } = require('../utils/reconciliation');
+const { toCsv } = require('../utils/csv');
+const { getDefaultReorderLevel } = require('../utils/lowStock');
 
 const router = express.Router();
 
+const reportUpload = spreadsheetUpload();
+
 // @route   GET /api/admin/dashboard
 // @desc    Get dashboard statistics
 // @access  Private (Admin)
@@ -29,6 +37,10 @@ router.get('/dashboard', verifyToken, requireAdmin, async (req, res) => {
         SELECT 
           COUNT(*) as total_orders,
           SUM(CASE WHEN payment_status = 'completed' THEN total_amount ELSE 0 END) as total_revenue,
+          SUM(CASE WHEN payment_status = 'completed' AND payment_method = 'razorpay' THEN total_amount ELSE 0 END) as online_revenue,
+          SUM(CASE WHEN payment_status = 'completed' AND payment_method = 'cod' THEN total_amount ELSE 0 END) as cod_revenue,
+          SUM(CASE WHEN payment_status = 'completed' AND payment_method = 'upi_on_delivery' THEN total_amount ELSE 0 END) as upi_on_delivery_revenue,
+          SUM(CASE WHEN payment_status = 'pending' AND payment_method != 'razorpay' AND order_status != 'cancelled' THEN total_amount ELSE 0 END) as pending_collection,
           COUNT(CASE WHEN order_status = 'pending' THEN 1 END) as pending_orders,
           COUNT(CASE WHEN DATE(created_at) = CURDATE() THEN 1 END) as today_orders
         FROM orders
@@ -38,11 +50,13 @@ router.get('/dashboard', verifyToken, requireAdmin, async (req, res) => {
     const [productStats] = await Promise.all([
       executeQuery(`
         SELECT 
-          COUNT(*) as total_products,
-          COUNT(CASE WHEN stock < 10 THEN 1 END) as low_stock_products,
-          AVG(price) as avg_price
-        FROM products WHERE is_active = true
-      `),
+          COUNT(DISTINCT p.product_id) as total_products,
+          COUNT(CASE WHEN v.stock < COALESCE(v.reorder_level, ?) THEN 1 END) as low_stock_products,
+          AVG(v.price) as avg_price
+        FROM products p
+        JOIN product_variants v ON v.product_id = p.product_id
+        WHERE p.is_active = true AND v.is_active = true
+      `, [getDefaultReorderLevel()]),
     ]);
 
     const [farmerStats] = await Promise.all([
@@ -77,6 +91,16 @@ router.get('/dashboard', verifyToken, requireAdmin, async (req, res) => {
       ORDER BY month
     `);
 
+    // Get revenue split by payment method
+    const paymentMethodRevenue = await executeQuery(`
+      SELECT payment_method,
+             COUNT(*) as orders,
+             SUM(CASE WHEN payment_status = 'completed' THEN total_amount ELSE 0 END) as revenue
+      FROM orders
+      GROUP BY payment_method
+      ORDER BY revenue DESC
+    `);
+
     // Get product category sales
     const categorySales = await executeQuery(`
       SELECT p.category, 
@@ -110,6 +134,7 @@ router.get('/dashboard', verifyToken, requireAdmin, async (req, res) => {
         },
         charts: {
           monthlyRevenue,
+          paymentMethodRevenue,
           categorySales,
           villageDistribution
         },
@@ -521,6 +546,296 @@ router.get('/reports/export', verifyToken, requireAdmin, async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/invoices/export
+// @desc    Download a zip of tax invoices for orders placed in a date range
+// @access  Private (Admin)
+router.get('/invoices/export', verifyToken, requireAdmin, [
+  query('from').isDate().withMessage('Valid from date required'),
+  query('to').isDate().withMessage('Valid to date required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { from, to } = req.query;
+
+    // Paid or delivered orders get their invoice issued now if they have none yet
+    const orders = await executeQuery(`
+      SELECT order_id FROM orders
+      WHERE DATE(created_at) BETWEEN ? AND ?
+        AND order_status != 'cancelled'
+        AND (payment_status = 'completed' OR order_status = 'delivered')
+      ORDER BY order_id
+    `, [from, to]);
+
+    const invoices = [];
+    for (const order of orders) {
+      invoices.push(await issueInvoice(order.order_id));
+    }
+
+    // Also include invoices issued earlier for orders since refunded/cancelled
+    const issued = await executeQuery(`
+      SELECT i.* FROM invoices i
+      JOIN orders o ON i.order_id = o.order_id
+      WHERE DATE(o.created_at) BETWEEN ? AND ?
+      ORDER BY i.financial_year, i.sequence_number
+    `, [from, to]);
+    const included = new Set(invoices.map(i => i.invoice_id));
+    invoices.push(...issued.filter(i => !included.has(i.invoice_id)));
+
+    if (!invoices.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'No invoices found for this date range'
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename=invoices_${from}_to_${to}.zip`);
+
+    const archive = archiver('zip');
+    archive.on('error', (error) => {
+      console.error('Invoice zip error:', error);
+      res.destroy(error);
+    });
+    archive.pipe(res);
+
+    for (const invoice of invoices) {
+      archive.append(await renderInvoicePdf(invoice), {
+        name: `${invoice.invoice_number.replace(/\//g, '-')}.pdf`
+      });
+    }
+
+    await archive.finalize();
+  } catch (error) {
+    console.error('Invoice export error:', error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error exporting invoices'
+    });
+  }
+});
+
+// @route   POST /api/admin/reconciliations
+// @desc    Reconcile an uploaded Razorpay settlement or payments report
+//          (multipart "report", CSV or XLSX) against orders and refunds
+// @access  Private (Admin)
+router.post('/reconciliations', verifyToken, requireAdmin, reportUpload.single('report'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Report file required'
+      });
+    }
+
+    const runId = await runReconciliation(req.file, req.user.user_id);
+    const reconciliation = await getReconciliation(runId);
+
+    res.status(201).json({
+      success: true,
+      message: reconciliation.discrepancy_count
+        ? `Reconciliation found ${reconciliation.discrepancy_count} discrepancies`
+        : 'Reconciliation found no discrepancies',
+      data: { reconciliation }
+    });
+  } catch (error) {
+    console.error('Reconciliation error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error reconciling report'
+    });
+  }
+});
+
+// @route   GET /api/admin/reconciliations
+// @desc    Past reconciliation runs, newest first
+// @access  Private (Admin)
+router.get('/reconciliations', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const runs = await executeQuery(`
+      SELECT r.*, u.name as created_by_name
+      FROM reconciliation_runs r
+      LEFT JOIN users u ON r.created_by = u.user_id
+      ORDER BY r.created_at DESC
+      LIMIT 100
+    `);
+
+    res.json({
+      success: true,
+      data: { runs }
+    });
+  } catch (error) {
+    console.error('Reconciliation runs fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching reconciliation runs'
+    });
+  }
+});
+
+// @route   GET /api/admin/reconciliations/:id
+// @desc    A reconciliation run with its discrepancies
+// @access  Private (Admin)
+router.get('/reconciliations/:id', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const reconciliation = await getReconciliation(req.params.id);
+
+    if (!reconciliation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reconciliation run not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { reconciliation }
+    });
+  } catch (error) {
+    console.error('Reconciliation fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching reconciliation run'
+    });
+  }
+});
+
+// @route   GET /api/admin/reconciliations/:id/report
+// @desc    Download a run's discrepancy report (?format=csv|excel, default excel)
+// @access  Private (Admin)
+router.get('/reconciliations/:id/report', verifyToken, requireAdmin, [
+  query('format').optional().isIn(['csv', 'excel']).withMessage('Format must be csv or excel')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const reconciliation = await getReconciliation(req.params.id);
+
+    if (!reconciliation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reconciliation run not found'
+      });
+    }
+
+    const columns = [
+      { header: 'Type', key: 'discrepancy_type', width: 22 },
+      { header: 'Order ID', key: 'order_id', width: 10 },
+      { header: 'Top-up ID', key: 'topup_id', width: 10 },
+      { header: 'Payment ID', key: 'payment_id', width: 22 },
+      { header: 'Refund ID', key: 'refund_id', width: 22 },
+      { header: 'Razorpay Amount', key: 'report_amount', width: 15 },
+      { header: 'Our Amount', key: 'local_amount', width: 15 },
+      { header: 'Details', key: 'details', width: 50 }
+    ];
+
+    const fileName = `reconciliation_${reconciliation.run_id}`;
+
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename=${fileName}.csv`);
+      return res.send(toCsv(columns, reconciliation.discrepancies));
+    }
+
+    const workbook = new ExcelJS.Workbook();
+
+    const summarySheet = workbook.addWorksheet('Summary');
+    summarySheet.columns = [
+      { header: 'Item', key: 'item', width: 30 },
+      { header: 'Value', key: 'value', width: 30 }
+    ];
+    summarySheet.addRows([
+      { item: 'File', value: reconciliation.file_name },
+      { item: 'Run at', value: reconciliation.created_at },
+      { item: 'Payments in report', value: reconciliation.payment_count },
+      { item: 'Refunds in report', value: reconciliation.refund_count },
+      { item: 'Payments total', value: Number(reconciliation.payments_total) },
+      { item: 'Refunds total', value: Number(reconciliation.refunds_total) },
+      { item: 'Rows matched', value: reconciliation.matched_count },
+      ...DISCREPANCY_TYPES.map(type => ({
+        item: type,
+        value: reconciliation.discrepancies.filter(d => d.discrepancy_type === type).length
+      }))
+    ]);
+
+    const discrepancySheet = workbook.addWorksheet('Discrepancies');
+    discrepancySheet.columns = columns;
+    reconciliation.discrepancies.forEach(discrepancy => discrepancySheet.addRow({
+      ...discrepancy,
+      report_amount: discrepancy.report_amount === null ? null : Number(discrepancy.report_amount),
+      local_amount: discrepancy.local_amount === null ? null : Number(discrepancy.local_amount)
+    }));
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename=${fileName}.xlsx`);
+
+    await workbook.xlsx.write(res);
+    res.end();
+  } catch (error) {
+    console.error('Reconciliation report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating reconciliation report'
+    });
+  }
+});
+
+// @route   PUT /api/admin/customers/:id/price-group
+// @desc    Move a customer to a price group (retail, wholesale, institutional)
+// @access  Private (Admin)
+router.put('/customers/:id/price-group', verifyToken, requireAdmin, [
+  body('price_group').isIn(PRICE_GROUPS).withMessage('Price group must be retail, wholesale or institutional')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await executeQuery(
+      "UPDATE users SET price_group = ? WHERE user_id = ? AND role = 'customer'",
+      [req.body.price_group, req.params.id]
+    );
+
+    if (!result.affectedRows) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Price group updated successfully'
+    });
+  } catch (error) {
+    console.error('Price group update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating price group'
+    });
+  }
+});
+
 // @route   POST /api/admin/ai-query
 // @desc    AI-powered analytics query
 // @access  Private (Admin)
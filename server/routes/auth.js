@@ -2,8 +2,9 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
-const { executeQuery } = require('../config/database');
+const { executeQuery, getConnection } = require('../config/database');
 const { verifyToken } = require('../middleware/auth');
+const { PINCODE_PATTERN, getUserAddress } = require('../utils/addresses');
 
 const router = express.Router();
 
@@ -21,6 +22,38 @@ const loginValidation = [
   body('password').notEmpty().withMessage('Password is required')
 ];
 
+const addressValidation = [
+  body('label').optional().trim().isLength({ max: 50 }).withMessage('Label too long'),
+  body('recipient_name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Recipient name must be 2-100 characters'),
+  body('phone').optional().isMobilePhone().withMessage('Valid phone number required'),
+  body('house').trim().isLength({ min: 1, max: 100 }).withMessage('House/flat number is required'),
+  body('street').optional().trim().isLength({ max: 150 }).withMessage('Street too long'),
+  body('city').trim().isLength({ min: 2, max: 100 }).withMessage('Village/city must be 2-100 characters'),
+  body('district').optional().trim().isLength({ max: 100 }).withMessage('District too long'),
+  body('state').trim().isLength({ min: 2, max: 50 }).withMessage('State must be 2-50 characters'),
+  body('pincode').trim().matches(PINCODE_PATTERN).withMessage('Pincode must be a valid 6-digit PIN code'),
+  body('landmark').optional().trim().isLength({ max: 150 }).withMessage('Landmark too long'),
+  body('latitude').optional({ nullable: true }).isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body('longitude').optional({ nullable: true }).isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  body('is_default').optional().isBoolean().withMessage('is_default must be true or false')
+];
+
+// Column values for an address from a validated request body
+const addressValues = (data) => [
+  data.label || null,
+  data.recipient_name || null,
+  data.phone || null,
+  data.house,
+  data.street || null,
+  data.city,
+  data.district || null,
+  data.state,
+  data.pincode,
+  data.landmark || null,
+  data.latitude === undefined || data.latitude === null ? null : data.latitude,
+  data.longitude === undefined || data.longitude === null ? null : data.longitude
+];
+
 // Generate JWT token
 const generateToken = (userId, role) => {
   return jwt.sign(
@@ -259,4 +292,230 @@ router.put('/profile', verifyToken, [
   }
 });
 
+// @route   GET /api/auth/addresses
+// @desc    Get saved addresses (default first)
+// @access  Private
+router.get('/addresses', verifyToken, async (req, res) => {
+  try {
+    const addresses = await executeQuery(
+      'SELECT * FROM user_addresses WHERE user_id = ? ORDER BY is_default DESC, updated_at DESC',
+      [req.user.user_id]
+    );
+
+    res.json({
+      success: true,
+      data: { addresses }
+    });
+  } catch (error) {
+    console.error('Addresses fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching addresses'
+    });
+  }
+});
+
+// @route   POST /api/auth/addresses
+// @desc    Save a new address (the first one becomes the default)
+// @access  Private
+router.post('/addresses', verifyToken, addressValidation, async (req, res) => {
+  const connection = await getConnection();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await connection.beginTransaction();
+
+    const [existing] = await connection.execute(
+      'SELECT COUNT(*) AS total FROM user_addresses WHERE user_id = ? FOR UPDATE',
+      [req.user.user_id]
+    );
+    const isDefault = existing[0].total === 0 || req.body.is_default === true || req.body.is_default === 'true';
+
+    if (isDefault) {
+      await connection.execute('UPDATE user_addresses SET is_default = false WHERE user_id = ?', [req.user.user_id]);
+    }
+
+    const [result] = await connection.execute(`
+      INSERT INTO user_addresses (
+        label, recipient_name, phone, house, street, city, district, state, pincode, landmark,
+        latitude, longitude, user_id, is_default
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [...addressValues(req.body), req.user.user_id, isDefault]);
+
+    await connection.commit();
+
+    res.status(201).json({
+      success: true,
+      message: 'Address saved successfully',
+      data: {
+        address_id: result.insertId,
+        is_default: isDefault
+      }
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Address creation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saving address'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// @route   PUT /api/auth/addresses/:id
+// @desc    Update a saved address (orders keep their own copy)
+// @access  Private
+router.put('/addresses/:id', verifyToken, addressValidation, async (req, res) => {
+  const connection = await getConnection();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await connection.beginTransaction();
+
+    const address = await getUserAddress(req.params.id, req.user.user_id, connection);
+
+    if (!address) {
+      await connection.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found'
+      });
+    }
+
+    const makeDefault = req.body.is_default === true || req.body.is_default === 'true';
+    if (makeDefault) {
+      await connection.execute('UPDATE user_addresses SET is_default = false WHERE user_id = ?', [req.user.user_id]);
+    }
+
+    await connection.execute(`
+      UPDATE user_addresses SET
+        label = ?, recipient_name = ?, phone = ?, house = ?, street = ?, city = ?, district = ?, state = ?,
+        pincode = ?, landmark = ?, latitude = ?, longitude = ?, is_default = ?
+      WHERE address_id = ?
+    `, [...addressValues(req.body), makeDefault || Boolean(address.is_default), address.address_id]);
+
+    await connection.commit();
+
+    res.json({
+      success: true,
+      message: 'Address updated successfully'
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Address update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating address'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// @route   PUT /api/auth/addresses/:id/default
+// @desc    Make a saved address the default
+// @access  Private
+router.put('/addresses/:id/default', verifyToken, async (req, res) => {
+  const connection = await getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const address = await getUserAddress(req.params.id, req.user.user_id, connection);
+
+    if (!address) {
+      await connection.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found'
+      });
+    }
+
+    await connection.execute(
+      'UPDATE user_addresses SET is_default = (address_id = ?) WHERE user_id = ?',
+      [address.address_id, req.user.user_id]
+    );
+
+    await connection.commit();
+
+    res.json({
+      success: true,
+      message: 'Default address updated'
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Default address error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating default address'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// @route   DELETE /api/auth/addresses/:id
+// @desc    Delete a saved address; the latest remaining one becomes default
+// @access  Private
+router.delete('/addresses/:id', verifyToken, async (req, res) => {
+  const connection = await getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const address = await getUserAddress(req.params.id, req.user.user_id, connection);
+
+    if (!address) {
+      await connection.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found'
+      });
+    }
+
+    await connection.execute('DELETE FROM user_addresses WHERE address_id = ?', [address.address_id]);
+
+    if (address.is_default) {
+      await connection.execute(
+        'UPDATE user_addresses SET is_default = true WHERE user_id = ? ORDER BY updated_at DESC LIMIT 1',
+        [req.user.user_id]
+      );
+    }
+
+    await connection.commit();
+
+    res.json({
+      success: true,
+      message: 'Address deleted successfully'
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Address deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting address'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
 module.exports = router;
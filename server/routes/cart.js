@@ -0,0 +1,250 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { executeQuery } = require('../config/database');
+const { verifyToken, requireCustomer } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { getCart, refreshCartPrices } = require('../utils/cart');
+const { checkoutValidation, placeOrder } = require('../utils/checkout');
+const { getVariant } = require('../utils/variants');
+
+const router = express.Router();
+
+// Largest quantity of one variant a cart line can hold
+const MAX_LINE_QUANTITY = 100;
+
+// @route   GET /api/cart
+// @desc    Get cart revalidated against current prices and stock
+// @access  Private (Customer)
+router.get('/', verifyToken, requireCustomer, async (req, res) => {
+  try {
+    const cart = await getCart(req.user.user_id);
+
+    res.json({
+      success: true,
+      data: { cart }
+    });
+  } catch (error) {
+    console.error('Cart fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching cart'
+    });
+  }
+});
+
+// @route   POST /api/cart/items
+// @desc    Add a product variant to the cart (adds to the quantity if already there)
+// @access  Private (Customer)
+router.post('/items', verifyToken, requireCustomer, [
+  body('variant_id').isInt({ min: 1 }).withMessage('Valid product variant ID required'),
+  body('quantity').optional().isInt({ min: 1, max: MAX_LINE_QUANTITY }).withMessage(`Quantity must be 1-${MAX_LINE_QUANTITY}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { variant_id, quantity = 1 } = req.body;
+
+    const variant = await getVariant(variant_id);
+
+    if (!variant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product variant not found'
+      });
+    }
+
+    await executeQuery(`
+      INSERT INTO cart_items (user_id, product_id, variant_id, quantity, price_at_add)
+      VALUES (?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        quantity = LEAST(quantity + VALUES(quantity), ?),
+        price_at_add = VALUES(price_at_add)
+    `, [req.user.user_id, variant.product_id, variant.variant_id, quantity, variant.price, MAX_LINE_QUANTITY]);
+
+    const cart = await getCart(req.user.user_id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Item added to cart',
+      data: { cart }
+    });
+  } catch (error) {
+    console.error('Cart add error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error adding to cart'
+    });
+  }
+});
+
+// @route   PUT /api/cart/items/:variantId
+// @desc    Change the quantity of a cart line
+// @access  Private (Customer)
+router.put('/items/:variantId', verifyToken, requireCustomer, [
+  body('quantity').isInt({ min: 1, max: MAX_LINE_QUANTITY }).withMessage(`Quantity must be 1-${MAX_LINE_QUANTITY}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Editing a line also accepts the variant's current price
+    const result = await executeQuery(`
+      UPDATE cart_items ci
+      JOIN product_variants v ON ci.variant_id = v.variant_id
+      SET ci.quantity = ?, ci.price_at_add = v.price
+      WHERE ci.user_id = ? AND ci.variant_id = ?
+    `, [req.body.quantity, req.user.user_id, req.params.variantId]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not in cart'
+      });
+    }
+
+    const cart = await getCart(req.user.user_id);
+
+    res.json({
+      success: true,
+      message: 'Cart updated',
+      data: { cart }
+    });
+  } catch (error) {
+    console.error('Cart update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating cart'
+    });
+  }
+});
+
+// @route   DELETE /api/cart/items/:variantId
+// @desc    Remove a product variant from the cart
+// @access  Private (Customer)
+router.delete('/items/:variantId', verifyToken, requireCustomer, async (req, res) => {
+  try {
+    const result = await executeQuery(
+      'DELETE FROM cart_items WHERE user_id = ? AND variant_id = ?',
+      [req.user.user_id, req.params.variantId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not in cart'
+      });
+    }
+
+    const cart = await getCart(req.user.user_id);
+
+    res.json({
+      success: true,
+      message: 'Item removed from cart',
+      data: { cart }
+    });
+  } catch (error) {
+    console.error('Cart remove error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing from cart'
+    });
+  }
+});
+
+// @route   DELETE /api/cart
+// @desc    Clear the cart
+// @access  Private (Customer)
+router.delete('/', verifyToken, requireCustomer, async (req, res) => {
+  try {
+    await executeQuery('DELETE FROM cart_items WHERE user_id = ?', [req.user.user_id]);
+
+    res.json({
+      success: true,
+      message: 'Cart cleared'
+    });
+  } catch (error) {
+    console.error('Cart clear error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error clearing cart'
+    });
+  }
+});
+
+// @route   POST /api/cart/checkout
+// @desc    Place an order for everything in the cart
+// @access  Private (Customer)
+router.post('/checkout', verifyToken, requireCustomer, idempotent, checkoutValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const cart = await getCart(req.user.user_id);
+
+    if (!cart.items.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your cart is empty'
+      });
+    }
+
+    if (!cart.can_checkout) {
+      return res.status(409).json({
+        success: false,
+        message: 'Some items in your cart are unavailable or short of stock',
+        data: { cart }
+      });
+    }
+
+    // Prices changed since the customer last saw them: show the new prices
+    // first; checking out again accepts them
+    if (cart.has_price_changes) {
+      await refreshCartPrices(req.user.user_id);
+      return res.status(409).json({
+        success: false,
+        message: 'Some prices in your cart have changed. Please review and check out again.',
+        data: { cart }
+      });
+    }
+
+    const { message, data } = await placeOrder(req.user.user_id, {
+      ...req.body,
+      items: cart.items.map(item => ({ variant_id: item.variant_id, quantity: item.quantity }))
+    });
+
+    await executeQuery('DELETE FROM cart_items WHERE user_id = ?', [req.user.user_id]);
+
+    res.status(201).json({
+      success: true,
+      message,
+      data
+    });
+  } catch (error) {
+    console.error('Cart checkout error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error checking out'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,252 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { executeQuery } = require('../config/database');
+const { verifyToken, requireCustomer, requireAdmin } = require('../middleware/auth');
+const { imageUpload } = require('../middleware/upload');
+const {
+  COMPLAINT_REASONS,
+  RESOLUTIONS,
+  createComplaint,
+  resolveComplaint,
+  getComplaintReport
+} = require('../utils/complaints');
+const { VARIANT_NAME_SQL } = require('../utils/variants');
+
+const router = express.Router();
+
+const upload = imageUpload('complaints', 'complaint');
+
+// @route   POST /api/complaints
+// @desc    Raise a complaint on a delivered order item (multipart, optional "photo")
+// @access  Private (Customer)
+router.post('/', verifyToken, requireCustomer, upload.single('photo'), [
+  body('order_id').isInt({ min: 1 }).withMessage('Valid order ID required'),
+  body('item_id').isInt({ min: 1 }).withMessage('Valid order item ID required'),
+  body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('reason').isIn(COMPLAINT_REASONS).withMessage(`Reason must be one of: ${COMPLAINT_REASONS.join(', ')}`),
+  body('requested_resolution').isIn(RESOLUTIONS).withMessage('Requested resolution must be replacement, refund or wallet_credit'),
+  body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description too long'),
+  body('batch_code').optional({ checkFalsy: true }).trim().isLength({ max: 50 }).withMessage('Batch code too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const complaintId = await createComplaint(req.user.user_id, {
+      orderId: req.body.order_id,
+      itemId: req.body.item_id,
+      quantity: Number(req.body.quantity),
+      reason: req.body.reason,
+      description: req.body.description,
+      requestedResolution: req.body.requested_resolution,
+      batchCode: req.body.batch_code,
+      photoUrl: req.file ? `/uploads/complaints/${req.file.filename}` : null
+    });
+
+    const complaints = await executeQuery('SELECT * FROM order_complaints WHERE complaint_id = ?', [complaintId]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Complaint submitted. We will get back to you soon.',
+      data: { complaint: complaints[0] }
+    });
+  } catch (error) {
+    console.error('Complaint creation error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error submitting complaint'
+    });
+  }
+});
+
+// @route   GET /api/complaints
+// @desc    Get the customer's complaints
+// @access  Private (Customer)
+router.get('/', verifyToken, requireCustomer, async (req, res) => {
+  try {
+    const complaints = await executeQuery(`
+      SELECT c.complaint_id, c.order_id, c.item_id, c.product_id, oi.variant_id, ${VARIANT_NAME_SQL} as product_name,
+             c.quantity, c.reason, c.description, c.photo_url, c.batch_code, c.requested_resolution, c.status,
+             c.resolution, c.resolution_amount, c.replacement_order_id, c.admin_note, c.resolved_at, c.created_at
+      FROM order_complaints c
+      JOIN order_items oi ON c.item_id = oi.item_id
+      JOIN product_variants v ON oi.variant_id = v.variant_id
+      JOIN products p ON v.product_id = p.product_id
+      WHERE c.user_id = ?
+      ORDER BY c.created_at DESC
+    `, [req.user.user_id]);
+
+    res.json({
+      success: true,
+      data: { complaints }
+    });
+  } catch (error) {
+    console.error('Complaints fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching complaints'
+    });
+  }
+});
+
+// @route   GET /api/complaints/admin/queue
+// @desc    Complaints to triage, oldest first (Admin)
+// @access  Private (Admin)
+router.get('/admin/queue', verifyToken, requireAdmin, [
+  query('status').optional().isIn(['open', 'approved', 'rejected']).withMessage('Invalid status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const complaints = await executeQuery(`
+      SELECT c.*, oi.variant_id, ${VARIANT_NAME_SQL} as product_name, v.sku, v.stock as product_stock, oi.price,
+             u.name as customer_name, u.email as customer_email, o.payment_method, o.payment_status, o.total_amount
+      FROM order_complaints c
+      JOIN order_items oi ON c.item_id = oi.item_id
+      JOIN product_variants v ON oi.variant_id = v.variant_id
+      JOIN products p ON v.product_id = p.product_id
+      JOIN orders o ON c.order_id = o.order_id
+      JOIN users u ON c.user_id = u.user_id
+      WHERE c.status = ?
+      ORDER BY c.created_at
+    `, [req.query.status || 'open']);
+
+    res.json({
+      success: true,
+      data: { complaints }
+    });
+  } catch (error) {
+    console.error('Complaint queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching complaint queue'
+    });
+  }
+});
+
+// @route   GET /api/complaints/admin/report
+// @desc    Complaint rates per product and per batch for orders in a date range (Admin)
+// @access  Private (Admin)
+router.get('/admin/report', verifyToken, requireAdmin, [
+  query('from').isISO8601().withMessage('Valid from date required'),
+  query('to').isISO8601().withMessage('Valid to date required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const report = await getComplaintReport({ from: req.query.from, to: req.query.to });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Complaint report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating complaint report'
+    });
+  }
+});
+
+// @route   PUT /api/complaints/admin/:id/approve
+// @desc    Approve a complaint and carry out the resolution (Admin)
+// @access  Private (Admin)
+router.put('/admin/:id/approve', verifyToken, requireAdmin, [
+  body('resolution').optional().isIn(RESOLUTIONS).withMessage('Resolution must be replacement, refund or wallet_credit'),
+  body('amount').optional().isFloat({ min: 0.01 }).withMessage('Amount must be a positive number'),
+  body('write_off_quantity').optional().isInt({ min: 0 }).withMessage('Write-off quantity must be a non-negative integer'),
+  body('note').optional().trim().isLength({ max: 255 }).withMessage('Note too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const complaint = await resolveComplaint(req.params.id, {
+      approve: true,
+      resolution: req.body.resolution,
+      amount: req.body.amount,
+      writeOffQuantity: Number(req.body.write_off_quantity || 0),
+      note: req.body.note,
+      resolvedBy: req.user.user_id
+    });
+
+    res.json({
+      success: true,
+      message: complaint.refund && complaint.refund.status === 'failed'
+        ? 'Complaint approved, but the refund request failed'
+        : 'Complaint approved',
+      data: { complaint }
+    });
+  } catch (error) {
+    console.error('Complaint approval error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error approving complaint'
+    });
+  }
+});
+
+// @route   PUT /api/complaints/admin/:id/reject
+// @desc    Reject a complaint with a note for the customer (Admin)
+// @access  Private (Admin)
+router.put('/admin/:id/reject', verifyToken, requireAdmin, [
+  body('note').trim().isLength({ min: 3, max: 255 }).withMessage('Note must be 3-255 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const complaint = await resolveComplaint(req.params.id, {
+      approve: false,
+      note: req.body.note,
+      resolvedBy: req.user.user_id
+    });
+
+    res.json({
+      success: true,
+      message: 'Complaint rejected',
+      data: { complaint }
+    });
+  } catch (error) {
+    console.error('Complaint rejection error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error rejecting complaint'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,623 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { body, query, validationResult } = require('express-validator');
+const { executeQuery } = require('../config/database');
+const { verifyToken, requireAdmin, requireDelivery } = require('../middleware/auth');
+const { imageUpload } = require('../middleware/upload');
+const { PINCODE_PATTERN } = require('../utils/addresses');
+const { WEEKDAY_NAMES, formatZone, findZone, deliveryChargeFor } = require('../utils/zones');
+const {
+  assignOrders,
+  getRun,
+  dispatchRun,
+  completeAssignment,
+  saveProofPhoto,
+  getReconciliation
+} = require('../utils/delivery');
+const { toDateString } = require('../utils/subscriptions');
+
+const router = express.Router();
+
+const upload = imageUpload('delivery-proofs', 'proof');
+
+// Local calendar day, the same one the subscription scheduler books orders for
+const today = () => toDateString(new Date());
+
+const dateQuery = query('date').optional().isISO8601().withMessage('Valid date required (YYYY-MM-DD)');
+
+// Validation rules for delivery zone
+const zoneValidation = [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters'),
+  body('zone_type').isIn(['pincodes', 'radius']).withMessage('Zone type must be pincodes or radius'),
+  body('pincodes').if(body('zone_type').equals('pincodes'))
+    .isArray({ min: 1 }).withMessage('Pincode zones need at least one pincode'),
+  body('pincodes.*').matches(PINCODE_PATTERN).withMessage('Pincodes must be 6 digits'),
+  body('radius_km').if(body('zone_type').equals('radius'))
+    .isFloat({ min: 0.1, max: 500 }).withMessage('Radius zones need a radius in km'),
+  body('min_order_value').optional().isFloat({ min: 0 }).withMessage('Minimum order value must be 0 or more'),
+  body('delivery_charge').optional().isFloat({ min: 0 }).withMessage('Delivery charge must be 0 or more'),
+  body('free_delivery_above').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Free delivery threshold must be 0 or more'),
+  body('delivery_days').optional({ nullable: true }).isArray({ max: 7 }).withMessage('Delivery days must be a list'),
+  body('delivery_days.*').isInt({ min: 0, max: 6 }).withMessage('Delivery days must be 0 (Sunday) to 6 (Saturday)'),
+  body('is_active').optional().isBoolean().withMessage('is_active must be true or false')
+];
+
+// Column values for a zone from a validated request body
+const zoneValues = (data) => [
+  data.name,
+  data.zone_type,
+  data.zone_type === 'pincodes' ? data.pincodes.join(',') : null,
+  data.zone_type === 'radius' ? data.radius_km : null,
+  data.min_order_value || 0,
+  data.delivery_charge || 0,
+  data.free_delivery_above === undefined || data.free_delivery_above === null ? null : data.free_delivery_above,
+  data.delivery_days && data.delivery_days.length ? data.delivery_days.join(',') : null,
+  data.is_active === undefined ? true : data.is_active === true || data.is_active === 'true'
+];
+
+// @route   GET /api/delivery/check
+// @desc    Check whether we deliver to a pincode (or coordinates), with the
+//          zone's minimum order, delivery charge and delivery days
+// @access  Public
+router.get('/check', [
+  query('pincode').matches(PINCODE_PATTERN).withMessage('Pincode must be 6 digits'),
+  query('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
+  query('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required'),
+  query('amount').optional().isFloat({ min: 0 }).withMessage('Amount must be a positive number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { pincode, latitude, longitude, amount } = req.query;
+    const { zone, configured } = await findZone({ pincode, latitude, longitude });
+
+    if (configured && !zone) {
+      return res.json({
+        success: true,
+        message: 'Sorry, we do not deliver to this pincode yet',
+        data: { serviceable: false, pincode }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        serviceable: true,
+        pincode,
+        zone: zone && {
+          name: zone.name,
+          min_order_value: zone.min_order_value,
+          delivery_charge: zone.delivery_charge,
+          free_delivery_above: zone.free_delivery_above,
+          delivery_days: zone.delivery_days.map(day => WEEKDAY_NAMES[day])
+        },
+        delivery_charge: amount !== undefined ? deliveryChargeFor(zone, Number(amount)) : undefined
+      }
+    });
+  } catch (error) {
+    console.error('Serviceability check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error checking delivery area'
+    });
+  }
+});
+
+// @route   GET /api/delivery/run
+// @desc    Get the logged-in agent's run for a date (defaults to today)
+// @access  Private (Delivery)
+router.get('/run', verifyToken, requireDelivery, [dateQuery], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const date = req.query.date || today();
+    const stops = await getRun(req.user.user_id, date);
+
+    res.json({
+      success: true,
+      data: {
+        date,
+        stops,
+        amount_to_collect: Math.round(stops.reduce((sum, stop) => sum + stop.amount_to_collect, 0) * 100) / 100
+      }
+    });
+  } catch (error) {
+    console.error('Delivery run fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching delivery run'
+    });
+  }
+});
+
+// @route   POST /api/delivery/run/dispatch
+// @desc    Mark the agent's orders for a date out for delivery
+// @access  Private (Delivery)
+router.post('/run/dispatch', verifyToken, requireDelivery, [
+  body('date').optional().isISO8601().withMessage('Valid date required (YYYY-MM-DD)')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const dispatched = await dispatchRun(req.user.user_id, req.body.date || today(), {
+      changedBy: req.user.user_id
+    });
+
+    res.json({
+      success: true,
+      message: `${dispatched.length} order(s) out for delivery`,
+      data: { order_ids: dispatched }
+    });
+  } catch (error) {
+    console.error('Delivery dispatch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error dispatching run'
+    });
+  }
+});
+
+// @route   PUT /api/delivery/assignments/:id/delivered
+// @desc    Mark an order delivered (collected_amount is required for unpaid pay-on-delivery orders)
+// @access  Private (Delivery)
+router.put('/assignments/:id/delivered', verifyToken, requireDelivery, [
+  body('collected_amount').optional().isFloat({ min: 0.01 }).withMessage('Collected amount must be a positive number'),
+  body('reference').optional().trim().isLength({ max: 100 }).withMessage('Reference too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await completeAssignment(req.params.id, req.user, {
+      outcome: 'delivered',
+      collectedAmount: req.body.collected_amount,
+      reference: req.body.reference
+    });
+
+    res.json({
+      success: true,
+      message: 'Order marked as delivered',
+      data: result
+    });
+  } catch (error) {
+    console.error('Delivery completion error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error updating delivery'
+    });
+  }
+});
+
+// @route   PUT /api/delivery/assignments/:id/failed
+// @desc    Record a failed delivery attempt with a reason
+// @access  Private (Delivery)
+router.put('/assignments/:id/failed', verifyToken, requireDelivery, [
+  body('reason').trim().isLength({ min: 3, max: 255 }).withMessage('Reason must be 3-255 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await completeAssignment(req.params.id, req.user, {
+      outcome: 'failed',
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: 'Delivery marked as failed',
+      data: result
+    });
+  } catch (error) {
+    console.error('Delivery failure error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error updating delivery'
+    });
+  }
+});
+
+// @route   POST /api/delivery/assignments/:id/proof
+// @desc    Upload a proof-of-delivery photo (multipart field "photo")
+// @access  Private (Delivery)
+router.post('/assignments/:id/proof', verifyToken, requireDelivery, upload.single('photo'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Photo is required'
+      });
+    }
+
+    const photoUrl = `/uploads/delivery-proofs/${req.file.filename}`;
+    await saveProofPhoto(req.params.id, req.user, photoUrl);
+
+    res.json({
+      success: true,
+      message: 'Proof of delivery uploaded',
+      data: { proof_photo_url: photoUrl }
+    });
+  } catch (error) {
+    console.error('Proof upload error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error uploading proof'
+    });
+  }
+});
+
+// @route   GET /api/delivery/admin/agents
+// @desc    List delivery agents (Admin)
+// @access  Private (Admin)
+router.get('/admin/agents', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const agents = await executeQuery(
+      "SELECT user_id, name, email, phone, is_active, created_at FROM users WHERE role = 'delivery' ORDER BY name"
+    );
+
+    res.json({
+      success: true,
+      data: { agents }
+    });
+  } catch (error) {
+    console.error('Delivery agents fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching delivery agents'
+    });
+  }
+});
+
+// @route   POST /api/delivery/admin/agents
+// @desc    Create a delivery agent account (Admin)
+// @access  Private (Admin)
+router.post('/admin/agents', verifyToken, requireAdmin, [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters'),
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  body('phone').isMobilePhone().withMessage('Valid phone number required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, email, password, phone } = req.body;
+
+    const existingUser = await executeQuery('SELECT user_id FROM users WHERE email = ?', [email]);
+    if (existingUser.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'User already exists with this email'
+      });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(password, salt);
+
+    const result = await executeQuery(
+      "INSERT INTO users (name, email, password, phone, role) VALUES (?, ?, ?, ?, 'delivery')",
+      [name, email, hashedPassword, phone]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Delivery agent created successfully',
+      data: {
+        agent: { user_id: result.insertId, name, email, phone }
+      }
+    });
+  } catch (error) {
+    console.error('Delivery agent creation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating delivery agent'
+    });
+  }
+});
+
+// @route   GET /api/delivery/admin/zones
+// @desc    List delivery zones (Admin)
+// @access  Private (Admin)
+router.get('/admin/zones', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const zones = await executeQuery('SELECT * FROM delivery_zones ORDER BY is_active DESC, name');
+
+    res.json({
+      success: true,
+      data: { zones: zones.map(formatZone) }
+    });
+  } catch (error) {
+    console.error('Delivery zones fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching delivery zones'
+    });
+  }
+});
+
+// @route   POST /api/delivery/admin/zones
+// @desc    Create a delivery zone (Admin)
+// @access  Private (Admin)
+router.post('/admin/zones', verifyToken, requireAdmin, zoneValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await executeQuery(`
+      INSERT INTO delivery_zones (
+        name, zone_type, pincodes, radius_km, min_order_value, delivery_charge, free_delivery_above, delivery_days, is_active
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, zoneValues(req.body));
+
+    res.status(201).json({
+      success: true,
+      message: 'Delivery zone created successfully',
+      data: { zone_id: result.insertId }
+    });
+  } catch (error) {
+    console.error('Delivery zone creation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating delivery zone'
+    });
+  }
+});
+
+// @route   PUT /api/delivery/admin/zones/:id
+// @desc    Update a delivery zone (Admin)
+// @access  Private (Admin)
+router.put('/admin/zones/:id', verifyToken, requireAdmin, zoneValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await executeQuery(`
+      UPDATE delivery_zones SET
+        name = ?, zone_type = ?, pincodes = ?, radius_km = ?, min_order_value = ?, delivery_charge = ?,
+        free_delivery_above = ?, delivery_days = ?, is_active = ?
+      WHERE zone_id = ?
+    `, [...zoneValues(req.body), req.params.id]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery zone not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Delivery zone updated successfully'
+    });
+  } catch (error) {
+    console.error('Delivery zone update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating delivery zone'
+    });
+  }
+});
+
+// @route   DELETE /api/delivery/admin/zones/:id
+// @desc    Stop delivering to a zone (kept for order history) (Admin)
+// @access  Private (Admin)
+router.delete('/admin/zones/:id', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await executeQuery(
+      'UPDATE delivery_zones SET is_active = false WHERE zone_id = ?',
+      [req.params.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery zone not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Delivery zone deactivated successfully'
+    });
+  } catch (error) {
+    console.error('Delivery zone deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deactivating delivery zone'
+    });
+  }
+});
+
+// @route   POST /api/delivery/admin/assignments
+// @desc    Assign orders to an agent for a date (Admin)
+// @access  Private (Admin)
+router.post('/admin/assignments', verifyToken, requireAdmin, [
+  body('agent_id').isInt({ min: 1 }).withMessage('Valid agent ID required'),
+  body('run_date').isISO8601().withMessage('Valid run date required (YYYY-MM-DD)'),
+  body('order_ids').isArray({ min: 1 }).withMessage('At least one order is required'),
+  body('order_ids.*').isInt({ min: 1 }).withMessage('Valid order ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { agent_id, run_date, order_ids } = req.body;
+
+    await assignOrders({
+      agentId: agent_id,
+      runDate: run_date,
+      orderIds: [...new Set(order_ids.map(Number))],
+      assignedBy: req.user.user_id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Orders assigned successfully',
+      data: { stops: await getRun(agent_id, run_date) }
+    });
+  } catch (error) {
+    console.error('Delivery assignment error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error assigning orders'
+    });
+  }
+});
+
+// @route   DELETE /api/delivery/admin/assignments/:id
+// @desc    Remove an open assignment (Admin)
+// @access  Private (Admin)
+router.delete('/admin/assignments/:id', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await executeQuery(
+      "DELETE FROM delivery_assignments WHERE assignment_id = ? AND status = 'assigned'",
+      [req.params.id]
+    );
+
+    if (!result.affectedRows) {
+      return res.status(404).json({
+        success: false,
+        message: 'Open assignment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Assignment removed'
+    });
+  } catch (error) {
+    console.error('Delivery unassign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing assignment'
+    });
+  }
+});
+
+// @route   GET /api/delivery/admin/runs
+// @desc    All agents' runs for a date (Admin)
+// @access  Private (Admin)
+router.get('/admin/runs', verifyToken, requireAdmin, [dateQuery], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const date = req.query.date || today();
+
+    res.json({
+      success: true,
+      data: {
+        date,
+        stops: await getRun(null, date)
+      }
+    });
+  } catch (error) {
+    console.error('Delivery runs fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching delivery runs'
+    });
+  }
+});
+
+// @route   GET /api/delivery/admin/reconciliation
+// @desc    End-of-day deliveries and collections per agent (Admin)
+// @access  Private (Admin)
+router.get('/admin/reconciliation', verifyToken, requireAdmin, [dateQuery], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const date = req.query.date || today();
+    const agents = await getReconciliation(date);
+
+    res.json({
+      success: true,
+      data: {
+        date,
+        agents,
+        totals: {
+          amount_due: Math.round(agents.reduce((sum, a) => sum + a.amount_due, 0) * 100) / 100,
+          collected: Math.round(agents.reduce((sum, a) => sum + a.cash_collected + a.upi_collected, 0) * 100) / 100
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Delivery reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating reconciliation'
+    });
+  }
+});
+
+module.exports = router;
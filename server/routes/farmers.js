@@ -2,6 +2,7 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { executeQuery } = require('../config/database');
 const { verifyToken, requireFarmer, requireAdmin } = require('../middleware/auth');
+const { notifyTraining } = require('../utils/notifications');
 
 const router = express.Router();
 
@@ -517,6 +518,8 @@ router.post('/training-sessions/:sessionId/register', verifyToken, requireFarmer
       [farmerId, sessionId]
     );
 
+    await notifyTraining('training_registered', { userId: req.user.user_id, sessionId });
+
     res.json({
       success: true,
       message: 'Successfully registered for training session'
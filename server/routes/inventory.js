@@ -0,0 +1,470 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { executeQuery } = require('../config/database');
+const { verifyToken, requireAdmin } = require('../middleware/auth');
+const { VARIANT_NAME_SQL } = require('../utils/variants');
+const {
+  MOVEMENT_TYPES,
+  ADJUSTMENT_TYPES,
+  receiveBatch,
+  expireBatches,
+  adjustStock,
+  getStockValuation,
+  getNearExpiryStock
+} = require('../utils/stock');
+const { getLowStock, checkLowStock } = require('../utils/lowStock');
+
+const router = express.Router();
+
+// Validation rules for receiving a batch
+const batchValidation = [
+  body('variant_id').isInt({ min: 1 }).withMessage('Valid product variant ID required'),
+  body('batch_code').optional({ checkFalsy: true }).trim().matches(/^[A-Za-z0-9_-]{1,50}$/)
+    .withMessage('Batch code must be up to 50 letters, digits, dashes or underscores'),
+  body('production_date').isISO8601().withMessage('Valid production date required (YYYY-MM-DD)'),
+  body('expiry_date').isISO8601().withMessage('Valid expiry date required (YYYY-MM-DD)'),
+  body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1')
+];
+
+// Validation rules for a variant's reorder settings; null falls back to the defaults
+const reorderLevelValidation = [
+  body('reorder_level').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Reorder level must be a non-negative whole number'),
+  body('target_level').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Target level must be a positive whole number')
+];
+
+// Validation rules for a manual stock adjustment
+const adjustmentValidation = [
+  body('variant_id').isInt({ min: 1 }).withMessage('Valid product variant ID required'),
+  body('movement_type').isIn(ADJUSTMENT_TYPES).withMessage('Adjustment type must be wastage, spoilage or correction'),
+  body('quantity').isInt().withMessage('Quantity must be a whole number'),
+  body('batch_id').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Valid batch ID required'),
+  body('reason').trim().isLength({ min: 3, max: 255 }).withMessage('Reason must be 3-255 characters')
+];
+
+// @route   GET /api/inventory/batches
+// @desc    Stock batches, soonest expiry first (Admin)
+// @access  Private (Admin)
+router.get('/batches', verifyToken, requireAdmin, [
+  query('variant_id').optional().isInt({ min: 1 }).withMessage('Valid product variant ID required'),
+  query('status').optional().isIn(['active', 'expired']).withMessage('Status must be active or expired')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let filters = '';
+    const params = [];
+
+    if (req.query.variant_id) {
+      filters += ' AND b.variant_id = ?';
+      params.push(req.query.variant_id);
+    }
+    if (req.query.status) {
+      filters += ' AND b.status = ?';
+      params.push(req.query.status);
+    }
+
+    const batches = await executeQuery(`
+      SELECT b.*, ${VARIANT_NAME_SQL} as name, v.sku, v.unit
+      FROM stock_batches b
+      JOIN product_variants v ON b.variant_id = v.variant_id
+      JOIN products p ON v.product_id = p.product_id
+      WHERE 1=1 ${filters}
+      ORDER BY b.expiry_date, b.batch_id
+      LIMIT 500
+    `, params);
+
+    res.json({
+      success: true,
+      data: { batches }
+    });
+  } catch (error) {
+    console.error('Batches fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching batches'
+    });
+  }
+});
+
+// @route   POST /api/inventory/batches
+// @desc    Receive a production batch into stock (Admin)
+// @access  Private (Admin)
+router.post('/batches', verifyToken, requireAdmin, batchValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const batch = await receiveBatch({
+      variantId: req.body.variant_id,
+      batchCode: req.body.batch_code,
+      productionDate: req.body.production_date,
+      expiryDate: req.body.expiry_date,
+      quantity: req.body.quantity,
+      createdBy: req.user.user_id
+    });
+
+    await checkLowStock([req.body.variant_id]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Batch received successfully',
+      data: { batch }
+    });
+  } catch (error) {
+    console.error('Batch receipt error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error receiving batch'
+    });
+  }
+});
+
+// @route   GET /api/inventory/batches/near-expiry
+// @desc    Stock expiring within `days` days (default 2), to discount in time (Admin)
+// @access  Private (Admin)
+router.get('/batches/near-expiry', verifyToken, requireAdmin, [
+  query('days').optional().isInt({ min: 0, max: 60 }).withMessage('Days must be 0-60')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const batches = await getNearExpiryStock(parseInt(req.query.days || '2', 10));
+
+    res.json({
+      success: true,
+      data: {
+        batches,
+        total_value: Math.round(batches.reduce((sum, batch) => sum + batch.stock_value, 0) * 100) / 100
+      }
+    });
+  } catch (error) {
+    console.error('Near-expiry stock error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching near-expiry stock'
+    });
+  }
+});
+
+// @route   POST /api/inventory/batches/expire
+// @desc    Write off expired batches now instead of waiting for the daily job (Admin)
+// @access  Private (Admin)
+router.post('/batches/expire', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const expired = await expireBatches();
+
+    res.json({
+      success: true,
+      message: `${expired.length} expired batch(es) written off`,
+      data: { expired }
+    });
+  } catch (error) {
+    console.error('Batch expiry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error expiring batches'
+    });
+  }
+});
+
+// @route   GET /api/inventory/batches/:id
+// @desc    A batch with the order items it was allocated to, e.g. for a recall (Admin)
+// @access  Private (Admin)
+router.get('/batches/:id', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const batches = await executeQuery(`
+      SELECT b.*, ${VARIANT_NAME_SQL} as name, v.sku, v.unit
+      FROM stock_batches b
+      JOIN product_variants v ON b.variant_id = v.variant_id
+      JOIN products p ON v.product_id = p.product_id
+      WHERE b.batch_id = ?
+    `, [req.params.id]);
+
+    if (!batches.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Batch not found'
+      });
+    }
+
+    const allocations = await executeQuery(`
+      SELECT ob.item_id, ob.quantity, oi.order_id, o.order_status, o.created_at, u.name as customer_name, o.phone
+      FROM order_item_batches ob
+      JOIN order_items oi ON ob.item_id = oi.item_id
+      JOIN orders o ON oi.order_id = o.order_id
+      JOIN users u ON o.user_id = u.user_id
+      WHERE ob.batch_id = ?
+      ORDER BY o.created_at
+    `, [req.params.id]);
+
+    res.json({
+      success: true,
+      data: {
+        batch: { ...batches[0], allocations }
+      }
+    });
+  } catch (error) {
+    console.error('Batch fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching batch'
+    });
+  }
+});
+
+// @route   POST /api/inventory/adjustments
+// @desc    Record wastage, spoilage or a stock count correction with a reason (Admin)
+// @access  Private (Admin)
+router.post('/adjustments', verifyToken, requireAdmin, adjustmentValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const stock = await adjustStock({
+      variantId: req.body.variant_id,
+      movementType: req.body.movement_type,
+      quantity: parseInt(req.body.quantity, 10),
+      batchId: req.body.batch_id || null,
+      reason: req.body.reason,
+      createdBy: req.user.user_id
+    });
+
+    await checkLowStock([req.body.variant_id]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock adjusted successfully',
+      data: { variant_id: Number(req.body.variant_id), stock }
+    });
+  } catch (error) {
+    console.error('Stock adjustment error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error adjusting stock'
+    });
+  }
+});
+
+// @route   GET /api/inventory/movements
+// @desc    Stock movement history for a product or variant, newest first (Admin)
+// @access  Private (Admin)
+router.get('/movements', verifyToken, requireAdmin, [
+  query('product_id').optional().isInt({ min: 1 }).withMessage('Valid product ID required'),
+  query('variant_id').optional().isInt({ min: 1 }).withMessage('Valid product variant ID required'),
+  query('movement_type').optional().isIn(MOVEMENT_TYPES).withMessage('Invalid movement type'),
+  query('from').optional().isISO8601().withMessage('Valid from date required (YYYY-MM-DD)'),
+  query('to').optional().isISO8601().withMessage('Valid to date required (YYYY-MM-DD)')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { product_id, variant_id, movement_type, from, to } = req.query;
+    const pageNum = Math.max(1, parseInt(req.query.page || '1', 10) || 1);
+    const limitNum = Math.max(1, Math.min(parseInt(req.query.limit || '50', 10) || 50, 200));
+
+    let filters = '';
+    const params = [];
+
+    if (product_id) {
+      filters += ' AND v.product_id = ?';
+      params.push(product_id);
+    }
+    if (variant_id) {
+      filters += ' AND m.variant_id = ?';
+      params.push(variant_id);
+    }
+    if (movement_type) {
+      filters += ' AND m.movement_type = ?';
+      params.push(movement_type);
+    }
+    if (from) {
+      filters += ' AND DATE(m.created_at) >= ?';
+      params.push(from);
+    }
+    if (to) {
+      filters += ' AND DATE(m.created_at) <= ?';
+      params.push(to);
+    }
+
+    const movements = await executeQuery(`
+      SELECT m.*, ${VARIANT_NAME_SQL} as name, v.sku, b.batch_code, u.name as created_by_name
+      FROM stock_movements m
+      JOIN product_variants v ON m.variant_id = v.variant_id
+      JOIN products p ON v.product_id = p.product_id
+      LEFT JOIN stock_batches b ON m.batch_id = b.batch_id
+      LEFT JOIN users u ON m.created_by = u.user_id
+      WHERE 1=1 ${filters}
+      ORDER BY m.created_at DESC, m.movement_id DESC
+      LIMIT ${limitNum} OFFSET ${(pageNum - 1) * limitNum}
+    `, params);
+
+    const [{ total }] = await executeQuery(`
+      SELECT COUNT(*) as total
+      FROM stock_movements m
+      JOIN product_variants v ON m.variant_id = v.variant_id
+      WHERE 1=1 ${filters}
+    `, params);
+
+    res.json({
+      success: true,
+      data: {
+        movements,
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(total / limitNum),
+          totalMovements: total,
+          hasNext: pageNum * limitNum < total,
+          hasPrev: pageNum > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Stock movements fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching stock movements'
+    });
+  }
+});
+
+// @route   GET /api/inventory/valuation
+// @desc    Stock on hand valued at list price, per variant and category (Admin)
+// @access  Private (Admin)
+router.get('/valuation', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getStockValuation()
+    });
+  } catch (error) {
+    console.error('Stock valuation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error building stock valuation'
+    });
+  }
+});
+
+// @route   GET /api/inventory/low-stock
+// @desc    Variants below their reorder level with a suggested production or reorder
+//          quantity from sales over the last `days` days (default 14) (Admin)
+// @access  Private (Admin)
+router.get('/low-stock', verifyToken, requireAdmin, [
+  query('days').optional().isInt({ min: 1, max: 90 }).withMessage('Days must be 1-90')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const variants = await getLowStock(req.query.days ? parseInt(req.query.days, 10) : undefined);
+
+    res.json({
+      success: true,
+      data: { variants }
+    });
+  } catch (error) {
+    console.error('Low stock fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching low stock'
+    });
+  }
+});
+
+// @route   PUT /api/inventory/variants/:variantId/reorder-levels
+// @desc    Set a variant's reorder and target levels (Admin)
+// @access  Private (Admin)
+router.put('/variants/:variantId/reorder-levels', verifyToken, requireAdmin, reorderLevelValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const reorderLevel = req.body.reorder_level ?? null;
+    const targetLevel = req.body.target_level ?? null;
+
+    if (reorderLevel !== null && targetLevel !== null && Number(targetLevel) <= Number(reorderLevel)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Target level must be above the reorder level'
+      });
+    }
+
+    const result = await executeQuery(
+      'UPDATE product_variants SET reorder_level = ?, target_level = ? WHERE variant_id = ?',
+      [reorderLevel, targetLevel, req.params.variantId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product variant not found'
+      });
+    }
+
+    // The new level may put the variant below or back above it
+    await checkLowStock([req.params.variantId]);
+
+    res.json({
+      success: true,
+      message: 'Reorder levels updated successfully',
+      data: {
+        variant_id: Number(req.params.variantId),
+        reorder_level: reorderLevel === null ? null : Number(reorderLevel),
+        target_level: targetLevel === null ? null : Number(targetLevel)
+      }
+    });
+  } catch (error) {
+    console.error('Reorder levels update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating reorder levels'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,39 +1,82 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const Razorpay = require('razorpay');
+const { body, query, validationResult } = require('express-validator');
+const ExcelJS = require('exceljs');
+const archiver = require('archiver');
 const crypto = require('crypto');
 const { executeQuery, getConnection } = require('../config/database');
 const { verifyToken, requireCustomer, requireAdmin } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { commitReservation } = require('../utils/reservations');
+const {
+  reserveRefund,
+  sendRefund,
+  initiateRefund,
+  linkRazorpayRefund,
+  settleRefundedStatus,
+  refundToWallet
+} = require('../utils/refunds');
+const { transitionOrder, changeOrderStatus, getOrderTimeline } = require('../utils/orderStatus');
+const { applyCoupon } = require('../utils/promotions');
+const { applyBestPrices } = require('../utils/pricing');
+const { PINCODE_PATTERN, getUserAddress } = require('../utils/addresses');
+const { quoteDelivery } = require('../utils/zones');
+const { VARIANT_NAME_SQL, getVariant } = require('../utils/variants');
+const { issueInvoice, renderInvoicePdf } = require('../utils/invoices');
+const { PAYMENT_METHODS, checkoutValidation, placeOrder } = require('../utils/checkout');
+const { notifyOrder } = require('../utils/notifications');
+const { creditWalletTopup } = require('../utils/wallet');
+const { recordDoorstepPayment } = require('../utils/delivery');
+const { toCsv } = require('../utils/csv');
 
 const router = express.Router();
 
-// Initialize Razorpay
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_KEY_SECRET
-});
-
 // Validation rules for order
 const orderValidation = [
   body('items').isArray({ min: 1 }).withMessage('Order must contain at least one item'),
-  body('items.*.product_id').isInt({ min: 1 }).withMessage('Valid product ID required'),
+  body('items.*.variant_id').isInt({ min: 1 }).withMessage('Valid product variant ID required'),
   body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
-  body('delivery_address').trim().isLength({ min: 10, max: 500 }).withMessage('Delivery address must be 10-500 characters'),
-  body('phone').isMobilePhone().withMessage('Valid phone number required')
+  ...checkoutValidation
 ];
 
+// Record a successful online payment. The stock reservation is committed first;
+// if it had already expired and the stock is gone, the payment is recorded but
+// the order stays cancelled and a refund of it is reserved in the same
+// transaction. refundId tells the caller to send it after commit; if that
+// fails, the refund retry job sends it later.
+// Must run inside a transaction with the order row locked.
+const markOrderPaid = async (connection, order, paymentId) => {
+  if (!['pending', 'failed'].includes(order.payment_status)) {
+    return { applied: false, refundId: null };
+  }
+
+  const reserved = await commitReservation(connection, order);
+
+  await connection.execute(
+    "UPDATE orders SET payment_status = 'completed', payment_id = ? WHERE order_id = ?",
+    [paymentId, order.order_id]
+  );
+
+  if (reserved && order.order_status === 'placed') {
+    await transitionOrder(connection, order, 'confirmed', { note: 'Online payment received' });
+  }
+
+  if (!reserved) {
+    const refund = await reserveRefund(connection, { ...order, payment_id: paymentId }, {
+      reason: 'Paid after stock reservation expired'
+    });
+    return { applied: true, refundId: refund.refund_id };
+  }
+
+  return { applied: true, refundId: null };
+};
+
 // @route   POST /api/orders/create
 // @desc    Create new order
 // @access  Private (Customer)
-router.post('/create', verifyToken, requireCustomer, orderValidation, async (req, res) => {
-  const connection = await getConnection();
-  
+router.post('/create', verifyToken, requireCustomer, idempotent, orderValidation, async (req, res) => {
   try {
-    await connection.beginTransaction();
-
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-      await connection.rollback();
       return res.status(400).json({
         success: false,
         message: 'Validation failed',
@@ -41,104 +84,126 @@ router.post('/create', verifyToken, requireCustomer, orderValidation, async (req
       });
     }
 
-    const { items, delivery_address, phone } = req.body;
-    let totalAmount = 0;
-    const orderItems = [];
+    const { message, data } = await placeOrder(req.user.user_id, req.body);
 
-    // Validate products and calculate total
-    for (const item of items) {
-      const [product] = await connection.execute(
-        'SELECT product_id, name, price, stock FROM products WHERE product_id = ? AND is_active = true',
-        [item.product_id]
-      );
+    res.status(201).json({
+      success: true,
+      message,
+      data
+    });
+  } catch (error) {
+    console.error('Order creation error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error creating order'
+    });
+  }
+});
 
-      if (!product.length) {
-        await connection.rollback();
-        return res.status(400).json({
-          success: false,
-          message: `Product with ID ${item.product_id} not found`
-        });
-      }
+// @route   POST /api/orders/preview
+// @desc    Price a cart with an optional coupon and the delivery charge for an
+//          address (address_id, or pincode) without creating an order
+// @access  Private (Customer)
+router.post('/preview', verifyToken, requireCustomer, [
+  body('items').isArray({ min: 1 }).withMessage('Order must contain at least one item'),
+  body('items.*.variant_id').isInt({ min: 1 }).withMessage('Valid product variant ID required'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('coupon_code').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Invalid coupon code'),
+  body('address_id').optional().isInt({ min: 1 }).withMessage('Valid address ID required'),
+  body('pincode').optional().matches(PINCODE_PATTERN).withMessage('Pincode must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { items, coupon_code, address_id, pincode } = req.body;
+    const listLines = [];
 
-      const productData = product[0];
+    for (const item of items) {
+      const variant = await getVariant(item.variant_id);
 
-      if (productData.stock < item.quantity) {
-        await connection.rollback();
+      if (!variant) {
         return res.status(400).json({
           success: false,
-          message: `Insufficient stock for ${productData.name}. Available: ${productData.stock}`
+          message: `Product variant with ID ${item.variant_id} not found`
         });
       }
 
-      const itemTotal = productData.price * item.quantity;
-      totalAmount += itemTotal;
-
-      orderItems.push({
-        product_id: item.product_id,
-        quantity: item.quantity,
-        price: productData.price,
-        name: productData.name
+      listLines.push({
+        product_id: variant.product_id,
+        variant_id: variant.variant_id,
+        name: variant.name,
+        category: variant.category,
+        price: variant.price,
+        quantity: Number(item.quantity),
+        in_stock: variant.stock >= item.quantity
       });
     }
 
-    // Create order in database
-    const [orderResult] = await connection.execute(
-      'INSERT INTO orders (user_id, total_amount, delivery_address, phone) VALUES (?, ?, ?, ?)',
-      [req.user.user_id, totalAmount, delivery_address, phone]
-    );
-
-    const orderId = orderResult.insertId;
+    const lines = await applyBestPrices(req.user.user_id, listLines);
+    const subtotal = Math.round(lines.reduce((sum, line) => sum + line.price * line.quantity, 0) * 100) / 100;
+
+    let coupon = null;
+    let couponError = null;
+    if (coupon_code) {
+      try {
+        coupon = await applyCoupon(coupon_code, req.user.user_id, lines);
+      } catch (error) {
+        if (!error.status) throw error;
+        couponError = error.message;
+      }
+    }
 
-    // Insert order items and update stock
-    for (const item of orderItems) {
-      await connection.execute(
-        'INSERT INTO order_items (order_id, product_id, quantity, price) VALUES (?, ?, ?, ?)',
-        [orderId, item.product_id, item.quantity, item.price]
-      );
+    const discountTotal = coupon ? coupon.discount_total : 0;
+    const orderValue = Math.round((subtotal - discountTotal) * 100) / 100;
 
-      await connection.execute(
-        'UPDATE products SET stock = stock - ? WHERE product_id = ?',
-        [item.quantity, item.product_id]
-      );
+    let deliveryCharge = 0;
+    let deliveryError = null;
+    let deliveryAddress = pincode ? { pincode } : null;
+    if (address_id) {
+      const address = await getUserAddress(address_id, req.user.user_id);
+      if (!address) {
+        return res.status(404).json({
+          success: false,
+          message: 'Address not found'
+        });
+      }
+      deliveryAddress = { pincode: address.pincode, latitude: address.latitude, longitude: address.longitude };
     }
-
-    // Create Razorpay order
-    const razorpayOrder = await razorpay.orders.create({
-      amount: Math.round(totalAmount * 100), // Amount in paise
-      currency: 'INR',
-      receipt: `order_${orderId}`,
-      notes: {
-        order_id: orderId,
-        user_id: req.user.user_id
+    if (deliveryAddress) {
+      try {
+        deliveryCharge = (await quoteDelivery(deliveryAddress, { orderValue })).delivery_charge;
+      } catch (error) {
+        if (!error.status) throw error;
+        deliveryError = error.message;
       }
-    });
-
-    await connection.commit();
+    }
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'Order created successfully',
       data: {
-        order_id: orderId,
-        total_amount: totalAmount,
-        items: orderItems,
-        razorpay_order: {
-          id: razorpayOrder.id,
-          amount: razorpayOrder.amount,
-          currency: razorpayOrder.currency
-        },
-        razorpay_key_id: process.env.RAZORPAY_KEY_ID
+        items: lines,
+        subtotal,
+        coupon,
+        coupon_error: couponError,
+        discount_total: discountTotal,
+        delivery_charge: deliveryCharge,
+        delivery_error: deliveryError,
+        total_amount: Math.round((orderValue + deliveryCharge) * 100) / 100
       }
     });
   } catch (error) {
-    await connection.rollback();
-    console.error('Order creation error:', error);
+    console.error('Order preview error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error creating order'
+      message: 'Server error previewing order'
     });
-  } finally {
-    connection.release();
   }
 });
 
@@ -156,7 +221,9 @@ router.get('/razorpay-key', verifyToken, requireCustomer, async (req, res) => {
 // @route   POST /api/orders/verify-payment
 // @desc    Verify Razorpay payment
 // @access  Private (Customer)
-router.post('/verify-payment', verifyToken, requireCustomer, async (req, res) => {
+router.post('/verify-payment', verifyToken, requireCustomer, idempotent, async (req, res) => {
+  const connection = await getConnection();
+
   try {
     const { razorpay_order_id, razorpay_payment_id, razorpay_signature, order_id } = req.body;
 
@@ -174,22 +241,270 @@ router.post('/verify-payment', verifyToken, requireCustomer, async (req, res) =>
       });
     }
 
-    // Update order status
-    await executeQuery(
-      'UPDATE orders SET payment_status = ?, payment_id = ?, order_status = ? WHERE order_id = ? AND user_id = ?',
-      ['completed', razorpay_payment_id, 'confirmed', order_id, req.user.user_id]
+    await connection.beginTransaction();
+
+    const [orders] = await connection.execute(
+      'SELECT * FROM orders WHERE order_id = ? AND user_id = ? FOR UPDATE',
+      [order_id, req.user.user_id]
     );
 
+    if (!orders.length) {
+      await connection.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    // The signature only proves the payment belongs to razorpay_order_id, which
+    // could be another order or a wallet top-up
+    if (orders[0].payment_method !== 'razorpay' || orders[0].razorpay_order_id !== razorpay_order_id) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Payment does not belong to this order'
+      });
+    }
+
+    // The webhook may already have recorded this payment
+    const { applied, refundId } = await markOrderPaid(connection, orders[0], razorpay_payment_id);
+
+    await connection.commit();
+
+    if (applied && !refundId) {
+      await notifyOrder(orders[0].order_id, 'payment_confirmed');
+    }
+
+    if (refundId) {
+      const refund = await sendRefund(refundId, { retry: true });
+
+      return res.status(409).json({
+        success: false,
+        message: 'Your order expired before payment and the stock is no longer available. The payment will be refunded.',
+        data: { refund }
+      });
+    }
+
     res.json({
       success: true,
       message: 'Payment verified successfully'
     });
   } catch (error) {
+    await connection.rollback();
     console.error('Payment verification error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error verifying payment'
     });
+  } finally {
+    connection.release();
+  }
+});
+
+// Verify X-Razorpay-Signature (HMAC-SHA256 of the raw body with the webhook secret)
+const verifyWebhookSignature = (rawBody, signature) => {
+  const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+  if (!secret || !rawBody || !signature) return false;
+
+  const expected = Buffer.from(
+    crypto.createHmac('sha256', secret).update(rawBody).digest('hex')
+  );
+  const received = Buffer.from(String(signature));
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// Find the local order a Razorpay payment/order entity belongs to
+const findOrderForRazorpay = async (connection, { razorpayOrderId, paymentId, localOrderId }) => {
+  if (razorpayOrderId) {
+    const [rows] = await connection.execute(
+      'SELECT * FROM orders WHERE razorpay_order_id = ? FOR UPDATE',
+      [razorpayOrderId]
+    );
+    if (rows.length) return rows[0];
+  }
+
+  if (paymentId) {
+    const [rows] = await connection.execute(
+      "SELECT * FROM orders WHERE payment_id = ? AND payment_method = 'razorpay' FOR UPDATE",
+      [paymentId]
+    );
+    if (rows.length) return rows[0];
+  }
+
+  if (localOrderId) {
+    const [rows] = await connection.execute(
+      'SELECT * FROM orders WHERE order_id = ? FOR UPDATE',
+      [localOrderId]
+    );
+    if (rows.length) return rows[0];
+  }
+
+  return null;
+};
+
+// Apply a verified webhook event to the matching order.
+// Every update is guarded by the current payment_status, so applying the same
+// event twice (or an out-of-order older event) never moves an order backwards.
+const applyRazorpayEvent = async (connection, event) => {
+  const payment = event.payload?.payment?.entity;
+  const refund = event.payload?.refund?.entity;
+
+  switch (event.event) {
+    case 'payment.captured':
+    case 'order.paid': {
+      const razorpayOrderId = payment?.order_id || event.payload?.order?.entity?.id;
+      const order = await findOrderForRazorpay(connection, {
+        razorpayOrderId,
+        localOrderId: payment?.notes?.order_id
+      });
+      if (!order) {
+        // Not a shop order: it may be a wallet top-up
+        if (razorpayOrderId && await creditWalletTopup(connection, razorpayOrderId, payment?.id || null)) {
+          return { orderId: null, outcome: 'wallet_topup' };
+        }
+        return { orderId: null, outcome: 'order_not_found' };
+      }
+
+      const { applied, refundId } = await markOrderPaid(connection, order, payment?.id || order.payment_id);
+      if (refundId) {
+        return { orderId: order.order_id, outcome: 'paid_after_expiry', refundId };
+      }
+      return { orderId: order.order_id, outcome: applied ? 'applied' : 'no_change' };
+    }
+
+    case 'payment.failed': {
+      const order = await findOrderForRazorpay(connection, {
+        razorpayOrderId: payment?.order_id,
+        localOrderId: payment?.notes?.order_id
+      });
+      if (!order) return { orderId: null, outcome: 'order_not_found' };
+
+      const [result] = await connection.execute(
+        "UPDATE orders SET payment_status = 'failed' WHERE order_id = ? AND payment_status = 'pending'",
+        [order.order_id]
+      );
+      return { orderId: order.order_id, outcome: result.affectedRows ? 'applied' : 'no_change' };
+    }
+
+    case 'refund.processed': {
+      const order = await findOrderForRazorpay(connection, {
+        paymentId: refund?.payment_id,
+        localOrderId: refund?.notes?.order_id
+      });
+      if (!order) return { orderId: null, outcome: 'order_not_found' };
+
+      await linkRazorpayRefund(connection, refund);
+      const [existing] = await connection.execute(
+        'SELECT status FROM order_refunds WHERE razorpay_refund_id = ?',
+        [refund.id]
+      );
+
+      // Refunds issued from the Razorpay dashboard are recorded here as well
+      await connection.execute(`
+        INSERT INTO order_refunds (order_id, razorpay_refund_id, amount, status, reason, processed_at)
+        VALUES (?, ?, ?, 'processed', 'Refunded via Razorpay', NOW())
+        ON DUPLICATE KEY UPDATE status = 'processed', processed_at = NOW(), failure_reason = NULL
+      `, [order.order_id, refund.id, (refund.amount || 0) / 100]);
+
+      // A partial refund leaves the order 'completed'
+      const settled = await settleRefundedStatus(connection, order.order_id);
+      const alreadyProcessed = existing.length > 0 && existing[0].status === 'processed';
+      return { orderId: order.order_id, outcome: alreadyProcessed && !settled ? 'no_change' : 'applied' };
+    }
+
+    case 'refund.failed': {
+      await linkRazorpayRefund(connection, refund);
+      const [result] = await connection.execute(
+        "UPDATE order_refunds SET status = 'failed', failure_reason = ? WHERE razorpay_refund_id = ? AND status = 'pending'",
+        [String(refund?.error_description || 'Refund failed at Razorpay').slice(0, 255), refund?.id || null]
+      );
+      const [rows] = await connection.execute(
+        'SELECT order_id FROM order_refunds WHERE razorpay_refund_id = ?',
+        [refund?.id || null]
+      );
+      return { orderId: rows[0]?.order_id || null, outcome: result.affectedRows ? 'applied' : 'no_change' };
+    }
+
+    default:
+      return { orderId: null, outcome: 'ignored' };
+  }
+};
+
+// @route   POST /api/orders/webhooks/razorpay
+// @desc    Razorpay webhook receiver (payment, order and refund events)
+// @access  Public (verified by X-Razorpay-Signature)
+router.post('/webhooks/razorpay', async (req, res) => {
+  if (!verifyWebhookSignature(req.rawBody, req.header('X-Razorpay-Signature'))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid webhook signature'
+    });
+  }
+
+  const event = req.body || {};
+  // Razorpay sends a unique id per event; fall back to a payload hash for older accounts
+  const eventId = req.header('X-Razorpay-Event-Id')
+    || crypto.createHash('sha256').update(req.rawBody).digest('hex');
+
+  const connection = await getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    // Record the event first; a duplicate key means it was already processed
+    const [logResult] = await connection.execute(
+      'INSERT IGNORE INTO payment_webhook_events (event_id, event_type, payload) VALUES (?, ?, ?)',
+      [eventId, String(event.event || 'unknown'), JSON.stringify(event)]
+    );
+
+    if (logResult.affectedRows === 0) {
+      await connection.rollback();
+      return res.json({
+        success: true,
+        message: 'Event already processed'
+      });
+    }
+
+    const { orderId, outcome, refundId } = await applyRazorpayEvent(connection, event);
+
+    await connection.execute(
+      'UPDATE payment_webhook_events SET order_id = ?, outcome = ? WHERE event_id = ?',
+      [orderId, outcome, eventId]
+    );
+
+    await connection.commit();
+
+    if (outcome === 'applied' && ['payment.captured', 'order.paid'].includes(event.event)) {
+      await notifyOrder(orderId, 'payment_confirmed');
+    }
+
+    const refundEntity = event.payload?.refund?.entity;
+    if (event.event === 'refund.processed' && orderId) {
+      await notifyOrder(orderId, 'order_refunded', { amount: (refundEntity.amount || 0) / 100 }, `refund:${refundEntity.id}`);
+    }
+
+    // Payment for an order whose reservation expired and could not be restored;
+    // the refund was reserved with the event, so a failure here is retried later
+    if (refundId) {
+      await sendRefund(refundId, { retry: true });
+    }
+
+    res.json({
+      success: true,
+      message: 'Webhook processed',
+      data: { event_id: eventId, outcome }
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Razorpay webhook error:', error);
+    // Non-2xx makes Razorpay retry the delivery later
+    res.status(500).json({
+      success: false,
+      message: 'Server error processing webhook'
+    });
+  } finally {
+    connection.release();
   }
 });
 
@@ -205,15 +520,17 @@ router.get('/', verifyToken, requireCustomer, async (req, res) => {
         JSON_ARRAYAGG(
           JSON_OBJECT(
             'product_id', oi.product_id,
-            'product_name', p.name,
+            'variant_id', oi.variant_id,
+            'product_name', ${VARIANT_NAME_SQL},
             'quantity', oi.quantity,
             'price', oi.price,
-            'image_url', p.image_url
+            'image_url', COALESCE(v.image_url, p.image_url)
           )
         ) as items
       FROM orders o
       LEFT JOIN order_items oi ON o.order_id = oi.order_id
       LEFT JOIN products p ON oi.product_id = p.product_id
+      LEFT JOIN product_variants v ON oi.variant_id = v.variant_id
       WHERE o.user_id = ?
     `;
     
@@ -281,18 +598,22 @@ router.get('/:id', verifyToken, requireCustomer, async (req, res) => {
       SELECT o.*, 
         JSON_ARRAYAGG(
           JSON_OBJECT(
+            'item_id', oi.item_id,
             'product_id', oi.product_id,
-            'product_name', p.name,
+            'variant_id', oi.variant_id,
+            'product_name', ${VARIANT_NAME_SQL},
+            'sku', v.sku,
             'quantity', oi.quantity,
             'price', oi.price,
-            'image_url', p.image_url,
+            'image_url', COALESCE(v.image_url, p.image_url),
             'category', p.category,
-            'unit', p.unit
+            'unit', v.unit
           )
         ) as items
       FROM orders o
       LEFT JOIN order_items oi ON o.order_id = oi.order_id
       LEFT JOIN products p ON oi.product_id = p.product_id
+      LEFT JOIN product_variants v ON oi.variant_id = v.variant_id
       WHERE o.order_id = ? AND o.user_id = ?
       GROUP BY o.order_id
     `, [id, req.user.user_id]);
@@ -306,6 +627,25 @@ router.get('/:id', verifyToken, requireCustomer, async (req, res) => {
 
     const order = orders[0];
     order.items = JSON.parse(order.items);
+    order.discounts = await executeQuery(
+      'SELECT code, product_id, description, amount FROM order_discounts WHERE order_id = ?',
+      [order.order_id]
+    );
+
+    const slots = order.slot_id
+      ? await executeQuery(
+        'SELECT slot_id, slot_date, label, start_time, end_time FROM delivery_slots WHERE slot_id = ?',
+        [order.slot_id]
+      )
+      : [];
+    order.delivery_slot = slots[0] || null;
+
+    order.complaints = await executeQuery(`
+      SELECT complaint_id, item_id, quantity, reason, status, resolution, resolution_amount, replacement_order_id, created_at
+      FROM order_complaints
+      WHERE order_id = ?
+      ORDER BY created_at
+    `, [order.order_id]);
 
     res.json({
       success: true,
@@ -320,94 +660,230 @@ router.get('/:id', verifyToken, requireCustomer, async (req, res) => {
   }
 });
 
-// @route   PUT /api/orders/:id/cancel
-// @desc    Cancel order
+// @route   GET /api/orders/:id/invoice
+// @desc    Download GST tax invoice PDF for an order
 // @access  Private (Customer)
-router.put('/:id/cancel', verifyToken, requireCustomer, async (req, res) => {
-  const connection = await getConnection();
-  
+router.get('/:id/invoice', verifyToken, requireCustomer, async (req, res) => {
   try {
-    await connection.beginTransaction();
-
-    const { id } = req.params;
-
-    // Get order details
-    const [order] = await connection.execute(
-      'SELECT * FROM orders WHERE order_id = ? AND user_id = ?',
-      [id, req.user.user_id]
+    const orders = await executeQuery(
+      'SELECT order_id FROM orders WHERE order_id = ? AND user_id = ?',
+      [req.params.id, req.user.user_id]
     );
 
-    if (!order.length) {
-      await connection.rollback();
+    if (!orders.length) {
       return res.status(404).json({
         success: false,
         message: 'Order not found'
       });
     }
 
-    const orderData = order[0];
+    const invoice = await issueInvoice(orders[0].order_id);
+    const pdf = await renderInvoicePdf(invoice);
 
-    if (!['placed', 'confirmed'].includes(orderData.order_status)) {
-      await connection.rollback();
-      return res.status(400).json({
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=invoice_${invoice.invoice_number.replace(/\//g, '-')}.pdf`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('Invoice download error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error generating invoice'
+    });
+  }
+});
+
+// @route   GET /api/orders/:id/timeline
+// @desc    Get order status history
+// @access  Private (Customer)
+router.get('/:id/timeline', verifyToken, requireCustomer, async (req, res) => {
+  try {
+    const orders = await executeQuery(
+      'SELECT order_id, order_status FROM orders WHERE order_id = ? AND user_id = ?',
+      [req.params.id, req.user.user_id]
+    );
+
+    if (!orders.length) {
+      return res.status(404).json({
         success: false,
-        message: 'Order cannot be cancelled at this stage'
+        message: 'Order not found'
       });
     }
 
-    // Get order items to restore stock
-    const [orderItems] = await connection.execute(
-      'SELECT product_id, quantity FROM order_items WHERE order_id = ?',
-      [id]
-    );
+    const timeline = await getOrderTimeline(orders[0].order_id);
 
-    // Restore stock
-    for (const item of orderItems) {
-      await connection.execute(
-        'UPDATE products SET stock = stock + ? WHERE product_id = ?',
-        [item.quantity, item.product_id]
-      );
-    }
+    res.json({
+      success: true,
+      data: {
+        order_status: orders[0].order_status,
+        timeline: timeline.map(({ changed_by, changed_by_name, ...entry }) => entry)
+      }
+    });
+  } catch (error) {
+    console.error('Order timeline error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching order timeline'
+    });
+  }
+});
 
-    // Update order status
-    await connection.execute(
-      'UPDATE orders SET order_status = ? WHERE order_id = ?',
-      ['cancelled', id]
-    );
+// @route   PUT /api/orders/:id/cancel
+// @desc    Cancel order
+// @access  Private (Customer)
+router.put('/:id/cancel', verifyToken, requireCustomer, [
+  body('reason').optional().trim().isLength({ max: 255 }).withMessage('Reason too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
 
-    await connection.commit();
+    const { refund } = await changeOrderStatus(req.params.id, 'cancelled', {
+      userId: req.user.user_id,
+      changedBy: req.user.user_id,
+      actorRole: 'customer',
+      note: req.body.reason || 'Cancelled by customer'
+    });
 
     res.json({
       success: true,
-      message: 'Order cancelled successfully'
+      message: 'Order cancelled successfully',
+      data: { refund }
     });
   } catch (error) {
-    await connection.rollback();
     console.error('Order cancellation error:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      message: 'Server error cancelling order'
+      message: error.status ? error.message : 'Server error cancelling order'
     });
-  } finally {
-    connection.release();
   }
 });
 
 // Admin routes for order management
 
+// Validation rules for the admin order list and export filters
+const adminOrderFilterValidation = [
+  query('status').optional().isIn(['placed', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled']).withMessage('Invalid status'),
+  query('payment_status').optional().isIn(['pending', 'completed', 'failed', 'refunded']).withMessage('Invalid payment status'),
+  query('payment_method').optional().isIn(PAYMENT_METHODS).withMessage('Invalid payment method'),
+  query('user_id').optional().isInt({ min: 1 }).withMessage('Valid user ID required'),
+  query('product_id').optional().isInt({ min: 1 }).withMessage('Valid product ID required'),
+  query('from').optional().isDate().withMessage('Valid from date required'),
+  query('to').optional().isDate().withMessage('Valid to date required'),
+  query('pincode').optional().matches(/^\d{6}$/).withMessage('Pincode must be 6 digits'),
+  query('village').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Village too long'),
+  query('min_amount').optional().isFloat({ min: 0 }).withMessage('Minimum amount must be a number'),
+  query('max_amount').optional().isFloat({ min: 0 }).withMessage('Maximum amount must be a number'),
+  query('search').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Search text too long')
+];
+
+// WHERE clause (after WHERE 1=1) for the admin order filters. Expects orders
+// as o and users as u in the query.
+const buildAdminOrderFilters = (filtersQuery) => {
+  const {
+    status, payment_status, payment_method, user_id, product_id,
+    from, to, pincode, village, min_amount, max_amount, search
+  } = filtersQuery;
+
+  let filters = '';
+  const filterParams = [];
+
+  if (status) {
+    filters += ' AND o.order_status = ?';
+    filterParams.push(status);
+  }
+
+  if (payment_status) {
+    filters += ' AND o.payment_status = ?';
+    filterParams.push(payment_status);
+  }
+
+  if (payment_method) {
+    filters += ' AND o.payment_method = ?';
+    filterParams.push(payment_method);
+  }
+
+  if (user_id) {
+    filters += ' AND o.user_id = ?';
+    filterParams.push(user_id);
+  }
+
+  if (product_id) {
+    filters += ' AND EXISTS (SELECT 1 FROM order_items fi WHERE fi.order_id = o.order_id AND fi.product_id = ?)';
+    filterParams.push(product_id);
+  }
+
+  if (from) {
+    filters += ' AND o.created_at >= ?';
+    filterParams.push(from);
+  }
+
+  if (to) {
+    filters += ' AND o.created_at < DATE_ADD(?, INTERVAL 1 DAY)';
+    filterParams.push(to);
+  }
+
+  if (pincode) {
+    filters += ' AND o.delivery_pincode = ?';
+    filterParams.push(pincode);
+  }
+
+  // Saved-address orders carry the village in their snapshot; older ones only
+  // have it somewhere in the address text
+  if (village) {
+    filters += " AND (JSON_UNQUOTE(JSON_EXTRACT(o.address_snapshot, '$.city')) = ? OR o.delivery_address LIKE ?)";
+    filterParams.push(village, `%${village}%`);
+  }
+
+  if (min_amount) {
+    filters += ' AND o.total_amount >= ?';
+    filterParams.push(min_amount);
+  }
+
+  if (max_amount) {
+    filters += ' AND o.total_amount <= ?';
+    filterParams.push(max_amount);
+  }
+
+  if (search) {
+    const like = `%${search}%`;
+    const orderId = /^#?\d+$/.test(search) ? parseInt(search.replace('#', ''), 10) : null;
+    filters += ' AND (u.name LIKE ? OR u.email LIKE ? OR u.phone LIKE ? OR o.phone LIKE ? OR o.order_id = ?)';
+    filterParams.push(like, like, like, like, orderId);
+  }
+
+  return { filters, filterParams };
+};
+
 // @route   GET /api/orders/admin/all
-// @desc    Get all orders (Admin)
+// @desc    Get all orders with filters, search and totals (Admin)
 // @access  Private (Admin)
-router.get('/admin/all', verifyToken, requireAdmin, async (req, res) => {
+router.get('/admin/all', verifyToken, requireAdmin, adminOrderFilterValidation, async (req, res) => {
   try {
-    const { page = 1, limit = 20, status, user_id } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const { filters, filterParams } = buildAdminOrderFilters(req.query);
 
     let query = `
-      SELECT o.*, u.name as customer_name, u.email as customer_email,
+      SELECT o.*, u.name as customer_name, u.email as customer_email, u.phone as customer_phone,
         JSON_ARRAYAGG(
           JSON_OBJECT(
             'product_id', oi.product_id,
-            'product_name', p.name,
+            'variant_id', oi.variant_id,
+            'product_name', ${VARIANT_NAME_SQL},
             'quantity', oi.quantity,
             'price', oi.price
           )
@@ -416,20 +892,11 @@ router.get('/admin/all', verifyToken, requireAdmin, async (req, res) => {
       JOIN users u ON o.user_id = u.user_id
       LEFT JOIN order_items oi ON o.order_id = oi.order_id
       LEFT JOIN products p ON oi.product_id = p.product_id
-      WHERE 1=1
+      LEFT JOIN product_variants v ON oi.variant_id = v.variant_id
+      WHERE 1=1 ${filters}
     `;
     
-    const queryParams = [];
-
-    if (status) {
-      query += ' AND o.order_status = ?';
-      queryParams.push(status);
-    }
-
-    if (user_id) {
-      query += ' AND o.user_id = ?';
-      queryParams.push(user_id);
-    }
+    const queryParams = [...filterParams];
 
     query += ' GROUP BY o.order_id ORDER BY o.created_at DESC';
 
@@ -440,13 +907,48 @@ router.get('/admin/all', verifyToken, requireAdmin, async (req, res) => {
 
     const orders = await executeQuery(query, queryParams);
 
+    // Totals and revenue split by payment method for the filtered orders
+    const [[totals], revenueByPaymentMethod] = await Promise.all([
+      executeQuery(`
+        SELECT COUNT(*) as total_orders,
+               COALESCE(SUM(o.total_amount), 0) as total_amount,
+               COALESCE(SUM(o.discount_amount), 0) as discount_amount,
+               COALESCE(SUM(o.delivery_charge), 0) as delivery_charge,
+               COALESCE(SUM(o.wallet_amount), 0) as wallet_amount,
+               COALESCE(SUM(CASE WHEN o.payment_status = 'completed' THEN o.total_amount ELSE 0 END), 0) as paid_amount,
+               COALESCE(SUM(CASE WHEN o.payment_status = 'pending' AND o.order_status != 'cancelled' THEN o.total_amount - o.wallet_amount ELSE 0 END), 0) as outstanding_amount
+        FROM orders o
+        JOIN users u ON o.user_id = u.user_id
+        WHERE 1=1 ${filters}
+      `, filterParams),
+      executeQuery(`
+        SELECT o.payment_method,
+               COUNT(*) as orders,
+               SUM(CASE WHEN o.payment_status = 'completed' THEN o.total_amount ELSE 0 END) as revenue,
+               SUM(CASE WHEN o.payment_status = 'pending' AND o.order_status != 'cancelled' THEN o.total_amount ELSE 0 END) as outstanding
+        FROM orders o
+        JOIN users u ON o.user_id = u.user_id
+        WHERE 1=1 ${filters}
+        GROUP BY o.payment_method
+      `, filterParams)
+    ]);
+
     res.json({
       success: true,
       data: {
         orders: orders.map(order => ({
           ...order,
           items: JSON.parse(order.items)
-        }))
+        })),
+        totals,
+        revenueByPaymentMethod,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(totals.total_orders / limit),
+          totalOrders: totals.total_orders,
+          hasNext: page * limit < totals.total_orders,
+          hasPrev: page > 1
+        }
       }
     });
   } catch (error) {
@@ -458,11 +960,201 @@ router.get('/admin/all', verifyToken, requireAdmin, async (req, res) => {
   }
 });
 
+// @route   GET /api/orders/admin/export
+// @desc    Export the filtered orders with their line items as Excel (two sheets)
+//          or CSV (two files in a zip) (Admin)
+// @access  Private (Admin)
+router.get('/admin/export', verifyToken, requireAdmin, [
+  ...adminOrderFilterValidation,
+  query('format').optional().isIn(['csv', 'excel']).withMessage('Format must be csv or excel')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { format = 'excel' } = req.query;
+    const { filters, filterParams } = buildAdminOrderFilters(req.query);
+
+    const orders = await executeQuery(`
+      SELECT o.order_id, o.created_at, u.name as customer_name, u.email as customer_email, o.phone,
+             o.delivery_address, o.delivery_pincode, o.order_status, o.payment_method, o.payment_status,
+             COALESCE(o.payment_id, o.collection_reference) as payment_id, o.discount_amount, o.delivery_charge, o.wallet_amount, o.total_amount
+      FROM orders o
+      JOIN users u ON o.user_id = u.user_id
+      WHERE 1=1 ${filters}
+      ORDER BY o.created_at DESC
+    `, filterParams);
+
+    const orderColumns = [
+      { header: 'Order ID', key: 'order_id', width: 10 },
+      { header: 'Date', key: 'created_at', width: 20 },
+      { header: 'Customer', key: 'customer_name', width: 20 },
+      { header: 'Email', key: 'customer_email', width: 25 },
+      { header: 'Phone', key: 'phone', width: 15 },
+      { header: 'Delivery Address', key: 'delivery_address', width: 40 },
+      { header: 'Pincode', key: 'delivery_pincode', width: 10 },
+      { header: 'Order Status', key: 'order_status', width: 12 },
+      { header: 'Payment Method', key: 'payment_method', width: 15 },
+      { header: 'Payment Status', key: 'payment_status', width: 15 },
+      { header: 'Payment ID', key: 'payment_id', width: 22 },
+      { header: 'Discount', key: 'discount_amount', width: 10 },
+      { header: 'Delivery Charge', key: 'delivery_charge', width: 15 },
+      { header: 'Paid From Wallet', key: 'wallet_amount', width: 15 },
+      { header: 'Total', key: 'total_amount', width: 12 }
+    ];
+
+    const items = orders.length
+      ? await executeQuery(`
+        SELECT oi.order_id, oi.product_id, v.sku, ${VARIANT_NAME_SQL} as product_name, v.unit, oi.quantity, oi.price,
+               oi.quantity * oi.price as line_total
+        FROM order_items oi
+        JOIN products p ON oi.product_id = p.product_id
+        JOIN product_variants v ON oi.variant_id = v.variant_id
+        WHERE oi.order_id IN (
+          SELECT o.order_id FROM orders o JOIN users u ON o.user_id = u.user_id WHERE 1=1 ${filters}
+        )
+        ORDER BY oi.order_id, oi.item_id
+      `, filterParams)
+      : [];
+
+    const itemColumns = [
+      { header: 'Order ID', key: 'order_id', width: 10 },
+      { header: 'Product ID', key: 'product_id', width: 10 },
+      { header: 'SKU', key: 'sku', width: 18 },
+      { header: 'Product', key: 'product_name', width: 25 },
+      { header: 'Unit', key: 'unit', width: 10 },
+      { header: 'Quantity', key: 'quantity', width: 10 },
+      { header: 'Price', key: 'price', width: 10 },
+      { header: 'Line Total', key: 'line_total', width: 12 }
+    ];
+
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    // CSV has no sheets, so orders and line items are two files in a zip
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', `attachment; filename=orders_${stamp}.zip`);
+
+      const archive = archiver('zip');
+      archive.on('error', (error) => {
+        console.error('Order export zip error:', error);
+        res.destroy(error);
+      });
+      archive.pipe(res);
+      archive.append(toCsv(orderColumns, orders), { name: `orders_${stamp}.csv` });
+      archive.append(toCsv(itemColumns, items), { name: `order_items_${stamp}.csv` });
+      return await archive.finalize();
+    }
+
+    const workbook = new ExcelJS.Workbook();
+
+    const ordersSheet = workbook.addWorksheet('Orders');
+    ordersSheet.columns = orderColumns;
+    orders.forEach(order => ordersSheet.addRow({
+      ...order,
+      discount_amount: Number(order.discount_amount),
+      delivery_charge: Number(order.delivery_charge),
+      wallet_amount: Number(order.wallet_amount),
+      total_amount: Number(order.total_amount)
+    }));
+
+    const itemsSheet = workbook.addWorksheet('Line Items');
+    itemsSheet.columns = itemColumns;
+    items.forEach(item => itemsSheet.addRow({
+      ...item,
+      price: Number(item.price),
+      line_total: Number(item.line_total)
+    }));
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename=orders_${stamp}.xlsx`);
+
+    await workbook.xlsx.write(res);
+    res.end();
+  } catch (error) {
+    console.error('Order export error:', error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error exporting orders'
+    });
+  }
+});
+
+// @route   POST /api/orders/admin/:id/collect-payment
+// @desc    Record cash/UPI collected at the doorstep for a pay-on-delivery order
+// @access  Private (Admin)
+router.post('/admin/:id/collect-payment', verifyToken, requireAdmin, [
+  body('amount').isFloat({ min: 0.01 }).withMessage('Collected amount must be a positive number'),
+  body('reference').optional().trim().isLength({ max: 100 }).withMessage('Reference too long')
+], async (req, res) => {
+  const connection = await getConnection();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { amount, reference } = req.body;
+
+    await connection.beginTransaction();
+
+    const [orders] = await connection.execute(
+      'SELECT * FROM orders WHERE order_id = ? FOR UPDATE',
+      [id]
+    );
+
+    if (!orders.length) {
+      await connection.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    await recordDoorstepPayment(connection, orders[0], {
+      amount,
+      reference,
+      collectedBy: req.user.user_id
+    });
+
+    await connection.commit();
+
+    res.json({
+      success: true,
+      message: 'Payment collection recorded'
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Payment collection error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error recording payment collection'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
 // @route   PUT /api/orders/admin/:id/status
 // @desc    Update order status (Admin)
 // @access  Private (Admin)
 router.put('/admin/:id/status', verifyToken, requireAdmin, [
-  body('status').isIn(['placed', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled']).withMessage('Invalid status')
+  body('status').isIn(['placed', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled']).withMessage('Invalid status'),
+  body('note').optional().trim().isLength({ max: 255 }).withMessage('Note too long'),
+  body('refund_amount').optional().isFloat({ min: 0.01 }).withMessage('Refund amount must be a positive number')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -475,29 +1167,195 @@ router.put('/admin/:id/status', verifyToken, requireAdmin, [
     }
 
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, note, refund_amount } = req.body;
+
+    const { refund } = await changeOrderStatus(id, status, {
+      changedBy: req.user.user_id,
+      actorRole: 'admin',
+      note: note || null,
+      refundAmount: refund_amount
+    });
+
+    res.json({
+      success: true,
+      message: 'Order status updated successfully',
+      data: { refund }
+    });
+  } catch (error) {
+    console.error('Order status update error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error updating order status'
+    });
+  }
+});
 
-    const result = await executeQuery(
-      'UPDATE orders SET order_status = ? WHERE order_id = ?',
-      [status, id]
+// @route   GET /api/orders/admin/:id/timeline
+// @desc    Get order status history with who made each change (Admin)
+// @access  Private (Admin)
+router.get('/admin/:id/timeline', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const orders = await executeQuery(
+      'SELECT order_id, order_status FROM orders WHERE order_id = ?',
+      [req.params.id]
     );
 
-    if (result.affectedRows === 0) {
+    if (!orders.length) {
       return res.status(404).json({
         success: false,
         message: 'Order not found'
       });
     }
 
+    const timeline = await getOrderTimeline(orders[0].order_id);
+
     res.json({
       success: true,
-      message: 'Order status updated successfully'
+      data: {
+        order_status: orders[0].order_status,
+        timeline
+      }
     });
   } catch (error) {
-    console.error('Order status update error:', error);
+    console.error('Order timeline error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching order timeline'
+    });
+  }
+});
+
+// Credit a paid order back to the customer's wallet in its own transaction.
+// Returns null when the order does not exist.
+const refundOrderToWallet = async (orderId, { amount, reason, initiatedBy }) => {
+  const connection = await getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [orders] = await connection.execute('SELECT * FROM orders WHERE order_id = ? FOR UPDATE', [orderId]);
+    if (!orders.length) {
+      await connection.rollback();
+      return null;
+    }
+
+    // Wallet-only orders are 'completed' at checkout; others once payment is in
+    if (orders[0].payment_status !== 'completed') {
+      const error = new Error('Only paid orders can be refunded');
+      error.status = 400;
+      throw error;
+    }
+
+    const refund = await refundToWallet(connection, orders[0], { amount, reason, initiatedBy });
+    await connection.commit();
+    return refund;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+// @route   POST /api/orders/admin/:id/refund
+// @desc    Refund a paid order fully or partially, to Razorpay or with to_wallet to the customer's wallet (Admin)
+// @access  Private (Admin)
+router.post('/admin/:id/refund', verifyToken, requireAdmin, [
+  body('amount').optional().isFloat({ min: 0.01 }).withMessage('Refund amount must be a positive number'),
+  body('reason').optional().trim().isLength({ max: 255 }).withMessage('Reason too long'),
+  body('to_wallet').optional().isBoolean().withMessage('to_wallet must be true or false').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { amount, reason, to_wallet } = req.body;
+
+    if (to_wallet) {
+      const refund = await refundOrderToWallet(id, {
+        amount,
+        reason: reason || 'Refund by admin',
+        initiatedBy: req.user.user_id
+      });
+
+      if (!refund) {
+        return res.status(404).json({
+          success: false,
+          message: 'Order not found'
+        });
+      }
+
+      await notifyOrder(id, 'order_refunded', { amount: refund.amount }, `wallet_refund:${refund.refund_id}`);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Refund credited to wallet',
+        data: { refund }
+      });
+    }
+
+    const orders = await executeQuery('SELECT * FROM orders WHERE order_id = ?', [id]);
+
+    if (!orders.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (orders[0].payment_method !== 'razorpay' || orders[0].payment_status !== 'completed' || !orders[0].payment_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only orders with a completed online payment can be refunded'
+      });
+    }
+
+    const refund = await initiateRefund(orders[0], {
+      amount,
+      reason: reason || 'Refund by admin',
+      initiatedBy: req.user.user_id
+    });
+
+    res.status(refund.status === 'failed' ? 502 : 201).json({
+      success: refund.status !== 'failed',
+      message: refund.status === 'failed' ? 'Refund request failed' : 'Refund initiated',
+      data: { refund }
+    });
+  } catch (error) {
+    console.error('Order refund error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error refunding order'
+    });
+  }
+});
+
+// @route   GET /api/orders/admin/:id/refunds
+// @desc    List refunds for an order (Admin)
+// @access  Private (Admin)
+router.get('/admin/:id/refunds', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const refunds = await executeQuery(
+      'SELECT * FROM order_refunds WHERE order_id = ? ORDER BY created_at DESC',
+      [req.params.id]
+    );
+
+    res.json({
+      success: true,
+      data: { refunds }
+    });
+  } catch (error) {
+    console.error('Order refunds fetch error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error updating order status'
+      message: 'Server error fetching refunds'
     });
   }
 });
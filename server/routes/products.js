@@ -1,60 +1,99 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
-const { executeQuery } = require('../config/database');
-const { verifyToken, requireAdmin } = require('../middleware/auth');
+const { executeQuery, getConnection } = require('../config/database');
+const { verifyToken, optionalToken, requireAdmin } = require('../middleware/auth');
+const { imageUpload } = require('../middleware/upload');
+const { PRICE_GROUPS, getUserPriceGroup, getPriceTiers } = require('../utils/pricing');
+const { getProductVariants } = require('../utils/variants');
+const { recordMovement } = require('../utils/stock');
+const { processImage, removeImage } = require('../utils/images');
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadPath = 'uploads/products';
-    if (!fs.existsSync(uploadPath)) {
-      fs.mkdirSync(uploadPath, { recursive: true });
-    }
-    cb(null, uploadPath);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, 'product-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
-
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = /jpeg|jpg|png|gif|webp/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype);
-
-    if (mimetype && extname) {
-      return cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed'));
-    }
-  }
-});
+const upload = imageUpload('products', 'product');
 
-// Validation rules for product
+// Validation rules for product (fields shared by all its variants)
 const productValidation = [
   body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Product name must be 2-100 characters'),
   body('description').optional().isLength({ max: 1000 }).withMessage('Description too long'),
-  body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number'),
-  body('stock').isInt({ min: 0 }).withMessage('Stock must be a non-negative integer'),
   body('category').isIn(['milk', 'paneer', 'buttermilk', 'ghee', 'curd', 'other']).withMessage('Invalid category'),
-  body('unit').isIn(['liter', 'kg', 'piece', 'packet']).withMessage('Invalid unit')
+  body('hsn_code').optional({ checkFalsy: true }).matches(/^\d{4,8}$/).withMessage('HSN code must be 4-8 digits'),
+  body('gst_rate').optional({ checkFalsy: true }).isIn(['0', '5', '12', '18', '28']).withMessage('GST rate must be 0, 5, 12, 18 or 28')
+];
+
+// Validation rules for a variant (pack size). Stock is only set when the
+// variant is created; after that it changes through batches and adjustments
+// in /api/inventory so every change is in the stock ledger.
+const variantValidation = [
+  body('sku').trim().matches(/^[A-Za-z0-9_-]{2,50}$/).withMessage('SKU must be 2-50 letters, digits, dashes or underscores'),
+  body('size_label').optional({ checkFalsy: true }).trim().isLength({ max: 50 }).withMessage('Size label too long'),
+  body('unit').isIn(['liter', 'kg', 'piece', 'packet']).withMessage('Invalid unit'),
+  body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+  body('sort_order').optional().isInt({ min: 0 }).withMessage('Sort order must be a non-negative integer')
+];
+
+const openingStockValidation = body('stock').optional().isInt({ min: 0 }).withMessage('Stock must be a non-negative integer');
+
+// Insert a variant and record its opening stock in the ledger. Must run
+// inside the caller's transaction.
+const insertVariant = async (connection, productId, { sku, size_label, unit, price, stock = 0, image_url = null, image_sizes = null, sort_order = 0 }, createdBy) => {
+  const [result] = await connection.execute(`
+    INSERT INTO product_variants (product_id, sku, size_label, unit, price, stock, image_url, image_sizes, sort_order)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [productId, sku, size_label || null, unit, price, Number(stock), image_url, image_sizes && JSON.stringify(image_sizes), sort_order]);
+
+  if (Number(stock) > 0) {
+    await recordMovement(connection, result.insertId, Number(stock), {
+      movementType: 'correction',
+      referenceType: 'adjustment',
+      note: 'Opening stock',
+      createdBy
+    });
+  }
+
+  return result.insertId;
+};
+
+// Validation rules for price tiers
+const priceTierValidation = [
+  body('price_group').optional({ nullable: true }).isIn(PRICE_GROUPS).withMessage('Price group must be retail, wholesale or institutional'),
+  body('min_quantity').isInt({ min: 1 }).withMessage('Minimum quantity must be at least 1'),
+  body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number')
 ];
 
+// Nest each product's active variants, with the price tiers that apply to the
+// viewer (retail when logged out). Variants without their own image use the
+// product's, in all its sizes.
+const withVariants = async (products, user) => {
+  const priceGroup = await getUserPriceGroup(user?.user_id);
+  const variants = await getProductVariants(products.map(product => product.product_id));
+  const tiers = await getPriceTiers([...variants.values()].flat().map(variant => variant.variant_id), priceGroup);
+
+  return products.map(product => ({
+    ...product,
+    price_group: priceGroup,
+    variants: (variants.get(product.product_id) || []).map(variant => ({
+      ...variant,
+      image_url: variant.image_url || product.image_url,
+      image_sizes: variant.image_url ? variant.image_sizes : product.image_sizes,
+      price_tiers: (tiers.get(variant.variant_id) || []).map(tier => ({
+        min_quantity: tier.min_quantity,
+        price: tier.price,
+        price_group: tier.price_group
+      }))
+    }))
+  }));
+};
+
+// Resize an uploaded image into its thumbnail, card and full sizes
+const processUpload = async (file) => (file ? processImage(file.path) : { image_url: null, image_sizes: null });
+
+const gstRateValue = (gstRate) => (gstRate === undefined || gstRate === '' ? null : gstRate);
+
 // @route   GET /api/products
-// @desc    Get all active products
+// @desc    Get all active products with their variants and the price tiers for the logged-in user
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', optionalToken, async (req, res) => {
   try {
     const { category, search } = req.query;
     const pageNum = Math.max(1, parseInt(req.query.page || '1', 10) || 1);
@@ -71,16 +110,18 @@ router.get('/', async (req, res) => {
       queryParams.push(category);
     }
 
-    // Add search filter
+    // Add search filter (name, description or a variant's SKU)
     if (search) {
-      query += ' AND (name LIKE ? OR description LIKE ?)';
-      queryParams.push(`%${search}%`, `%${search}%`);
+      query += ` AND (name LIKE ? OR description LIKE ? OR EXISTS (
+        SELECT 1 FROM product_variants v WHERE v.product_id = products.product_id AND v.sku LIKE ?
+      ))`;
+      queryParams.push(`%${search}%`, `%${search}%`, `%${search}%`);
     }
 
     // Add pagination (inline validated numbers to avoid MySQL placeholder issue)
     query += ` ORDER BY created_at DESC LIMIT ${limitNum} OFFSET ${offsetNum}`;
 
-    const products = await executeQuery(query, queryParams);
+    const products = await withVariants(await executeQuery(query, queryParams), req.user);
 
     // Get total count for pagination
     let countQuery = 'SELECT COUNT(*) as total FROM products WHERE is_active = 1';
@@ -92,8 +133,10 @@ router.get('/', async (req, res) => {
     }
 
     if (search) {
-      countQuery += ' AND (name LIKE ? OR description LIKE ?)';
-      countParams.push(`%${search}%`, `%${search}%`);
+      countQuery += ` AND (name LIKE ? OR description LIKE ? OR EXISTS (
+        SELECT 1 FROM product_variants v WHERE v.product_id = products.product_id AND v.sku LIKE ?
+      ))`;
+      countParams.push(`%${search}%`, `%${search}%`, `%${search}%`);
     }
 
     const countResult = await executeQuery(countQuery, countParams);
@@ -123,9 +166,9 @@ router.get('/', async (req, res) => {
 });
 
 // @route   GET /api/products/:id
-// @desc    Get single product
+// @desc    Get single product with its variants and the price tiers for the logged-in user
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalToken, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -141,10 +184,12 @@ router.get('/:id', async (req, res) => {
       });
     }
 
+    const [product] = await withVariants(products, req.user);
+
     res.json({
       success: true,
       data: {
-        product: products[0]
+        product
       }
     });
   } catch (error) {
@@ -157,9 +202,15 @@ router.get('/:id', async (req, res) => {
 });
 
 // @route   POST /api/products
-// @desc    Add new product
+// @desc    Add new product with its first variant
 // @access  Private (Admin only)
-router.post('/', verifyToken, requireAdmin, upload.single('image'), productValidation, async (req, res) => {
+router.post('/', verifyToken, requireAdmin, upload.single('image'), [
+  ...productValidation,
+  ...variantValidation,
+  openingStockValidation
+], async (req, res) => {
+  const connection = await getConnection();
+
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -170,13 +221,19 @@ router.post('/', verifyToken, requireAdmin, upload.single('image'), productValid
       });
     }
 
-    const { name, description, price, stock, category, unit } = req.body;
-    const image_url = req.file ? `/uploads/products/${req.file.filename}` : null;
+    const { name, description, category, hsn_code, gst_rate, sku, size_label, unit, price, stock = 0 } = req.body;
+    const { image_url, image_sizes } = await processUpload(req.file);
+
+    await connection.beginTransaction();
 
-    const result = await executeQuery(`
-      INSERT INTO products (name, description, price, stock, category, unit, image_url)
+    const [result] = await connection.execute(`
+      INSERT INTO products (name, description, category, image_url, image_sizes, hsn_code, gst_rate)
       VALUES (?, ?, ?, ?, ?, ?, ?)
-    `, [name, description, price, stock, category, unit, image_url]);
+    `, [name, description || null, category, image_url, image_sizes && JSON.stringify(image_sizes), hsn_code || null, gstRateValue(gst_rate)]);
+
+    const variantId = await insertVariant(connection, result.insertId, { sku, size_label, unit, price, stock }, req.user.user_id);
+
+    await connection.commit();
 
     res.status(201).json({
       success: true,
@@ -185,24 +242,41 @@ router.post('/', verifyToken, requireAdmin, upload.single('image'), productValid
         product_id: result.insertId,
         name,
         description,
-        price,
-        stock,
         category,
-        unit,
-        image_url
+        image_url,
+        image_sizes,
+        hsn_code: hsn_code || null,
+        gst_rate: gstRateValue(gst_rate),
+        variants: [{
+          variant_id: variantId,
+          sku,
+          size_label: size_label || null,
+          unit,
+          price,
+          stock
+        }]
       }
     });
   } catch (error) {
+    await connection.rollback();
     console.error('Product creation error:', error);
-    res.status(500).json({
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(error.code === 'ER_DUP_ENTRY' ? 400 : 500).json({
       success: false,
-      message: 'Server error creating product'
+      message: error.code === 'ER_DUP_ENTRY' ? 'A variant with this SKU already exists' : 'Server error creating product'
     });
+  } finally {
+    connection.release();
   }
 });
 
 // @route   PUT /api/products/:id
-// @desc    Update product
+// @desc    Update product details shared by its variants
 // @access  Private (Admin only)
 router.put('/:id', verifyToken, requireAdmin, upload.single('image'), productValidation, async (req, res) => {
   try {
@@ -216,7 +290,7 @@ router.put('/:id', verifyToken, requireAdmin, upload.single('image'), productVal
     }
 
     const { id } = req.params;
-    const { name, description, price, stock, category, unit } = req.body;
+    const { name, description, category, hsn_code, gst_rate } = req.body;
 
     // Check if product exists
     const existingProduct = await executeQuery(
@@ -233,23 +307,18 @@ router.put('/:id', verifyToken, requireAdmin, upload.single('image'), productVal
 
     let updateQuery = `
       UPDATE products 
-      SET name = ?, description = ?, price = ?, stock = ?, category = ?, unit = ?
+      SET name = ?, description = ?, category = ?, hsn_code = ?, gst_rate = ?
     `;
-    let updateParams = [name, description, price, stock, category, unit];
+    let updateParams = [name, description || null, category, hsn_code || null, gstRateValue(gst_rate)];
 
     // Handle image update
     if (req.file) {
-      updateQuery += ', image_url = ?';
-      updateParams.push(`/uploads/products/${req.file.filename}`);
+      const { image_url, image_sizes } = await processUpload(req.file);
+      updateQuery += ', image_url = ?, image_sizes = ?';
+      updateParams.push(image_url, JSON.stringify(image_sizes));
 
       // Delete old image if exists
-      const oldImageUrl = existingProduct[0].image_url;
-      if (oldImageUrl) {
-        const oldImagePath = path.join(__dirname, '..', '..', oldImageUrl);
-        if (fs.existsSync(oldImagePath)) {
-          fs.unlinkSync(oldImagePath);
-        }
-      }
+      removeImage(existingProduct[0].image_url, existingProduct[0].image_sizes);
     }
 
     updateQuery += ' WHERE product_id = ?';
@@ -263,9 +332,9 @@ router.put('/:id', verifyToken, requireAdmin, upload.single('image'), productVal
     });
   } catch (error) {
     console.error('Product update error:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      message: 'Server error updating product'
+      message: error.status ? error.message : 'Server error updating product'
     });
   }
 });
@@ -302,6 +371,356 @@ router.delete('/:id', verifyToken, requireAdmin, async (req, res) => {
   }
 });
 
+// @route   GET /api/products/:id/variants
+// @desc    All variants of a product, including inactive ones (Admin)
+// @access  Private (Admin)
+router.get('/:id/variants', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const variants = await getProductVariants([Number(req.params.id)], { includeInactive: true });
+
+    res.json({
+      success: true,
+      data: { variants: variants.get(Number(req.params.id)) || [] }
+    });
+  } catch (error) {
+    console.error('Variants fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching variants'
+    });
+  }
+});
+
+// @route   POST /api/products/:id/variants
+// @desc    Add a variant (pack size) to a product (Admin)
+// @access  Private (Admin)
+router.post('/:id/variants', verifyToken, requireAdmin, upload.single('image'), [
+  ...variantValidation,
+  openingStockValidation
+], async (req, res) => {
+  const connection = await getConnection();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const products = await executeQuery('SELECT product_id FROM products WHERE product_id = ?', [req.params.id]);
+    if (!products.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const { sku, size_label, unit, price, stock = 0, sort_order = 0 } = req.body;
+    const { image_url, image_sizes } = await processUpload(req.file);
+
+    await connection.beginTransaction();
+    const variantId = await insertVariant(
+      connection,
+      req.params.id,
+      { sku, size_label, unit, price, stock, image_url, image_sizes, sort_order },
+      req.user.user_id
+    );
+    await connection.commit();
+
+    res.status(201).json({
+      success: true,
+      message: 'Variant added successfully',
+      data: {
+        variant: {
+          variant_id: variantId,
+          product_id: Number(req.params.id),
+          sku,
+          size_label: size_label || null,
+          unit,
+          price,
+          stock,
+          image_url,
+          image_sizes,
+          sort_order
+        }
+      }
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Variant creation error:', error);
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(error.code === 'ER_DUP_ENTRY' ? 400 : 500).json({
+      success: false,
+      message: error.code === 'ER_DUP_ENTRY' ? 'A variant with this SKU already exists' : 'Server error adding variant'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// @route   PUT /api/products/:id/variants/:variantId
+// @desc    Update a variant's SKU, size, price or image (stock changes go through /api/inventory) (Admin)
+// @access  Private (Admin)
+router.put('/:id/variants/:variantId', verifyToken, requireAdmin, upload.single('image'), [
+  ...variantValidation,
+  body('is_active').optional().isBoolean().withMessage('is_active must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const existing = await executeQuery(
+      'SELECT image_url, image_sizes FROM product_variants WHERE variant_id = ? AND product_id = ?',
+      [req.params.variantId, req.params.id]
+    );
+
+    if (!existing.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Variant not found'
+      });
+    }
+
+    const { sku, size_label, unit, price, sort_order = 0, is_active = true } = req.body;
+
+    let updateQuery = `
+      UPDATE product_variants
+      SET sku = ?, size_label = ?, unit = ?, price = ?, sort_order = ?, is_active = ?
+    `;
+    const updateParams = [
+      sku, size_label || null, unit, price, sort_order, is_active === true || is_active === 'true'
+    ];
+
+    if (req.file) {
+      const { image_url, image_sizes } = await processUpload(req.file);
+      updateQuery += ', image_url = ?, image_sizes = ?';
+      updateParams.push(image_url, JSON.stringify(image_sizes));
+      removeImage(existing[0].image_url, existing[0].image_sizes);
+    }
+
+    updateQuery += ' WHERE variant_id = ?';
+    updateParams.push(req.params.variantId);
+
+    await executeQuery(updateQuery, updateParams);
+
+    res.json({
+      success: true,
+      message: 'Variant updated successfully'
+    });
+  } catch (error) {
+    console.error('Variant update error:', error);
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(error.code === 'ER_DUP_ENTRY' ? 400 : 500).json({
+      success: false,
+      message: error.code === 'ER_DUP_ENTRY' ? 'A variant with this SKU already exists' : 'Server error updating variant'
+    });
+  }
+});
+
+// @route   DELETE /api/products/:id/variants/:variantId
+// @desc    Delete a variant (soft delete, past orders keep referring to it) (Admin)
+// @access  Private (Admin)
+router.delete('/:id/variants/:variantId', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await executeQuery(
+      'UPDATE product_variants SET is_active = false WHERE variant_id = ? AND product_id = ?',
+      [req.params.variantId, req.params.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Variant not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Variant deleted successfully'
+    });
+  } catch (error) {
+    console.error('Variant deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting variant'
+    });
+  }
+});
+
+// @route   GET /api/products/:id/variants/:variantId/price-tiers
+// @desc    All price tiers for a variant (Admin)
+// @access  Private (Admin)
+router.get('/:id/variants/:variantId/price-tiers', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const tiers = await executeQuery(
+      'SELECT * FROM product_price_tiers WHERE variant_id = ? ORDER BY price_group, min_quantity',
+      [req.params.variantId]
+    );
+
+    res.json({
+      success: true,
+      data: { tiers }
+    });
+  } catch (error) {
+    console.error('Price tiers fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching price tiers'
+    });
+  }
+});
+
+// @route   POST /api/products/:id/variants/:variantId/price-tiers
+// @desc    Add a price tier to a variant (Admin)
+// @access  Private (Admin)
+router.post('/:id/variants/:variantId/price-tiers', verifyToken, requireAdmin, priceTierValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const variants = await executeQuery(
+      'SELECT variant_id FROM product_variants WHERE variant_id = ? AND product_id = ?',
+      [req.params.variantId, req.params.id]
+    );
+    if (!variants.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Variant not found'
+      });
+    }
+
+    const { price_group = null, min_quantity, price } = req.body;
+
+    const existing = await executeQuery(
+      'SELECT tier_id FROM product_price_tiers WHERE variant_id = ? AND price_group <=> ? AND min_quantity = ?',
+      [req.params.variantId, price_group, min_quantity]
+    );
+    if (existing.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'A tier for this price group and quantity already exists'
+      });
+    }
+
+    const result = await executeQuery(
+      'INSERT INTO product_price_tiers (variant_id, price_group, min_quantity, price) VALUES (?, ?, ?, ?)',
+      [req.params.variantId, price_group, min_quantity, price]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Price tier added successfully',
+      data: {
+        tier: { tier_id: result.insertId, variant_id: Number(req.params.variantId), price_group, min_quantity, price }
+      }
+    });
+  } catch (error) {
+    console.error('Price tier creation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error adding price tier'
+    });
+  }
+});
+
+// @route   PUT /api/products/price-tiers/:tierId
+// @desc    Update a price tier (Admin)
+// @access  Private (Admin)
+router.put('/price-tiers/:tierId', verifyToken, requireAdmin, [
+  ...priceTierValidation,
+  body('is_active').optional().isBoolean().withMessage('is_active must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { price_group = null, min_quantity, price, is_active = true } = req.body;
+
+    const result = await executeQuery(
+      'UPDATE product_price_tiers SET price_group = ?, min_quantity = ?, price = ?, is_active = ? WHERE tier_id = ?',
+      [price_group, min_quantity, price, is_active === true || is_active === 'true', req.params.tierId]
+    );
+
+    if (!result.affectedRows) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price tier not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Price tier updated successfully'
+    });
+  } catch (error) {
+    console.error('Price tier update error:', error);
+    res.status(error.code === 'ER_DUP_ENTRY' ? 400 : 500).json({
+      success: false,
+      message: error.code === 'ER_DUP_ENTRY'
+        ? 'A tier for this price group and quantity already exists'
+        : 'Server error updating price tier'
+    });
+  }
+});
+
+// @route   DELETE /api/products/price-tiers/:tierId
+// @desc    Delete a price tier (Admin)
+// @access  Private (Admin)
+router.delete('/price-tiers/:tierId', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await executeQuery('DELETE FROM product_price_tiers WHERE tier_id = ?', [req.params.tierId]);
+
+    if (!result.affectedRows) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price tier not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Price tier deleted successfully'
+    });
+  } catch (error) {
+    console.error('Price tier deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting price tier'
+    });
+  }
+});
+
 // @route   GET /api/products/categories/list
 // @desc    Get product categories
 // @access  Public
@@ -0,0 +1,219 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { executeQuery } = require('../config/database');
+const { verifyToken, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation rules for promotion
+const promotionValidation = [
+  body('code').trim().toUpperCase().matches(/^[A-Z0-9_-]{3,50}$/).withMessage('Code must be 3-50 letters, digits, - or _'),
+  body('description').optional().trim().isLength({ max: 255 }).withMessage('Description too long'),
+  body('discount_type').isIn(['percentage', 'flat', 'buy_x_get_y']).withMessage('Discount type must be percentage, flat or buy_x_get_y'),
+  body('discount_value')
+    .if(body('discount_type').isIn(['percentage', 'flat']))
+    .isFloat({ min: 0.01 }).withMessage('Discount value must be a positive number')
+    .bail()
+    .custom((value, { req }) => req.body.discount_type !== 'percentage' || Number(value) <= 100)
+    .withMessage('Percentage discount cannot exceed 100'),
+  body('buy_quantity').if(body('discount_type').equals('buy_x_get_y')).isInt({ min: 1 }).withMessage('Buy quantity must be at least 1'),
+  body('get_quantity').if(body('discount_type').equals('buy_x_get_y')).isInt({ min: 1 }).withMessage('Get quantity must be at least 1'),
+  body('max_discount_amount').optional({ nullable: true }).isFloat({ min: 0.01 }).withMessage('Maximum discount must be a positive number'),
+  body('scope').optional().isIn(['cart', 'product', 'category']).withMessage('Scope must be cart, product or category'),
+  body('scope_product_id').if(body('scope').equals('product')).isInt({ min: 1 }).withMessage('Valid product ID required for product scope'),
+  body('scope_category').if(body('scope').equals('category'))
+    .isIn(['milk', 'paneer', 'buttermilk', 'ghee', 'curd', 'other']).withMessage('Invalid category'),
+  body('min_cart_value').optional().isFloat({ min: 0 }).withMessage('Minimum cart value must be non-negative'),
+  body('usage_limit_total').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Usage limit must be at least 1'),
+  body('usage_limit_per_user').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Per-user limit must be at least 1'),
+  body('first_order_only').optional().isBoolean().withMessage('first_order_only must be true or false'),
+  body('starts_at').optional({ nullable: true }).isISO8601().withMessage('Valid start date/time required'),
+  body('ends_at').optional({ nullable: true }).isISO8601().withMessage('Valid end date/time required'),
+  body('is_active').optional().isBoolean().withMessage('is_active must be true or false')
+];
+
+// Column values for a promotion from a validated request body
+const promotionValues = (data) => {
+  const scope = data.scope || 'cart';
+  const isBuyXGetY = data.discount_type === 'buy_x_get_y';
+
+  return [
+    data.code,
+    data.description || null,
+    data.discount_type,
+    isBuyXGetY ? 0 : data.discount_value,
+    isBuyXGetY ? data.buy_quantity : null,
+    isBuyXGetY ? data.get_quantity : null,
+    data.max_discount_amount || null,
+    scope,
+    scope === 'product' ? data.scope_product_id : null,
+    scope === 'category' ? data.scope_category : null,
+    data.min_cart_value || 0,
+    data.usage_limit_total || null,
+    data.usage_limit_per_user || null,
+    data.first_order_only === true || data.first_order_only === 'true',
+    data.starts_at ? new Date(data.starts_at) : null,
+    data.ends_at ? new Date(data.ends_at) : null,
+    data.is_active === undefined ? true : data.is_active === true || data.is_active === 'true'
+  ];
+};
+
+// @route   GET /api/promotions
+// @desc    Get all promotions with usage counts
+// @access  Private (Admin)
+router.get('/', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const promotions = await executeQuery(`
+      SELECT pm.*,
+             COUNT(CASE WHEN o.order_status != 'cancelled' THEN pr.id END) as times_used,
+             COALESCE(SUM(CASE WHEN o.order_status != 'cancelled' THEN pr.discount_amount END), 0) as total_discount_given
+      FROM promotions pm
+      LEFT JOIN promotion_redemptions pr ON pm.promotion_id = pr.promotion_id
+      LEFT JOIN orders o ON pr.order_id = o.order_id
+      GROUP BY pm.promotion_id
+      ORDER BY pm.created_at DESC
+    `);
+
+    res.json({
+      success: true,
+      data: { promotions }
+    });
+  } catch (error) {
+    console.error('Promotions fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching promotions'
+    });
+  }
+});
+
+// @route   POST /api/promotions
+// @desc    Create promotion
+// @access  Private (Admin)
+router.post('/', verifyToken, requireAdmin, promotionValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const existing = await executeQuery('SELECT promotion_id FROM promotions WHERE code = ?', [req.body.code]);
+    if (existing.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'A promotion with this code already exists'
+      });
+    }
+
+    const result = await executeQuery(`
+      INSERT INTO promotions (
+        code, description, discount_type, discount_value, buy_quantity, get_quantity,
+        max_discount_amount, scope, scope_product_id, scope_category, min_cart_value,
+        usage_limit_total, usage_limit_per_user, first_order_only, starts_at, ends_at, is_active
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, promotionValues(req.body));
+
+    res.status(201).json({
+      success: true,
+      message: 'Promotion created successfully',
+      data: { promotion_id: result.insertId }
+    });
+  } catch (error) {
+    console.error('Promotion creation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating promotion'
+    });
+  }
+});
+
+// @route   PUT /api/promotions/:id
+// @desc    Update promotion
+// @access  Private (Admin)
+router.put('/:id', verifyToken, requireAdmin, promotionValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    const duplicate = await executeQuery(
+      'SELECT promotion_id FROM promotions WHERE code = ? AND promotion_id != ?',
+      [req.body.code, id]
+    );
+    if (duplicate.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'A promotion with this code already exists'
+      });
+    }
+
+    const result = await executeQuery(`
+      UPDATE promotions SET
+        code = ?, description = ?, discount_type = ?, discount_value = ?, buy_quantity = ?, get_quantity = ?,
+        max_discount_amount = ?, scope = ?, scope_product_id = ?, scope_category = ?, min_cart_value = ?,
+        usage_limit_total = ?, usage_limit_per_user = ?, first_order_only = ?, starts_at = ?, ends_at = ?, is_active = ?
+      WHERE promotion_id = ?
+    `, [...promotionValues(req.body), id]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Promotion updated successfully'
+    });
+  } catch (error) {
+    console.error('Promotion update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating promotion'
+    });
+  }
+});
+
+// @route   DELETE /api/promotions/:id
+// @desc    Deactivate promotion (kept for order history)
+// @access  Private (Admin)
+router.delete('/:id', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await executeQuery(
+      'UPDATE promotions SET is_active = false WHERE promotion_id = ?',
+      [req.params.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Promotion deactivated successfully'
+    });
+  } catch (error) {
+    console.error('Promotion deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deactivating promotion'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,250 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { executeQuery } = require('../config/database');
+const { verifyToken, requireAdmin } = require('../middleware/auth');
+const { withAvailability, listAvailableSlots, getSlotManifest } = require('../utils/slots');
+
+const router = express.Router();
+
+// Validation rules for delivery slot
+const slotValidation = [
+  body('slot_date').isDate().withMessage('Valid slot date required'),
+  body('label').trim().isLength({ min: 2, max: 50 }).withMessage('Label must be 2-50 characters'),
+  body('start_time').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Start time must be HH:MM'),
+  body('end_time').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('End time must be HH:MM')
+    .bail()
+    .custom((value, { req }) => value > req.body.start_time)
+    .withMessage('End time must be after start time'),
+  body('area').optional({ nullable: true }).trim().isLength({ max: 100 }).withMessage('Area name too long'),
+  body('pincodes').optional({ nullable: true }).isArray().withMessage('Pincodes must be a list'),
+  body('pincodes.*').matches(/^\d{6}$/).withMessage('Pincodes must be 6 digits'),
+  body('max_orders').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Max orders must be at least 1'),
+  body('max_liters').optional({ nullable: true }).isFloat({ min: 0.5 }).withMessage('Max liters must be a positive number'),
+  body('is_active').optional().isBoolean().withMessage('is_active must be true or false')
+];
+
+// Column values for a slot from a validated request body
+const slotValues = (data) => [
+  data.slot_date,
+  data.label,
+  data.start_time,
+  data.end_time,
+  data.area || null,
+  data.pincodes && data.pincodes.length ? data.pincodes.join(',') : null,
+  data.max_orders || null,
+  data.max_liters || null,
+  data.is_active === undefined ? true : data.is_active === true || data.is_active === 'true'
+];
+
+// @route   GET /api/slots/available
+// @desc    Get open delivery slots with remaining capacity
+// @access  Private
+router.get('/available', verifyToken, [
+  query('date').optional().isDate().withMessage('Valid date required'),
+  query('pincode').optional().matches(/^\d{6}$/).withMessage('Pincode must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const slots = await listAvailableSlots({ date: req.query.date, pincode: req.query.pincode });
+
+    res.json({
+      success: true,
+      data: { slots }
+    });
+  } catch (error) {
+    console.error('Available slots fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching delivery slots'
+    });
+  }
+});
+
+// @route   GET /api/slots/admin/manifest
+// @desc    Slot-wise delivery manifest for a day
+// @access  Private (Admin)
+router.get('/admin/manifest', verifyToken, requireAdmin, [
+  query('date').isDate().withMessage('Valid date required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const slots = await getSlotManifest(req.query.date);
+
+    res.json({
+      success: true,
+      data: {
+        date: req.query.date,
+        slots
+      }
+    });
+  } catch (error) {
+    console.error('Slot manifest error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error building delivery manifest'
+    });
+  }
+});
+
+// @route   GET /api/slots/admin
+// @desc    Get delivery slots with bookings (defaults to today onwards)
+// @access  Private (Admin)
+router.get('/admin', verifyToken, requireAdmin, [
+  query('from').optional().isDate().withMessage('Valid from date required'),
+  query('to').optional().isDate().withMessage('Valid to date required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const params = [];
+    let slotsQuery = 'SELECT * FROM delivery_slots WHERE slot_date >= ' + (req.query.from ? '?' : 'CURDATE()');
+    if (req.query.from) params.push(req.query.from);
+    if (req.query.to) {
+      slotsQuery += ' AND slot_date <= ?';
+      params.push(req.query.to);
+    }
+    slotsQuery += ' ORDER BY slot_date, start_time';
+
+    const slots = await withAvailability(await executeQuery(slotsQuery, params));
+
+    res.json({
+      success: true,
+      data: { slots }
+    });
+  } catch (error) {
+    console.error('Slots fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching delivery slots'
+    });
+  }
+});
+
+// @route   POST /api/slots
+// @desc    Create delivery slot
+// @access  Private (Admin)
+router.post('/', verifyToken, requireAdmin, slotValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await executeQuery(`
+      INSERT INTO delivery_slots (slot_date, label, start_time, end_time, area, pincodes, max_orders, max_liters, is_active)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, slotValues(req.body));
+
+    res.status(201).json({
+      success: true,
+      message: 'Delivery slot created successfully',
+      data: { slot_id: result.insertId }
+    });
+  } catch (error) {
+    console.error('Slot creation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating delivery slot'
+    });
+  }
+});
+
+// @route   PUT /api/slots/:id
+// @desc    Update delivery slot (existing bookings are kept)
+// @access  Private (Admin)
+router.put('/:id', verifyToken, requireAdmin, slotValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await executeQuery(`
+      UPDATE delivery_slots SET
+        slot_date = ?, label = ?, start_time = ?, end_time = ?, area = ?, pincodes = ?,
+        max_orders = ?, max_liters = ?, is_active = ?
+      WHERE slot_id = ?
+    `, [...slotValues(req.body), req.params.id]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery slot not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Delivery slot updated successfully'
+    });
+  } catch (error) {
+    console.error('Slot update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating delivery slot'
+    });
+  }
+});
+
+// @route   DELETE /api/slots/:id
+// @desc    Close delivery slot for new bookings (kept for order history)
+// @access  Private (Admin)
+router.delete('/:id', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await executeQuery(
+      'UPDATE delivery_slots SET is_active = false WHERE slot_id = ?',
+      [req.params.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery slot not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Delivery slot closed successfully'
+    });
+  } catch (error) {
+    console.error('Slot deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error closing delivery slot'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,689 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { executeQuery, getConnection } = require('../config/database');
+const { verifyToken, requireCustomer, requireAdmin } = require('../middleware/auth');
+const { VARIANT_NAME_SQL, getVariant } = require('../utils/variants');
+const { quoteDelivery } = require('../utils/zones');
+const {
+  toDateString,
+  addDays,
+  getPlannedQuantities,
+  runSubscriptionsForDate
+} = require('../utils/subscriptions');
+
+const router = express.Router();
+
+// Validation rules for subscription
+const subscriptionValidation = [
+  body('items').isArray({ min: 1 }).withMessage('Subscription must contain at least one item'),
+  body('items.*.variant_id').isInt({ min: 1 }).withMessage('Valid product variant ID required'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('frequency').isIn(['daily', 'alternate_days', 'weekly']).withMessage('Frequency must be daily, alternate_days or weekly'),
+  body('weekdays').if(body('frequency').equals('weekly'))
+    .isArray({ min: 1, max: 7 }).withMessage('Choose at least one weekday for weekly subscriptions'),
+  body('weekdays.*').optional().isInt({ min: 0, max: 6 }).withMessage('Weekdays must be 0 (Sunday) to 6 (Saturday)'),
+  body('start_date').isDate().withMessage('Valid start date required'),
+  body('end_date').optional({ nullable: true }).isDate().withMessage('Valid end date required'),
+  body('delivery_address').trim().isLength({ min: 10, max: 500 }).withMessage('Delivery address must be 10-500 characters'),
+  body('delivery_pincode').optional({ nullable: true }).matches(/^\d{6}$/).withMessage('Pincode must be 6 digits'),
+  body('phone').isMobilePhone().withMessage('Valid phone number required')
+];
+
+const today = () => toDateString(new Date());
+
+// Load a subscription owned by the user, with items, holds and upcoming skips
+const getOwnSubscription = async (subscriptionId, userId) => {
+  const subscriptions = await executeQuery(
+    'SELECT * FROM subscriptions WHERE subscription_id = ? AND user_id = ?',
+    [subscriptionId, userId]
+  );
+  if (!subscriptions.length) return null;
+
+  const subscription = subscriptions[0];
+  const [items, skips, holds] = await Promise.all([
+    executeQuery(`
+      SELECT si.product_id, si.variant_id, si.quantity, ${VARIANT_NAME_SQL} AS product_name, v.sku, v.price, v.unit,
+             COALESCE(v.image_url, p.image_url) AS image_url
+      FROM subscription_items si
+      JOIN product_variants v ON si.variant_id = v.variant_id
+      JOIN products p ON v.product_id = p.product_id
+      WHERE si.subscription_id = ?
+    `, [subscription.subscription_id]),
+    executeQuery(
+      'SELECT skip_date FROM subscription_skips WHERE subscription_id = ? AND skip_date >= CURDATE() ORDER BY skip_date',
+      [subscription.subscription_id]
+    ),
+    executeQuery(
+      'SELECT hold_id, start_date, end_date, reason FROM subscription_holds WHERE subscription_id = ? AND end_date >= CURDATE() ORDER BY start_date',
+      [subscription.subscription_id]
+    )
+  ]);
+
+  return {
+    ...subscription,
+    weekdays: subscription.weekdays ? subscription.weekdays.split(',').map(Number) : [],
+    items,
+    skips: skips.map(s => toDateString(s.skip_date)),
+    holds
+  };
+};
+
+// Check that every variant exists and is active
+const findInvalidVariant = async (items) => {
+  for (const item of items) {
+    if (!await getVariant(item.variant_id)) return item.variant_id;
+  }
+  return null;
+};
+
+// Check that the address is in a delivery zone and the items meet its minimum
+// order at list prices. Throws an error with status 400 if not.
+const checkServiceable = async (items, pincode) => {
+  let orderValue = 0;
+  for (const item of items) {
+    const variant = await getVariant(item.variant_id);
+    orderValue += Number(variant.price) * Number(item.quantity);
+  }
+
+  await quoteDelivery({ pincode }, { orderValue: Math.round(orderValue * 100) / 100 });
+};
+
+const replaceItems = async (connection, subscriptionId, items) => {
+  await connection.execute('DELETE FROM subscription_items WHERE subscription_id = ?', [subscriptionId]);
+
+  // Merge duplicate variant lines into one
+  const quantities = new Map();
+  for (const item of items) {
+    quantities.set(Number(item.variant_id), (quantities.get(Number(item.variant_id)) || 0) + Number(item.quantity));
+  }
+
+  for (const [variantId, quantity] of quantities) {
+    await connection.execute(`
+      INSERT INTO subscription_items (subscription_id, product_id, variant_id, quantity)
+      SELECT ?, product_id, variant_id, ? FROM product_variants WHERE variant_id = ?
+    `, [subscriptionId, quantity, variantId]);
+  }
+};
+
+// Admin routes
+
+// @route   GET /api/subscriptions/admin/planned
+// @desc    Planned quantity per product variant for a delivery date (defaults to tomorrow)
+// @access  Private (Admin)
+router.get('/admin/planned', verifyToken, requireAdmin, [
+  query('date').optional().isDate().withMessage('Valid date required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const date = req.query.date || addDays(today(), 1);
+    const products = await getPlannedQuantities(date);
+
+    res.json({
+      success: true,
+      data: {
+        date,
+        products
+      }
+    });
+  } catch (error) {
+    console.error('Planned quantities fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching planned quantities'
+    });
+  }
+});
+
+// @route   POST /api/subscriptions/admin/run
+// @desc    Generate subscription orders for a date now (defaults to today)
+// @access  Private (Admin)
+router.post('/admin/run', verifyToken, requireAdmin, [
+  body('date').optional().isDate().withMessage('Valid date required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const summary = await runSubscriptionsForDate(req.body.date || today());
+
+    res.json({
+      success: true,
+      message: 'Subscription run completed',
+      data: summary
+    });
+  } catch (error) {
+    console.error('Subscription run error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error running subscriptions'
+    });
+  }
+});
+
+// Customer routes
+
+// @route   GET /api/subscriptions
+// @desc    Get user's subscriptions
+// @access  Private (Customer)
+router.get('/', verifyToken, requireCustomer, async (req, res) => {
+  try {
+    const rows = await executeQuery(
+      "SELECT subscription_id FROM subscriptions WHERE user_id = ? AND status != 'cancelled' ORDER BY created_at DESC",
+      [req.user.user_id]
+    );
+
+    const subscriptions = [];
+    for (const row of rows) {
+      subscriptions.push(await getOwnSubscription(row.subscription_id, req.user.user_id));
+    }
+
+    res.json({
+      success: true,
+      data: { subscriptions }
+    });
+  } catch (error) {
+    console.error('Subscriptions fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching subscriptions'
+    });
+  }
+});
+
+// @route   GET /api/subscriptions/:id
+// @desc    Get single subscription
+// @access  Private (Customer)
+router.get('/:id', verifyToken, requireCustomer, async (req, res) => {
+  try {
+    const subscription = await getOwnSubscription(req.params.id, req.user.user_id);
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscription not found'
+      });
+    }
+
+    const runs = await executeQuery(
+      'SELECT delivery_date, status, order_id, note FROM subscription_runs WHERE subscription_id = ? ORDER BY delivery_date DESC LIMIT 30',
+      [subscription.subscription_id]
+    );
+
+    res.json({
+      success: true,
+      data: { subscription, runs }
+    });
+  } catch (error) {
+    console.error('Subscription fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching subscription'
+    });
+  }
+});
+
+// @route   POST /api/subscriptions
+// @desc    Create subscription
+// @access  Private (Customer)
+router.post('/', verifyToken, requireCustomer, subscriptionValidation, async (req, res) => {
+  const connection = await getConnection();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { items, frequency, weekdays, start_date, end_date, delivery_address, delivery_pincode, phone } = req.body;
+
+    if (start_date < today()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start date cannot be in the past'
+      });
+    }
+
+    if (end_date && end_date < start_date) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date must be on or after the start date'
+      });
+    }
+
+    const invalidVariant = await findInvalidVariant(items);
+    if (invalidVariant) {
+      return res.status(400).json({
+        success: false,
+        message: `Product variant with ID ${invalidVariant} not found`
+      });
+    }
+
+    try {
+      await checkServiceable(items, delivery_pincode);
+    } catch (error) {
+      if (!error.status) throw error;
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    await connection.beginTransaction();
+
+    const [result] = await connection.execute(`
+      INSERT INTO subscriptions (user_id, frequency, weekdays, start_date, end_date, delivery_address, delivery_pincode, phone)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      req.user.user_id,
+      frequency,
+      frequency === 'weekly' ? weekdays.join(',') : null,
+      start_date,
+      end_date || null,
+      delivery_address,
+      delivery_pincode || null,
+      phone
+    ]);
+
+    await replaceItems(connection, result.insertId, items);
+    await connection.commit();
+
+    res.status(201).json({
+      success: true,
+      message: 'Subscription created successfully',
+      data: {
+        subscription: await getOwnSubscription(result.insertId, req.user.user_id)
+      }
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Subscription creation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating subscription'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// @route   PUT /api/subscriptions/:id
+// @desc    Update subscription items, schedule or delivery details
+// @access  Private (Customer)
+router.put('/:id', verifyToken, requireCustomer, subscriptionValidation, async (req, res) => {
+  const connection = await getConnection();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { items, frequency, weekdays, start_date, end_date, delivery_address, delivery_pincode, phone } = req.body;
+
+    if (end_date && end_date < start_date) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date must be on or after the start date'
+      });
+    }
+
+    const existing = await getOwnSubscription(req.params.id, req.user.user_id);
+
+    if (!existing || existing.status === 'cancelled') {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscription not found'
+      });
+    }
+
+    const invalidVariant = await findInvalidVariant(items);
+    if (invalidVariant) {
+      return res.status(400).json({
+        success: false,
+        message: `Product variant with ID ${invalidVariant} not found`
+      });
+    }
+
+    try {
+      await checkServiceable(items, delivery_pincode);
+    } catch (error) {
+      if (!error.status) throw error;
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    await connection.beginTransaction();
+
+    await connection.execute(`
+      UPDATE subscriptions
+      SET frequency = ?, weekdays = ?, start_date = ?, end_date = ?, delivery_address = ?, delivery_pincode = ?, phone = ?
+      WHERE subscription_id = ?
+    `, [
+      frequency,
+      frequency === 'weekly' ? weekdays.join(',') : null,
+      start_date,
+      end_date || null,
+      delivery_address,
+      delivery_pincode || null,
+      phone,
+      existing.subscription_id
+    ]);
+
+    await replaceItems(connection, existing.subscription_id, items);
+    await connection.commit();
+
+    res.json({
+      success: true,
+      message: 'Subscription updated successfully',
+      data: {
+        subscription: await getOwnSubscription(existing.subscription_id, req.user.user_id)
+      }
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Subscription update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating subscription'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// @route   DELETE /api/subscriptions/:id
+// @desc    Cancel subscription
+// @access  Private (Customer)
+router.delete('/:id', verifyToken, requireCustomer, async (req, res) => {
+  try {
+    const result = await executeQuery(
+      "UPDATE subscriptions SET status = 'cancelled' WHERE subscription_id = ? AND user_id = ? AND status != 'cancelled'",
+      [req.params.id, req.user.user_id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscription not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Subscription cancelled successfully'
+    });
+  } catch (error) {
+    console.error('Subscription cancellation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error cancelling subscription'
+    });
+  }
+});
+
+// @route   PUT /api/subscriptions/:id/pause
+// @desc    Pause subscription until resumed
+// @access  Private (Customer)
+router.put('/:id/pause', verifyToken, requireCustomer, async (req, res) => {
+  try {
+    const result = await executeQuery(
+      "UPDATE subscriptions SET status = 'paused' WHERE subscription_id = ? AND user_id = ? AND status = 'active'",
+      [req.params.id, req.user.user_id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only active subscriptions can be paused'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Subscription paused'
+    });
+  } catch (error) {
+    console.error('Subscription pause error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error pausing subscription'
+    });
+  }
+});
+
+// @route   PUT /api/subscriptions/:id/resume
+// @desc    Resume paused subscription
+// @access  Private (Customer)
+router.put('/:id/resume', verifyToken, requireCustomer, async (req, res) => {
+  try {
+    const result = await executeQuery(
+      "UPDATE subscriptions SET status = 'active' WHERE subscription_id = ? AND user_id = ? AND status = 'paused'",
+      [req.params.id, req.user.user_id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only paused subscriptions can be resumed'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Subscription resumed'
+    });
+  } catch (error) {
+    console.error('Subscription resume error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error resuming subscription'
+    });
+  }
+});
+
+// @route   POST /api/subscriptions/:id/skips
+// @desc    Skip a single delivery date
+// @access  Private (Customer)
+router.post('/:id/skips', verifyToken, requireCustomer, [
+  body('date').isDate().withMessage('Valid date required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const subscription = await getOwnSubscription(req.params.id, req.user.user_id);
+    if (!subscription || subscription.status === 'cancelled') {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscription not found'
+      });
+    }
+
+    const { date } = req.body;
+
+    // Once the scheduler has run for a date the order already exists; a failed
+    // run can still be skipped instead of retried
+    const runs = await executeQuery(
+      "SELECT id FROM subscription_runs WHERE subscription_id = ? AND delivery_date = ? AND status <> 'failed'",
+      [subscription.subscription_id, date]
+    );
+
+    if (date < today() || runs.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'This delivery has already been processed and cannot be skipped'
+      });
+    }
+
+    await executeQuery(
+      'INSERT IGNORE INTO subscription_skips (subscription_id, skip_date) VALUES (?, ?)',
+      [subscription.subscription_id, date]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Delivery skipped'
+    });
+  } catch (error) {
+    console.error('Subscription skip error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error skipping delivery'
+    });
+  }
+});
+
+// @route   DELETE /api/subscriptions/:id/skips/:date
+// @desc    Undo a skipped delivery date
+// @access  Private (Customer)
+router.delete('/:id/skips/:date', verifyToken, requireCustomer, async (req, res) => {
+  try {
+    const subscription = await getOwnSubscription(req.params.id, req.user.user_id);
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscription not found'
+      });
+    }
+
+    const result = await executeQuery(
+      'DELETE FROM subscription_skips WHERE subscription_id = ? AND skip_date = ?',
+      [subscription.subscription_id, req.params.date]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Skipped date not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Skip removed'
+    });
+  } catch (error) {
+    console.error('Subscription unskip error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing skip'
+    });
+  }
+});
+
+// @route   POST /api/subscriptions/:id/holds
+// @desc    Add a vacation hold (no deliveries between the dates, inclusive)
+// @access  Private (Customer)
+router.post('/:id/holds', verifyToken, requireCustomer, [
+  body('start_date').isDate().withMessage('Valid start date required'),
+  body('end_date').isDate().withMessage('Valid end date required'),
+  body('reason').optional().trim().isLength({ max: 255 }).withMessage('Reason too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { start_date, end_date, reason } = req.body;
+
+    if (end_date < start_date || start_date < today()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Hold must start today or later and end on or after its start date'
+      });
+    }
+
+    const subscription = await getOwnSubscription(req.params.id, req.user.user_id);
+    if (!subscription || subscription.status === 'cancelled') {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscription not found'
+      });
+    }
+
+    const result = await executeQuery(
+      'INSERT INTO subscription_holds (subscription_id, start_date, end_date, reason) VALUES (?, ?, ?, ?)',
+      [subscription.subscription_id, start_date, end_date, reason || null]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Vacation hold added',
+      data: { hold_id: result.insertId }
+    });
+  } catch (error) {
+    console.error('Subscription hold error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error adding vacation hold'
+    });
+  }
+});
+
+// @route   DELETE /api/subscriptions/:id/holds/:holdId
+// @desc    Remove a vacation hold
+// @access  Private (Customer)
+router.delete('/:id/holds/:holdId', verifyToken, requireCustomer, async (req, res) => {
+  try {
+    const result = await executeQuery(`
+      DELETE sh FROM subscription_holds sh
+      JOIN subscriptions s ON sh.subscription_id = s.subscription_id
+      WHERE sh.hold_id = ? AND s.subscription_id = ? AND s.user_id = ?
+    `, [req.params.holdId, req.params.id, req.user.user_id]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vacation hold not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Vacation hold removed'
+    });
+  } catch (error) {
+    console.error('Subscription hold removal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing vacation hold'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,333 @@
+const express = require('express');
+const crypto = require('crypto');
+const ExcelJS = require('exceljs');
+const { body, query, validationResult } = require('express-validator');
+const { executeQuery, getConnection } = require('../config/database');
+const razorpay = require('../config/razorpay');
+const { verifyToken, requireCustomer, requireAdmin } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const {
+  getWalletBalance,
+  creditWalletTopup,
+  getWalletStatement,
+  adjustWallet
+} = require('../utils/wallet');
+
+const router = express.Router();
+
+// Largest single top-up accepted
+const MAX_TOPUP_AMOUNT = 50000;
+
+const ENTRY_LABELS = {
+  topup: 'Top-up',
+  admin_credit: 'Adjustment (credit)',
+  admin_debit: 'Adjustment (debit)',
+  order_debit: 'Order payment',
+  order_refund: 'Order refund'
+};
+
+// @route   GET /api/wallet
+// @desc    Get wallet balance and recent transactions
+// @access  Private (Customer)
+router.get('/', verifyToken, requireCustomer, async (req, res) => {
+  try {
+    const [balance, transactions] = await Promise.all([
+      getWalletBalance(req.user.user_id),
+      executeQuery(`
+        SELECT txn_id, entry_type, direction, amount, balance_after, order_id, note, created_at
+        FROM wallet_transactions
+        WHERE user_id = ?
+        ORDER BY created_at DESC, txn_id DESC
+        LIMIT 20
+      `, [req.user.user_id])
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        balance,
+        transactions
+      }
+    });
+  } catch (error) {
+    console.error('Wallet fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching wallet'
+    });
+  }
+});
+
+// @route   POST /api/wallet/topups
+// @desc    Start a wallet top-up (creates a Razorpay order)
+// @access  Private (Customer)
+router.post('/topups', verifyToken, requireCustomer, idempotent, [
+  body('amount').isFloat({ min: 1, max: MAX_TOPUP_AMOUNT }).withMessage(`Top-up amount must be between 1 and ${MAX_TOPUP_AMOUNT}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const amount = Math.round(Number(req.body.amount) * 100) / 100;
+
+    const razorpayOrder = await razorpay.orders.create({
+      amount: Math.round(amount * 100), // Amount in paise
+      currency: 'INR',
+      receipt: `wallet_${req.user.user_id}_${Date.now()}`,
+      notes: {
+        purpose: 'wallet_topup',
+        user_id: req.user.user_id
+      }
+    });
+
+    const result = await executeQuery(
+      'INSERT INTO wallet_topups (user_id, amount, razorpay_order_id) VALUES (?, ?, ?)',
+      [req.user.user_id, amount, razorpayOrder.id]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Top-up created',
+      data: {
+        topup_id: result.insertId,
+        amount,
+        razorpay_order: {
+          id: razorpayOrder.id,
+          amount: razorpayOrder.amount,
+          currency: razorpayOrder.currency
+        },
+        razorpay_key_id: process.env.RAZORPAY_KEY_ID
+      }
+    });
+  } catch (error) {
+    console.error('Wallet top-up error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating top-up'
+    });
+  }
+});
+
+// @route   POST /api/wallet/topups/verify
+// @desc    Verify a top-up payment and credit the wallet
+// @access  Private (Customer)
+router.post('/topups/verify', verifyToken, requireCustomer, idempotent, async (req, res) => {
+  const connection = await getConnection();
+
+  try {
+    const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
+
+    const expectedSignature = crypto
+      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+      .update(`${razorpay_order_id}|${razorpay_payment_id}`)
+      .digest('hex');
+
+    if (expectedSignature !== razorpay_signature) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid payment signature'
+      });
+    }
+
+    const topups = await executeQuery(
+      'SELECT topup_id FROM wallet_topups WHERE razorpay_order_id = ? AND user_id = ?',
+      [razorpay_order_id, req.user.user_id]
+    );
+
+    if (!topups.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Top-up not found'
+      });
+    }
+
+    // The payment.captured webhook may already have credited it
+    await connection.beginTransaction();
+    await creditWalletTopup(connection, razorpay_order_id, razorpay_payment_id);
+    await connection.commit();
+
+    res.json({
+      success: true,
+      message: 'Wallet topped up successfully',
+      data: { balance: await getWalletBalance(req.user.user_id) }
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Wallet top-up verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error verifying top-up'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// @route   GET /api/wallet/statement
+// @desc    Monthly wallet statement (Excel download, or JSON with format=json)
+// @access  Private (Customer)
+router.get('/statement', verifyToken, requireCustomer, [
+  query('month').matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('Month must be YYYY-MM'),
+  query('format').optional().isIn(['excel', 'json']).withMessage('Format must be excel or json')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { month, format = 'excel' } = req.query;
+    const statement = await getWalletStatement(req.user.user_id, month);
+
+    if (format === 'json') {
+      return res.json({
+        success: true,
+        data: { statement }
+      });
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet(`Wallet ${month}`);
+
+    worksheet.columns = [
+      { header: 'Date', key: 'date', width: 20 },
+      { header: 'Description', key: 'description', width: 30 },
+      { header: 'Order', key: 'order_id', width: 10 },
+      { header: 'Credit', key: 'credit', width: 12 },
+      { header: 'Debit', key: 'debit', width: 12 },
+      { header: 'Balance', key: 'balance', width: 12 }
+    ];
+
+    worksheet.addRow({ description: 'Opening balance', balance: statement.opening_balance });
+
+    statement.entries.forEach(entry => {
+      worksheet.addRow({
+        date: new Date(entry.created_at).toLocaleString('en-IN'),
+        description: entry.note || ENTRY_LABELS[entry.entry_type],
+        order_id: entry.order_id || '',
+        credit: entry.direction === 'credit' ? Number(entry.amount) : '',
+        debit: entry.direction === 'debit' ? Number(entry.amount) : '',
+        balance: Number(entry.balance_after)
+      });
+    });
+
+    worksheet.addRow({
+      description: 'Closing balance',
+      credit: statement.total_credits,
+      debit: statement.total_debits,
+      balance: statement.closing_balance
+    });
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename=wallet_statement_${month}.xlsx`);
+
+    await workbook.xlsx.write(res);
+    res.end();
+  } catch (error) {
+    console.error('Wallet statement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating statement'
+    });
+  }
+});
+
+// @route   GET /api/wallet/admin/liability
+// @desc    Total wallet balances owed to customers
+// @access  Private (Admin)
+router.get('/admin/liability', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const [[summary], wallets] = await Promise.all([
+      executeQuery(`
+        SELECT COALESCE(SUM(balance), 0) as total_liability,
+               COUNT(CASE WHEN balance > 0 THEN 1 END) as wallets_with_balance
+        FROM wallets
+      `),
+      executeQuery(`
+        SELECT w.user_id, u.name, u.email, w.balance, w.updated_at
+        FROM wallets w
+        JOIN users u ON w.user_id = u.user_id
+        WHERE w.balance > 0
+        ORDER BY w.balance DESC
+      `)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        total_liability: Number(summary.total_liability),
+        wallets_with_balance: summary.wallets_with_balance,
+        wallets
+      }
+    });
+  } catch (error) {
+    console.error('Wallet liability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching wallet liability'
+    });
+  }
+});
+
+// @route   POST /api/wallet/admin/:userId/adjust
+// @desc    Credit or debit a customer's wallet (Admin)
+// @access  Private (Admin)
+router.post('/admin/:userId/adjust', verifyToken, requireAdmin, [
+  body('type').isIn(['credit', 'debit']).withMessage('Type must be credit or debit'),
+  body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be a positive number'),
+  body('note').trim().isLength({ min: 3, max: 255 }).withMessage('Note must be 3-255 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const users = await executeQuery(
+      "SELECT user_id FROM users WHERE user_id = ? AND role = 'customer'",
+      [req.params.userId]
+    );
+
+    if (!users.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const balance = await adjustWallet(users[0].user_id, {
+      entryType: req.body.type === 'credit' ? 'admin_credit' : 'admin_debit',
+      amount: req.body.amount,
+      note: req.body.note,
+      createdBy: req.user.user_id
+    });
+
+    res.json({
+      success: true,
+      message: 'Wallet adjusted successfully',
+      data: { balance }
+    });
+  } catch (error) {
+    console.error('Wallet adjustment error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error adjusting wallet'
+    });
+  }
+});
+
+module.exports = router;
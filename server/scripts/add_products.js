@@ -1,10 +1,12 @@
 /*
   Bulk add extended product catalog
-  - Safe to run multiple times (checks by product name)
+  - Size-suffixed names become variants of one product (Cow Milk 500ml and 1L)
+  - Safe to run multiple times (checks by SKU)
 */
 
 require('dotenv').config({ path: require('path').resolve(__dirname, '..', '..', '.env') });
-const { pool, executeQuery } = require('../config/database');
+const { pool } = require('../config/database');
+const { ensureVariant } = require('../utils/variants');
 
 const PRODUCTS = [
   // Milk variants
@@ -47,13 +49,7 @@ const PRODUCTS = [
 async function upsertProducts() {
   let added = 0;
   for (const p of PRODUCTS) {
-    const exists = await executeQuery('SELECT product_id FROM products WHERE name = ?', [p.name]);
-    if (exists.length) continue;
-    await executeQuery(
-      'INSERT INTO products (name, description, price, stock, image_url, category, unit, is_active) VALUES (?, ?, ?, ?, ?, ?, ?, true)',
-      [p.name, p.description, p.price, p.stock, null, p.category, p.unit]
-    );
-    added++;
+    if (await ensureVariant(p)) added++;
   }
   return added;
 }
@@ -62,7 +58,7 @@ async function upsertProducts() {
   try {
     console.log('Adding extended product catalog...');
     const added = await upsertProducts();
-    console.log(`Done. Added ${added} new products.`);
+    console.log(`Done. Added ${added} new product variants.`);
   } catch (e) {
     console.error('Bulk add products error:', e);
     process.exitCode = 1;
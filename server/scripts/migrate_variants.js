@@ -0,0 +1,341 @@
+/*
+  Migrate products to the product -> variant model
+  - Products whose names differ only by a pack size suffix ("Cow Milk 500ml",
+    "Cow Milk 1L") in the same category become variants of one product
+  - Every other product becomes a product with a single variant
+  - Cart, order, subscription and price tier rows are pointed at the new variants
+  - Adds the low-stock columns to product_variants if it predates them, also
+    on a database that already uses variants
+  - Safe to run again: finished steps and already merged groups are skipped
+
+  Usage: node scripts/migrate_variants.js [--dry-run]
+*/
+
+require('dotenv').config({ path: require('path').resolve(__dirname, '..', '..', '.env') });
+const { pool, executeQuery, getConnection } = require('../config/database');
+const { splitPackSize, makeSku } = require('../utils/variants');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// Tables whose lines now refer to a variant as well as a product
+const LINE_TABLES = ['order_items', 'cart_items', 'subscription_items'];
+
+// Low-stock columns of product_variants and their definitions
+const LOW_STOCK_COLUMNS = [
+  ['reorder_level', 'INT NULL AFTER stock'],
+  ['target_level', 'INT NULL AFTER reorder_level'],
+  ['low_stock_alerted_at', 'DATETIME NULL AFTER target_level']
+];
+
+// Product references that move to the merged product
+const PRODUCT_REFERENCES = [
+  ['order_items', 'product_id'],
+  ['cart_items', 'product_id'],
+  ['subscription_items', 'product_id'],
+  ['order_discounts', 'product_id'],
+  ['order_complaints', 'product_id'],
+  ['promotions', 'scope_product_id']
+];
+
+async function tableExists(table) {
+  const rows = await executeQuery(
+    'SELECT 1 FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?',
+    [table]
+  );
+  return rows.length > 0;
+}
+
+async function columnExists(table, column) {
+  const rows = await executeQuery(
+    'SELECT 1 FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+    [table, column]
+  );
+  return rows.length > 0;
+}
+
+async function indexExists(table, index) {
+  const rows = await executeQuery(
+    'SELECT 1 FROM information_schema.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?',
+    [table, index]
+  );
+  return rows.length > 0;
+}
+
+// Name of the foreign key on a column, or null
+async function foreignKeyName(table, column) {
+  const rows = await executeQuery(`
+    SELECT CONSTRAINT_NAME FROM information_schema.KEY_COLUMN_USAGE
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ? AND REFERENCED_TABLE_NAME IS NOT NULL
+  `, [table, column]);
+  return rows.length ? rows[0].CONSTRAINT_NAME : null;
+}
+
+// Group the old products by name without the size suffix and category. The
+// oldest product of a group is kept; the rest are merged into it.
+async function planGroups() {
+  const products = await executeQuery(
+    'SELECT product_id, name, category, price, stock, unit, image_url, is_active FROM products ORDER BY product_id'
+  );
+
+  const groups = new Map();
+  for (const product of products) {
+    const { baseName, sizeLabel } = splitPackSize(product.name);
+    const key = `${baseName.toLowerCase()}|${product.category}`;
+    if (!groups.has(key)) groups.set(key, { baseName, products: [] });
+    groups.get(key).products.push({ ...product, size_label: sizeLabel });
+  }
+
+  const usedSkus = new Set(await tableExists('product_variants')
+    ? (await executeQuery('SELECT sku FROM product_variants')).map(row => row.sku)
+    : []);
+  const plan = [];
+
+  for (const { baseName, products: members } of groups.values()) {
+    // Only groups where every name has a pack size are merged. A group that
+    // was only partly size-suffixed ("Paneer", "Paneer 200g") keeps the full
+    // names, one product per member.
+    const merged = members.length > 1 && members.every(product => product.size_label);
+    const parts = merged ? [members] : members.map(product => [product]);
+
+    for (const planMembers of parts) {
+      const variants = planMembers
+        .sort((a, b) => Number(a.price) - Number(b.price))
+        .map((product, index) => {
+          let sku = makeSku(merged ? baseName : product.name, merged ? product.size_label : null);
+          if (usedSkus.has(sku)) sku = `${sku.slice(0, 40)}-${product.product_id}`;
+          usedSkus.add(sku);
+          return { ...product, sku, sort_order: index };
+        });
+
+      plan.push({
+        keeperId: Math.min(...planMembers.map(product => product.product_id)),
+        name: merged ? baseName : planMembers[0].name,
+        variants
+      });
+    }
+  }
+
+  return plan;
+}
+
+// Create the variants of one group and point everything at them, in one transaction
+async function migrateGroup(group) {
+  const connection = await getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const productIds = group.variants.map(variant => variant.product_id);
+    const [done] = await connection.execute(
+      `SELECT 1 FROM product_variants WHERE product_id IN (${productIds.map(() => '?').join(', ')}) LIMIT 1`,
+      productIds
+    );
+    if (done.length) {
+      await connection.rollback();
+      return false;
+    }
+
+    for (const variant of group.variants) {
+      const [result] = await connection.execute(`
+        INSERT INTO product_variants (product_id, sku, size_label, unit, price, stock, image_url, sort_order, is_active)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        group.keeperId,
+        variant.sku,
+        group.variants.length > 1 ? variant.size_label : null,
+        variant.unit,
+        variant.price,
+        variant.stock,
+        variant.product_id === group.keeperId ? null : variant.image_url,
+        variant.sort_order,
+        variant.is_active
+      ]);
+
+      for (const table of LINE_TABLES) {
+        await connection.execute(
+          `UPDATE ${table} SET variant_id = ? WHERE product_id = ? AND variant_id IS NULL`,
+          [result.insertId, variant.product_id]
+        );
+      }
+      await connection.execute(
+        'UPDATE product_price_tiers SET variant_id = ? WHERE product_id = ? AND variant_id IS NULL',
+        [result.insertId, variant.product_id]
+      );
+
+      if (variant.product_id !== group.keeperId) {
+        for (const [table, column] of PRODUCT_REFERENCES) {
+          await connection.execute(
+            `UPDATE ${table} SET ${column} = ? WHERE ${column} = ?`,
+            [group.keeperId, variant.product_id]
+          );
+        }
+      }
+    }
+
+    const mergedIds = productIds.filter(id => id !== group.keeperId);
+    if (mergedIds.length) {
+      await connection.execute(
+        `DELETE FROM products WHERE product_id IN (${mergedIds.map(() => '?').join(', ')})`,
+        mergedIds
+      );
+    }
+
+    await connection.execute(
+      'UPDATE products SET name = ?, is_active = ? WHERE product_id = ?',
+      [group.name, group.variants.some(variant => variant.is_active), group.keeperId]
+    );
+
+    await connection.commit();
+    return true;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Low-stock settings, for a product_variants table created before they existed
+async function addLowStockColumns() {
+  for (const [column, definition] of LOW_STOCK_COLUMNS) {
+    if (!(await columnExists('product_variants', column))) {
+      await pool.query(`ALTER TABLE product_variants ADD COLUMN ${column} ${definition}`);
+    }
+  }
+}
+
+// Schema changes needed before any rows move. variant_id starts out nullable;
+// the new unique keys allow that, so they can replace the old per-product ones
+// (which merging would break) straight away.
+async function prepareSchema() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS product_variants (
+      variant_id INT PRIMARY KEY AUTO_INCREMENT,
+      product_id INT NOT NULL,
+      sku VARCHAR(50) NOT NULL UNIQUE,
+      size_label VARCHAR(50),
+      unit ENUM('liter', 'kg', 'piece', 'packet') NOT NULL DEFAULT 'liter',
+      price DECIMAL(10,2) NOT NULL,
+      stock INT NOT NULL DEFAULT 0,
+      reorder_level INT NULL,
+      target_level INT NULL,
+      low_stock_alerted_at DATETIME NULL,
+      image_url VARCHAR(255),
+      sort_order INT NOT NULL DEFAULT 0,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (product_id) REFERENCES products(product_id) ON DELETE CASCADE
+    )
+  `);
+
+  await addLowStockColumns();
+
+  for (const table of [...LINE_TABLES, 'product_price_tiers']) {
+    if (!(await columnExists(table, 'variant_id'))) {
+      await pool.query(`ALTER TABLE ${table} ADD COLUMN variant_id INT NULL AFTER product_id`);
+    }
+  }
+
+  if (!(await indexExists('cart_items', 'uniq_cart_user_variant'))) {
+    await pool.query('ALTER TABLE cart_items ADD UNIQUE KEY uniq_cart_user_variant (user_id, variant_id)');
+  }
+  if (await indexExists('cart_items', 'uniq_cart_user_product')) {
+    await pool.query('ALTER TABLE cart_items DROP INDEX uniq_cart_user_product');
+  }
+
+  if (!(await indexExists('subscription_items', 'unique_subscription_variant'))) {
+    await pool.query('ALTER TABLE subscription_items ADD UNIQUE KEY unique_subscription_variant (subscription_id, variant_id)');
+  }
+  if (await indexExists('subscription_items', 'unique_subscription_product')) {
+    await pool.query('ALTER TABLE subscription_items DROP INDEX unique_subscription_product');
+  }
+
+  // Tiers of merged products must survive the products being deleted
+  const tierProductKey = await foreignKeyName('product_price_tiers', 'product_id');
+  if (tierProductKey) {
+    await pool.query(`ALTER TABLE product_price_tiers DROP FOREIGN KEY ${tierProductKey}`);
+  }
+}
+
+// Schema changes once every row has a variant
+async function finishSchema() {
+  for (const table of [...LINE_TABLES, 'product_price_tiers']) {
+    const [{ missing }] = await executeQuery(`SELECT COUNT(*) as missing FROM ${table} WHERE variant_id IS NULL`);
+    if (missing > 0) {
+      throw new Error(`${missing} rows in ${table} have no variant; fix them and run the migration again`);
+    }
+  }
+
+  if (await indexExists('product_price_tiers', 'unique_product_tier')) {
+    await pool.query('ALTER TABLE product_price_tiers DROP INDEX unique_product_tier');
+  }
+  if (await columnExists('product_price_tiers', 'product_id')) {
+    await pool.query('ALTER TABLE product_price_tiers DROP COLUMN product_id');
+  }
+  if (!(await indexExists('product_price_tiers', 'unique_variant_tier'))) {
+    await pool.query('ALTER TABLE product_price_tiers ADD UNIQUE KEY unique_variant_tier (variant_id, price_group, min_quantity)');
+  }
+
+  for (const table of [...LINE_TABLES, 'product_price_tiers']) {
+    await pool.query(`ALTER TABLE ${table} MODIFY variant_id INT NOT NULL`);
+    if (!(await foreignKeyName(table, 'variant_id'))) {
+      await pool.query(`
+        ALTER TABLE ${table}
+        ADD FOREIGN KEY (variant_id) REFERENCES product_variants(variant_id) ON DELETE CASCADE
+      `);
+    }
+  }
+
+  for (const column of ['price', 'stock', 'unit']) {
+    if (await columnExists('products', column)) {
+      await pool.query(`ALTER TABLE products DROP COLUMN ${column}`);
+    }
+  }
+
+  if (!(await indexExists('product_variants', 'idx_product_variants_product'))) {
+    await pool.query('CREATE INDEX idx_product_variants_product ON product_variants(product_id, sort_order)');
+  }
+}
+
+(async function main() {
+  try {
+    if (!(await columnExists('products', 'price'))) {
+      if (await tableExists('product_variants')) {
+        if (!DRY_RUN) await addLowStockColumns();
+        console.log('Products already use variants; nothing else to do.');
+        return;
+      }
+      throw new Error('products has no price column and there is no product_variants table');
+    }
+
+    if (DRY_RUN) {
+      for (const group of await planGroups()) {
+        console.log(`${group.name} (product #${group.keeperId})`);
+        for (const variant of group.variants) {
+          console.log(`  #${variant.product_id} ${variant.name} -> ${variant.sku} ${variant.size_label || ''}`);
+        }
+      }
+      console.log('Dry run: nothing was changed.');
+      return;
+    }
+
+    console.log('Preparing schema...');
+    await prepareSchema();
+
+    let migrated = 0;
+    for (const group of await planGroups()) {
+      if (await migrateGroup(group)) migrated++;
+    }
+    console.log(`Created variants for ${migrated} products.`);
+
+    console.log('Finishing schema...');
+    await finishSchema();
+    console.log('Done.');
+  } catch (e) {
+    console.error('Variant migration error:', e);
+    process.exitCode = 1;
+  } finally {
+    try { await pool.end(); } catch {}
+  }
+})();
@@ -0,0 +1,115 @@
+/*
+  Generate thumbnail, card and full sizes (WebP and JPEG, EXIF removed) for
+  product and variant images uploaded before uploads were processed
+  - Adds the image_sizes columns if the database predates them
+  - Each original is deleted once the rows using it point at the new sizes
+  - Safe to run again: images that already have their sizes are skipped
+
+  Usage: node scripts/reprocess_images.js [--dry-run]
+*/
+
+require('dotenv').config({ path: require('path').resolve(__dirname, '..', '..', '.env') });
+const fs = require('fs');
+const { pool, executeQuery } = require('../config/database');
+const { uploadFilePath } = require('../config/uploads');
+const { processImage } = require('../utils/images');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// Tables with an uploaded image and their key column
+const IMAGE_TABLES = [
+  ['products', 'product_id'],
+  ['product_variants', 'variant_id']
+];
+
+async function columnExists(table, column) {
+  const rows = await executeQuery(
+    'SELECT 1 FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+    [table, column]
+  );
+  return rows.length > 0;
+}
+
+// Rows still on an unprocessed upload, grouped by image so a file shared by
+// several rows is only processed once
+async function findImages() {
+  const images = new Map();
+
+  for (const [table, key] of IMAGE_TABLES) {
+    const rows = await executeQuery(
+      `SELECT ${key} as id, image_url FROM ${table} WHERE image_url LIKE '/uploads/%' AND image_sizes IS NULL`
+    );
+    for (const row of rows) {
+      if (!images.has(row.image_url)) images.set(row.image_url, []);
+      images.get(row.image_url).push({ table, key, id: row.id });
+    }
+  }
+
+  return images;
+}
+
+(async function main() {
+  try {
+    for (const [table] of IMAGE_TABLES) {
+      if (!(await columnExists(table, 'image_sizes'))) {
+        if (DRY_RUN) {
+          console.log(`${table} needs an image_sizes column; run without --dry-run to add it.`);
+          return;
+        }
+        await pool.query(`ALTER TABLE ${table} ADD COLUMN image_sizes JSON NULL AFTER image_url`);
+      }
+    }
+
+    const images = await findImages();
+    let processed = 0;
+    let missing = 0;
+    let failed = 0;
+
+    for (const [imageUrl, rows] of images) {
+      const filePath = uploadFilePath(imageUrl);
+      const usedBy = rows.map(row => `${row.table} #${row.id}`).join(', ');
+
+      if (!fs.existsSync(filePath)) {
+        console.log(`Missing file ${imageUrl} (${usedBy})`);
+        missing++;
+        continue;
+      }
+
+      if (DRY_RUN) {
+        console.log(`${imageUrl} (${usedBy})`);
+        continue;
+      }
+
+      try {
+        const { image_url, image_sizes } = await processImage(filePath, { keepOriginal: true });
+
+        for (const { table, key, id } of rows) {
+          await executeQuery(
+            `UPDATE ${table} SET image_url = ?, image_sizes = ? WHERE ${key} = ?`,
+            [image_url, JSON.stringify(image_sizes), id]
+          );
+        }
+
+        fs.unlinkSync(filePath);
+        processed++;
+        console.log(`${imageUrl} -> ${image_url}`);
+      } catch (error) {
+        console.error(`Could not process ${imageUrl} (${usedBy}):`, error.message);
+        failed++;
+      }
+    }
+
+    if (DRY_RUN) {
+      console.log(`Dry run: ${images.size - missing} images would be processed; nothing was changed.`);
+      return;
+    }
+
+    console.log(`Processed ${processed} images (${missing} missing, ${failed} failed).`);
+    if (failed) process.exitCode = 1;
+  } catch (e) {
+    console.error('Image reprocessing error:', e);
+    process.exitCode = 1;
+  } finally {
+    try { await pool.end(); } catch {}
+  }
+})();
@@ -11,6 +11,7 @@
 require('dotenv').config();
 const { pool, executeQuery } = require('../config/database');
 const bcrypt = require('bcryptjs');
+const { ensureVariant } = require('../utils/variants');
 
 const rand = (min, max) => Math.floor(Math.random() * (max - min + 1)) + min;
 const randFloat = (min, max, digits = 2) => parseFloat((Math.random() * (max - min) + min).toFixed(digits));
@@ -127,12 +128,7 @@ async function ensureFarmer(i) {
 
 async function ensureProducts() {
   for (const p of PRODUCTS) {
-    const exists = await executeQuery('SELECT product_id FROM products WHERE name = ?', [p.name]);
-    if (exists.length) continue;
-    await executeQuery(
-      'INSERT INTO products (name, description, price, stock, image_url, category, unit, is_active) VALUES (?, ?, ?, ?, ?, ?, ?, true)',
-      [p.name, p.description, p.price, p.stock, null, p.category, p.unit]
-    );
+    await ensureVariant(p);
   }
 }
 
@@ -9,6 +9,21 @@ const farmerRoutes = require('./routes/farmers');
 const productRoutes = require('./routes/products');
 const orderRoutes = require('./routes/orders');
 const adminRoutes = require('./routes/admin');
+const subscriptionRoutes = require('./routes/subscriptions');
+const promotionRoutes = require('./routes/promotions');
+const slotRoutes = require('./routes/slots');
+const cartRoutes = require('./routes/cart');
+const walletRoutes = require('./routes/wallet');
+const deliveryRoutes = require('./routes/delivery');
+const complaintRoutes = require('./routes/complaints');
+const inventoryRoutes = require('./routes/inventory');
+const { UPLOADS_DIR } = require('./config/uploads');
+const { startSubscriptionScheduler } = require('./utils/subscriptions');
+const { startReservationSweeper } = require('./utils/reservations');
+const { startEmailWorker } = require('./utils/mailer');
+const { startTrainingReminders } = require('./utils/notifications');
+const { startBatchExpiryJob } = require('./utils/stock');
+const { startRefundRetryJob } = require('./utils/refunds');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -26,7 +41,10 @@ const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
   standardHeaders: true,
-  legacyHeaders: false
+  legacyHeaders: false,
+  // Razorpay sends every webhook from a few IPs and retries the ones that
+  // fail, so a busy day must not lock it out; they are signature-verified
+  skip: (req) => req.originalUrl.startsWith('/api/orders/webhooks/')
 });
 app.use('/api/', limiter);
 
@@ -39,11 +57,15 @@ app.use(cors({
 }));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw payload around for webhook signature verification
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Static files
-app.use('/uploads', express.static('uploads'));
+app.use('/uploads', express.static(UPLOADS_DIR));
 
 // API Routes
 app.use('/api/auth', authRoutes);
@@ -51,6 +73,14 @@ app.use('/api/farmers', farmerRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/slots', slotRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/wallet', walletRoutes);
+app.use('/api/delivery', deliveryRoutes);
+app.use('/api/complaints', complaintRoutes);
+app.use('/api/inventory', inventoryRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -99,6 +129,14 @@ app.listen(PORT, () => {
   console.log(`🚀 Mali Dairy Farm server running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🕒 Started at: ${new Date().toISOString()}`);
+
+  // Background jobs
+  startSubscriptionScheduler();
+  startReservationSweeper();
+  startEmailWorker();
+  startTrainingReminders();
+  startBatchExpiryJob();
+  startRefundRetryJob();
 });
 
 module.exports = app;
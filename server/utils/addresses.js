@@ -0,0 +1,62 @@
+const { executeQuery } = require('../config/database');
+
+// Run a query on the transaction connection when there is one, else on the pool
+const runQuery = async (connection, sql, params) => {
+  if (connection) {
+    const [rows] = await connection.execute(sql, params);
+    return rows;
+  }
+  return executeQuery(sql, params);
+};
+
+// Indian PIN codes are six digits and never start with 0
+const PINCODE_PATTERN = /^[1-9]\d{5}$/;
+
+// Single-line address as printed on orders, invoices and manifests
+function formatAddress(address) {
+  const place = [address.city, address.district].filter(Boolean).join(', ');
+  return [
+    address.house,
+    address.street,
+    address.landmark ? `Near ${address.landmark}` : null,
+    place,
+    `${address.state} - ${address.pincode}`
+  ].filter(Boolean).join(', ');
+}
+
+// The fields copied onto an order so later edits to the saved address never
+// change what the order was delivered to
+function snapshotAddress(address) {
+  return {
+    address_id: address.address_id,
+    label: address.label,
+    recipient_name: address.recipient_name,
+    phone: address.phone,
+    house: address.house,
+    street: address.street,
+    city: address.city,
+    district: address.district,
+    state: address.state,
+    pincode: address.pincode,
+    landmark: address.landmark,
+    latitude: address.latitude === null ? null : Number(address.latitude),
+    longitude: address.longitude === null ? null : Number(address.longitude)
+  };
+}
+
+// A saved address belonging to the user, or null
+async function getUserAddress(addressId, userId, connection = null) {
+  const addresses = await runQuery(
+    connection,
+    'SELECT * FROM user_addresses WHERE address_id = ? AND user_id = ?',
+    [addressId, userId]
+  );
+  return addresses[0] || null;
+}
+
+module.exports = {
+  PINCODE_PATTERN,
+  formatAddress,
+  snapshotAddress,
+  getUserAddress
+};
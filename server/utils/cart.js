@@ -0,0 +1,104 @@
+const { executeQuery } = require('../config/database');
+const { getUserPriceGroup, getPriceTiers, bestPrice } = require('./pricing');
+const { VARIANT_NAME_SQL } = require('./variants');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Warnings that stop a cart from being checked out as it is
+const BLOCKING_WARNINGS = ['unavailable', 'out_of_stock', 'insufficient_stock'];
+
+// Warnings for one cart line against the product as it is now
+function lineWarnings(line) {
+  if (line.product_name === null || !line.is_active) {
+    return [{ type: 'unavailable', message: 'This product is no longer available' }];
+  }
+
+  const warnings = [];
+
+  if (line.stock <= 0) {
+    warnings.push({ type: 'out_of_stock', message: `${line.product_name} is out of stock` });
+  } else if (line.stock < line.quantity) {
+    warnings.push({
+      type: 'insufficient_stock',
+      message: `Only ${line.stock} ${line.unit} of ${line.product_name} available`,
+      available: line.stock
+    });
+  }
+
+  if (Number(line.price) !== Number(line.price_at_add)) {
+    warnings.push({
+      type: 'price_changed',
+      message: `Price of ${line.product_name} changed from ${line.price_at_add} to ${line.price}`,
+      old_price: Number(line.price_at_add),
+      new_price: Number(line.price)
+    });
+  }
+
+  return warnings;
+}
+
+// The user's cart revalidated against variants: current prices, stock and
+// availability, with warnings for each line. Lines are priced for the user's
+// price group and quantity; price_at_add tracks the list price, so only list
+// price changes are flagged.
+async function getCart(userId) {
+  const rows = await executeQuery(`
+    SELECT ci.product_id, ci.variant_id, ci.quantity, ci.price_at_add, ci.updated_at,
+           ${VARIANT_NAME_SQL} as product_name, v.sku, v.price, v.stock, v.unit, p.category,
+           COALESCE(v.image_url, p.image_url) as image_url, (v.is_active AND p.is_active) as is_active
+    FROM cart_items ci
+    LEFT JOIN product_variants v ON ci.variant_id = v.variant_id
+    LEFT JOIN products p ON v.product_id = p.product_id
+    WHERE ci.user_id = ?
+    ORDER BY ci.created_at
+  `, [userId]);
+
+  const tiers = await getPriceTiers(rows.map(row => row.variant_id), await getUserPriceGroup(userId));
+
+  const items = rows.map(row => {
+    const warnings = lineWarnings(row);
+    const available = !warnings.some(w => w.type === 'unavailable');
+    const { price, price_rule } = bestPrice(row.price, row.quantity, tiers.get(row.variant_id));
+
+    return {
+      product_id: row.product_id,
+      variant_id: row.variant_id,
+      sku: row.sku,
+      product_name: row.product_name,
+      category: row.category,
+      unit: row.unit,
+      image_url: row.image_url,
+      quantity: row.quantity,
+      price: available ? price : null,
+      list_price: available ? Number(row.price) : null,
+      price_rule: available ? price_rule : null,
+      price_at_add: Number(row.price_at_add),
+      stock: available ? row.stock : 0,
+      line_total: available ? round2(price * row.quantity) : 0,
+      warnings
+    };
+  });
+
+  return {
+    items,
+    item_count: items.reduce((sum, item) => sum + item.quantity, 0),
+    subtotal: round2(items.reduce((sum, item) => sum + item.line_total, 0)),
+    can_checkout: items.length > 0 && !items.some(item => item.warnings.some(w => BLOCKING_WARNINGS.includes(w.type))),
+    has_price_changes: items.some(item => item.warnings.some(w => w.type === 'price_changed'))
+  };
+}
+
+// Accept the current prices, e.g. once the customer has seen the changes
+async function refreshCartPrices(userId) {
+  await executeQuery(`
+    UPDATE cart_items ci
+    JOIN product_variants v ON ci.variant_id = v.variant_id
+    SET ci.price_at_add = v.price
+    WHERE ci.user_id = ?
+  `, [userId]);
+}
+
+module.exports = {
+  getCart,
+  refreshCartPrices
+};
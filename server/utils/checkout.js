@@ -0,0 +1,268 @@
+const { body } = require('express-validator');
+const { getConnection } = require('../config/database');
+const razorpay = require('../config/razorpay');
+const { getReservationMinutes } = require('./reservations');
+const { recordStatusHistory } = require('./orderStatus');
+const { applyCoupon, recordCouponRedemption } = require('./promotions');
+const { lockDeliverySlot } = require('./slots');
+const { formatAddress, snapshotAddress, getUserAddress } = require('./addresses');
+const { notifyOrder } = require('./notifications');
+const { postWalletEntry, getWalletBalance } = require('./wallet');
+const { applyBestPrices } = require('./pricing');
+const { quoteDelivery } = require('./zones');
+const { getAvailableStock, takeStock } = require('./stock');
+const { checkLowStock } = require('./lowStock');
+const { getVariant } = require('./variants');
+
+// Online payments go through Razorpay; the others are collected at the doorstep
+const PAYMENT_METHODS = ['razorpay', 'cod', 'upi_on_delivery'];
+
+// Validation rules for everything an order needs apart from its items
+const checkoutValidation = [
+  body('address_id').optional().isInt({ min: 1 }).withMessage('Valid address ID required'),
+  body('delivery_address').if(body('address_id').not().exists())
+    .trim().isLength({ min: 10, max: 500 }).withMessage('Delivery address must be 10-500 characters'),
+  body('phone').if((value, { req }) => value !== undefined || !req.body.address_id)
+    .isMobilePhone().withMessage('Valid phone number required'),
+  body('payment_method').optional().isIn(PAYMENT_METHODS).withMessage('Payment method must be razorpay, cod or upi_on_delivery'),
+  body('coupon_code').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Invalid coupon code'),
+  body('delivery_state').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Delivery state must be 2-50 characters'),
+  body('delivery_pincode').optional().matches(/^\d{6}$/).withMessage('Pincode must be 6 digits'),
+  body('slot_id').isInt({ min: 1 }).withMessage('Please choose a delivery slot'),
+  body('use_wallet').optional().isBoolean().withMessage('use_wallet must be true or false').toBoolean(),
+  body('wallet_amount').optional().isFloat({ min: 0.01 }).withMessage('Wallet amount must be a positive number').toFloat()
+];
+
+const checkoutError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Create an order for a customer in one transaction: check variants and stock,
+// price the items for the customer's price group, lock the delivery slot,
+// apply the coupon, check the address is in a delivery zone and add its
+// delivery charge, take any wallet payment, deduct stock and, for online
+// payments, create the Razorpay order for what is left. Online orders hold
+// their stock until payment or expiry; pay-on-delivery orders are confirmed
+// right away.
+// Throws an error with status 400 when the order cannot be placed as asked.
+// Returns { message, data } for the API response.
+async function placeOrder(userId, input) {
+  const { items, payment_method = 'razorpay', coupon_code, address_id, slot_id, use_wallet, wallet_amount } = input;
+  let { delivery_address, phone, delivery_state, delivery_pincode } = input;
+  const connection = await getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    // A saved address fills in the delivery details and is copied onto the order
+    let addressSnapshot = null;
+    let coordinates = {};
+    if (address_id) {
+      const address = await getUserAddress(address_id, userId, connection);
+      if (!address) throw checkoutError('Address not found');
+
+      phone = phone || address.phone;
+      if (!phone) throw checkoutError('Phone number required for this address');
+
+      addressSnapshot = snapshotAddress(address);
+      delivery_address = formatAddress(address);
+      delivery_state = address.state;
+      delivery_pincode = address.pincode;
+      coordinates = { latitude: address.latitude, longitude: address.longitude };
+    }
+
+    const listItems = [];
+
+    // Validate variants and stock. The variant rows stay locked until commit,
+    // so concurrent checkouts cannot both sell the last units.
+    for (const item of items) {
+      const variant = await getVariant(item.variant_id, { connection });
+
+      if (!variant) throw checkoutError(`Product variant with ID ${item.variant_id} not found`);
+
+      const available = await getAvailableStock(connection, variant.variant_id);
+      if (available < item.quantity) {
+        throw checkoutError(`Insufficient stock for ${variant.name}. Available: ${available}`);
+      }
+
+      listItems.push({
+        product_id: variant.product_id,
+        variant_id: variant.variant_id,
+        quantity: Number(item.quantity),
+        price: variant.price,
+        name: variant.name,
+        sku: variant.sku,
+        category: variant.category,
+        unit: variant.unit
+      });
+    }
+
+    // Best price for the customer's price group and quantities
+    const orderItems = await applyBestPrices(userId, listItems, connection);
+    let totalAmount = Math.round(orderItems.reduce((sum, item) => sum + item.price * item.quantity, 0) * 100) / 100;
+
+    // Lock the delivery slot; it stays booked until the order is cancelled
+    const slot = await lockDeliverySlot(connection, slot_id, { pincode: delivery_pincode, items: orderItems });
+
+    let coupon = null;
+    if (coupon_code) {
+      coupon = await applyCoupon(coupon_code, userId, orderItems, { connection });
+      totalAmount = Math.round((totalAmount - coupon.discount_total) * 100) / 100;
+    }
+
+    // Unserviceable addresses are rejected; the zone's charge is added on top
+    const { zone, delivery_charge: deliveryCharge } = await quoteDelivery(
+      { pincode: delivery_pincode, ...coordinates },
+      { orderValue: totalAmount, deliveryDate: slot.slot_date },
+      connection
+    );
+    totalAmount = Math.round((totalAmount + deliveryCharge) * 100) / 100;
+
+    // use_wallet pays as much as the balance covers; wallet_amount pays a set
+    // part. The debit posted below locks the wallet and rejects overdrafts.
+    let walletAmount = 0;
+    if ((use_wallet || wallet_amount) && totalAmount > 0) {
+      const requested = wallet_amount ? Number(wallet_amount) : await getWalletBalance(userId, connection);
+      walletAmount = Math.round(Math.min(requested, totalAmount) * 100) / 100;
+    }
+
+    const amountDue = Math.round((totalAmount - walletAmount) * 100) / 100;
+
+    // Orders paid in full by coupons or the wallet have nothing left to pay online
+    const isOnlinePayment = payment_method === 'razorpay' && amountDue > 0;
+
+    const reservationMinutes = getReservationMinutes();
+    const [orderResult] = await connection.execute(`
+      INSERT INTO orders (
+        user_id, total_amount, discount_amount, wallet_amount, delivery_charge, zone_id, delivery_address, delivery_state,
+        delivery_pincode, phone, address_id, address_snapshot, slot_id, payment_method, payment_status, order_status,
+        reservation_status, reserved_until
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ${isOnlinePayment ? 'DATE_ADD(NOW(), INTERVAL ? MINUTE)' : 'NULL'})
+    `, [
+      userId,
+      totalAmount,
+      coupon ? coupon.discount_total : 0,
+      walletAmount,
+      deliveryCharge,
+      zone ? zone.zone_id : null,
+      delivery_address,
+      delivery_state || null,
+      delivery_pincode || null,
+      phone,
+      addressSnapshot ? addressSnapshot.address_id : null,
+      addressSnapshot ? JSON.stringify(addressSnapshot) : null,
+      slot.slot_id,
+      payment_method,
+      amountDue > 0 ? 'pending' : 'completed',
+      isOnlinePayment ? 'placed' : 'confirmed',
+      isOnlinePayment ? 'held' : 'committed',
+      ...(isOnlinePayment ? [reservationMinutes] : [])
+    ]);
+
+    const orderId = orderResult.insertId;
+
+    await recordStatusHistory(connection, orderId, {
+      toStatus: isOnlinePayment ? 'placed' : 'confirmed',
+      changedBy: userId,
+      actorRole: 'customer',
+      note: 'Order placed'
+    });
+
+    // Insert order items and take their stock from the batches expiring first
+    for (const item of orderItems) {
+      const [itemResult] = await connection.execute(
+        'INSERT INTO order_items (order_id, product_id, variant_id, quantity, price, price_tier_id, price_rule) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [orderId, item.product_id, item.variant_id, item.quantity, item.price, item.price_tier_id, item.price_rule]
+      );
+
+      await takeStock(connection, item.variant_id, item.quantity, {
+        itemId: itemResult.insertId,
+        referenceId: orderId,
+        createdBy: userId
+      });
+    }
+
+    if (coupon) {
+      await recordCouponRedemption(connection, orderId, userId, coupon);
+    }
+
+    if (walletAmount > 0) {
+      await postWalletEntry(connection, userId, {
+        entryType: 'order_debit',
+        amount: walletAmount,
+        orderId,
+        note: `Payment for order #${orderId}`
+      });
+    }
+
+    const data = {
+      order_id: orderId,
+      total_amount: totalAmount,
+      delivery_charge: deliveryCharge,
+      wallet_amount: walletAmount,
+      amount_due: amountDue,
+      payment_method,
+      items: orderItems,
+      coupon,
+      delivery_slot: { slot_id: slot.slot_id, slot_date: slot.slot_date, label: slot.label }
+    };
+
+    if (!isOnlinePayment) {
+      await connection.commit();
+      await notifyOrder(orderId, 'order_placed');
+      await checkLowStock(orderItems.map(item => item.variant_id));
+      return {
+        message: amountDue > 0 ? 'Order placed successfully. Please pay on delivery.' : 'Order placed successfully',
+        data
+      };
+    }
+
+    // Create Razorpay order
+    const razorpayOrder = await razorpay.orders.create({
+      amount: Math.round(amountDue * 100), // Amount in paise
+      currency: 'INR',
+      receipt: `order_${orderId}`,
+      notes: {
+        order_id: orderId,
+        user_id: userId
+      }
+    });
+
+    await connection.execute(
+      'UPDATE orders SET razorpay_order_id = ? WHERE order_id = ?',
+      [razorpayOrder.id, orderId]
+    );
+
+    await connection.commit();
+    await notifyOrder(orderId, 'order_placed');
+    await checkLowStock(orderItems.map(item => item.variant_id));
+
+    return {
+      message: 'Order created successfully',
+      data: {
+        ...data,
+        reserved_until: new Date(Date.now() + reservationMinutes * 60 * 1000).toISOString(),
+        razorpay_order: {
+          id: razorpayOrder.id,
+          amount: razorpayOrder.amount,
+          currency: razorpayOrder.currency
+        },
+        razorpay_key_id: process.env.RAZORPAY_KEY_ID
+      }
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+module.exports = {
+  PAYMENT_METHODS,
+  checkoutValidation,
+  placeOrder
+};
@@ -0,0 +1,310 @@
+const { executeQuery, getConnection } = require('../config/database');
+const { recordStatusHistory } = require('./orderStatus');
+const { initiateRefund, refundToWallet } = require('./refunds');
+const { notifyOrder } = require('./notifications');
+const { VARIANT_NAME_SQL, getVariant } = require('./variants');
+const { takeStock } = require('./stock');
+const { checkLowStock } = require('./lowStock');
+
+const COMPLAINT_REASONS = ['spoiled', 'damaged', 'leaking', 'wrong_item', 'missing', 'quality', 'other'];
+const RESOLUTIONS = ['replacement', 'refund', 'wallet_credit'];
+
+const complaintError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Raise a complaint on an item of one of the customer's delivered orders.
+// Items can be complained about more than once, up to the quantity delivered
+// (rejected complaints do not count).
+async function createComplaint(userId, { orderId, itemId, quantity, reason, description, requestedResolution, batchCode, photoUrl }) {
+  const items = await executeQuery(`
+    SELECT oi.item_id, oi.product_id, oi.quantity, o.order_status,
+           (SELECT COALESCE(SUM(c.quantity), 0) FROM order_complaints c
+            WHERE c.item_id = oi.item_id AND c.status <> 'rejected') as complained_quantity
+    FROM order_items oi
+    JOIN orders o ON oi.order_id = o.order_id
+    WHERE oi.item_id = ? AND oi.order_id = ? AND o.user_id = ?
+  `, [itemId, orderId, userId]);
+
+  if (!items.length) throw complaintError('Order item not found', 404);
+
+  const item = items[0];
+  if (item.order_status !== 'delivered') {
+    throw complaintError('Complaints can only be raised on delivered orders');
+  }
+
+  const remaining = item.quantity - Number(item.complained_quantity);
+  if (quantity > remaining) {
+    throw complaintError(`You can raise a complaint for at most ${remaining} of this item`);
+  }
+
+  const result = await executeQuery(`
+    INSERT INTO order_complaints (
+      order_id, item_id, product_id, user_id, quantity, reason, description, photo_url, batch_code, requested_resolution
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    orderId,
+    itemId,
+    item.product_id,
+    userId,
+    quantity,
+    reason,
+    description || null,
+    photoUrl || null,
+    batchCode || null,
+    requestedResolution
+  ]);
+
+  return result.insertId;
+}
+
+// Create a free order that sends the complained quantity again.
+// Must run inside the caller's transaction.
+async function createReplacementOrder(connection, order, complaint, { resolvedBy }) {
+  const variant = await getVariant(complaint.variant_id, { connection, forUpdate: true, includeInactive: true });
+
+  if (!variant || variant.stock < complaint.quantity) {
+    throw complaintError(`Not enough stock of ${variant ? variant.name : 'this product'} for a replacement`);
+  }
+
+  const [result] = await connection.execute(`
+    INSERT INTO orders (
+      user_id, total_amount, delivery_address, delivery_state, delivery_pincode, phone,
+      address_id, address_snapshot, payment_method, payment_status, order_status
+    )
+    VALUES (?, 0, ?, ?, ?, ?, ?, ?, ?, 'completed', 'confirmed')
+  `, [
+    order.user_id,
+    order.delivery_address,
+    order.delivery_state,
+    order.delivery_pincode,
+    order.phone,
+    order.address_id,
+    order.address_snapshot ? JSON.stringify(order.address_snapshot) : null,
+    order.payment_method
+  ]);
+
+  const replacementId = result.insertId;
+
+  const [itemResult] = await connection.execute(
+    'INSERT INTO order_items (order_id, product_id, variant_id, quantity, price) VALUES (?, ?, ?, ?, 0)',
+    [replacementId, complaint.product_id, complaint.variant_id, complaint.quantity]
+  );
+
+  await takeStock(connection, complaint.variant_id, complaint.quantity, {
+    itemId: itemResult.insertId,
+    referenceId: replacementId,
+    note: `Replacement for complaint #${complaint.complaint_id}`,
+    createdBy: resolvedBy
+  });
+
+  await recordStatusHistory(connection, replacementId, {
+    toStatus: 'confirmed',
+    changedBy: resolvedBy,
+    actorRole: 'admin',
+    note: `Replacement for order #${order.order_id} (complaint #${complaint.complaint_id})`
+  });
+
+  return replacementId;
+}
+
+// Approve or reject an open complaint. Approving carries out the resolution
+// (the customer's request unless the admin picks another): a free replacement
+// order, a credit to the wallet, or a Razorpay refund. Razorpay refunds are
+// started after commit, like cancellation refunds. writeOffQuantity removes
+// spoiled stock from the variant at the same time.
+async function resolveComplaint(complaintId, { approve, resolution, amount, writeOffQuantity = 0, note, resolvedBy }) {
+  const connection = await getConnection();
+  let complaint;
+  let order;
+  let replacementOrderId = null;
+  let refund = null;
+
+  try {
+    await connection.beginTransaction();
+
+    const [complaints] = await connection.execute(`
+      SELECT c.*, oi.variant_id, oi.price
+      FROM order_complaints c
+      JOIN order_items oi ON c.item_id = oi.item_id
+      WHERE c.complaint_id = ?
+      FOR UPDATE
+    `, [complaintId]);
+
+    if (!complaints.length) throw complaintError('Complaint not found', 404);
+
+    complaint = complaints[0];
+    if (complaint.status !== 'open') {
+      throw complaintError(`Complaint has already been ${complaint.status}`);
+    }
+
+    if (!approve) {
+      await connection.execute(`
+        UPDATE order_complaints
+        SET status = 'rejected', admin_note = ?, resolved_by = ?, resolved_at = NOW()
+        WHERE complaint_id = ?
+      `, [note || null, resolvedBy, complaintId]);
+
+      await connection.commit();
+      await notifyOrder(complaint.order_id, 'complaint_rejected', { complaint: { ...complaint, admin_note: note } }, `complaint:${complaintId}`);
+      return { ...complaint, status: 'rejected', admin_note: note || null };
+    }
+
+    const [orders] = await connection.execute('SELECT * FROM orders WHERE order_id = ? FOR UPDATE', [complaint.order_id]);
+    order = orders[0];
+
+    resolution = resolution || complaint.requested_resolution;
+    const resolutionAmount = resolution === 'replacement'
+      ? null
+      : Math.round((amount !== undefined && amount !== null ? Number(amount) : complaint.price * complaint.quantity) * 100) / 100;
+
+    if (resolution === 'replacement') {
+      replacementOrderId = await createReplacementOrder(connection, order, complaint, { resolvedBy });
+    } else if (resolution === 'wallet_credit') {
+      refund = await refundToWallet(connection, order, {
+        amount: resolutionAmount,
+        reason: `Complaint #${complaintId}`,
+        initiatedBy: resolvedBy
+      });
+    } else if (order.payment_status !== 'completed' || !order.payment_id || order.payment_method !== 'razorpay') {
+      throw complaintError('This order was not paid online; resolve it with a wallet credit instead');
+    }
+
+    if (writeOffQuantity > 0) {
+      await takeStock(connection, complaint.variant_id, writeOffQuantity, {
+        movementType: 'spoilage',
+        referenceType: 'complaint',
+        referenceId: complaintId,
+        note: `Written off with complaint #${complaintId}`,
+        createdBy: resolvedBy
+      });
+    }
+
+    await connection.execute(`
+      UPDATE order_complaints
+      SET status = 'approved', resolution = ?, resolution_amount = ?, replacement_order_id = ?, refund_id = ?,
+          written_off_quantity = ?, admin_note = ?, resolved_by = ?, resolved_at = NOW()
+      WHERE complaint_id = ?
+    `, [
+      resolution,
+      resolutionAmount,
+      replacementOrderId,
+      refund ? refund.refund_id : null,
+      writeOffQuantity,
+      note || null,
+      resolvedBy,
+      complaintId
+    ]);
+
+    await connection.commit();
+
+    complaint = {
+      ...complaint,
+      status: 'approved',
+      resolution,
+      resolution_amount: resolutionAmount,
+      replacement_order_id: replacementOrderId,
+      written_off_quantity: writeOffQuantity,
+      admin_note: note || null
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  if (resolution === 'refund') {
+    try {
+      refund = await initiateRefund(order, {
+        amount: complaint.resolution_amount,
+        reason: `Complaint #${complaintId}`,
+        initiatedBy: resolvedBy
+      });
+    } catch (error) {
+      console.error('Complaint refund error:', error);
+      refund = { refund_id: null, status: 'failed', failure_reason: error.message };
+    }
+
+    if (refund.refund_id) {
+      await executeQuery(
+        'UPDATE order_complaints SET refund_id = ? WHERE complaint_id = ?',
+        [refund.refund_id, complaintId]
+      );
+    }
+  }
+
+  await notifyOrder(complaint.order_id, 'complaint_resolved', { complaint }, `complaint:${complaintId}`);
+
+  if (replacementOrderId || writeOffQuantity > 0) {
+    await checkLowStock([complaint.variant_id]);
+  }
+
+  return { ...complaint, refund };
+}
+
+// Complaint rates for orders placed in a date range: per product variant
+// against the quantity delivered, and per batch code as printed on the pack
+async function getComplaintReport({ from, to }) {
+  const [delivered, complaints, batches] = await Promise.all([
+    executeQuery(`
+      SELECT v.product_id, v.variant_id, ${VARIANT_NAME_SQL} as name, v.sku, v.unit, SUM(oi.quantity) as delivered_quantity
+      FROM order_items oi
+      JOIN orders o ON oi.order_id = o.order_id
+      JOIN product_variants v ON oi.variant_id = v.variant_id
+      JOIN products p ON v.product_id = p.product_id
+      WHERE o.order_status = 'delivered' AND DATE(o.created_at) BETWEEN ? AND ?
+      GROUP BY v.product_id, v.variant_id, p.name, v.size_label, v.sku, v.unit
+    `, [from, to]),
+    executeQuery(`
+      SELECT oi.variant_id, COUNT(*) as complaints, SUM(c.quantity) as complained_quantity,
+             COUNT(CASE WHEN c.status = 'approved' THEN 1 END) as approved,
+             COUNT(CASE WHEN c.status = 'rejected' THEN 1 END) as rejected
+      FROM order_complaints c
+      JOIN order_items oi ON c.item_id = oi.item_id
+      JOIN orders o ON c.order_id = o.order_id
+      WHERE DATE(o.created_at) BETWEEN ? AND ?
+      GROUP BY oi.variant_id
+    `, [from, to]),
+    executeQuery(`
+      SELECT c.product_id, oi.variant_id, ${VARIANT_NAME_SQL} as name, c.batch_code, COUNT(*) as complaints,
+             SUM(c.quantity) as complained_quantity,
+             COUNT(CASE WHEN c.status = 'approved' THEN 1 END) as approved
+      FROM order_complaints c
+      JOIN orders o ON c.order_id = o.order_id
+      JOIN order_items oi ON c.item_id = oi.item_id
+      JOIN product_variants v ON oi.variant_id = v.variant_id
+      JOIN products p ON v.product_id = p.product_id
+      WHERE c.batch_code IS NOT NULL AND DATE(o.created_at) BETWEEN ? AND ?
+      GROUP BY c.product_id, oi.variant_id, p.name, v.size_label, c.batch_code
+      ORDER BY complaints DESC
+    `, [from, to])
+  ]);
+
+  const products = delivered.map(product => {
+    const stats = complaints.find(c => c.variant_id === product.variant_id);
+    const complainedQuantity = stats ? Number(stats.complained_quantity) : 0;
+    return {
+      ...product,
+      delivered_quantity: Number(product.delivered_quantity),
+      complaints: stats ? stats.complaints : 0,
+      approved: stats ? stats.approved : 0,
+      rejected: stats ? stats.rejected : 0,
+      complained_quantity: complainedQuantity,
+      complaint_rate: Math.round((complainedQuantity / Number(product.delivered_quantity)) * 10000) / 100 // percent
+    };
+  }).sort((a, b) => b.complaint_rate - a.complaint_rate);
+
+  return { from, to, products, batches };
+}
+
+module.exports = {
+  COMPLAINT_REASONS,
+  RESOLUTIONS,
+  createComplaint,
+  resolveComplaint,
+  getComplaintReport
+};
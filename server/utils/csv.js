@@ -0,0 +1,62 @@
+// Quote a value for CSV when it contains a separator, quote or line break
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// CSV text for rows, with columns given as { header, key } like ExcelJS
+function toCsv(columns, rows) {
+  const lines = [columns.map(column => csvValue(column.header)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => csvValue(row[column.key])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Rows of cells from CSV text. Handles quoted cells with commas, doubled
+// quotes and line breaks; blank lines are skipped.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const input = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      if (row.some(value => value !== '')) rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell);
+  if (row.some(value => value !== '')) rows.push(row);
+  return rows;
+}
+
+module.exports = {
+  toCsv,
+  parseCsv
+};
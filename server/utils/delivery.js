@@ -0,0 +1,325 @@
+const { executeQuery, getConnection } = require('../config/database');
+const { transitionOrder } = require('./orderStatus');
+const { notifyOrderStatus } = require('./notifications');
+const { VARIANT_NAME_SQL } = require('./variants');
+
+// Orders an agent can be sent out with
+const ASSIGNABLE_STATUSES = ['confirmed', 'processing', 'shipped'];
+
+// Steps from each assignable status to 'shipped' (out for delivery)
+const DISPATCH_STEPS = {
+  confirmed: ['processing', 'shipped'],
+  processing: ['shipped'],
+  shipped: []
+};
+
+const deliveryError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Record cash/UPI collected at the doorstep for a pay-on-delivery order.
+// Must run inside the caller's transaction with the order row locked.
+// Throws an error with status 400 when the order cannot take the payment.
+async function recordDoorstepPayment(connection, order, { amount, reference, collectedBy }) {
+  if (order.payment_method === 'razorpay') {
+    throw deliveryError('This order is paid online and cannot be collected at delivery');
+  }
+
+  if (order.payment_status !== 'pending' || order.order_status === 'cancelled') {
+    throw deliveryError('Payment for this order has already been settled or the order is cancelled');
+  }
+
+  // Any part paid from the wallet at checkout is not collected again
+  const amountDue = Number(order.total_amount) - Number(order.wallet_amount);
+
+  if (Number(amount) + 0.001 < amountDue) {
+    throw deliveryError(`Collected amount is less than the amount due of ${amountDue.toFixed(2)}`);
+  }
+
+  await connection.execute(`
+    UPDATE orders
+    SET payment_status = 'completed', collection_reference = ?, collected_amount = ?, collected_at = NOW(), collected_by = ?
+    WHERE order_id = ?
+  `, [reference || null, amount, collectedBy, order.order_id]);
+}
+
+// Give orders to an agent for a run date. An order still open on another run
+// is moved to this one; delivered orders cannot be assigned again.
+async function assignOrders({ agentId, runDate, orderIds, assignedBy }) {
+  const connection = await getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [agents] = await connection.execute(
+      "SELECT user_id FROM users WHERE user_id = ? AND role = 'delivery' AND is_active = true",
+      [agentId]
+    );
+    if (!agents.length) throw deliveryError('Delivery agent not found');
+
+    for (const orderId of orderIds) {
+      const [orders] = await connection.execute(
+        'SELECT order_id, order_status FROM orders WHERE order_id = ? FOR UPDATE',
+        [orderId]
+      );
+
+      if (!orders.length) throw deliveryError(`Order ${orderId} not found`);
+      if (!ASSIGNABLE_STATUSES.includes(orders[0].order_status)) {
+        throw deliveryError(`Order ${orderId} is ${orders[0].order_status} and cannot be assigned`);
+      }
+
+      await connection.execute(
+        "DELETE FROM delivery_assignments WHERE order_id = ? AND status = 'assigned' AND run_date <> ?",
+        [orderId, runDate]
+      );
+
+      // A failed attempt on the same date is simply retried
+      await connection.execute(`
+        INSERT INTO delivery_assignments (order_id, agent_id, run_date, assigned_by)
+        VALUES (?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+          agent_id = VALUES(agent_id),
+          assigned_by = VALUES(assigned_by),
+          status = 'assigned',
+          failure_reason = NULL,
+          completed_at = NULL
+      `, [orderId, agentId, runDate, assignedBy]);
+    }
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// An agent's run for a date with what to deliver and what to collect.
+// agentId null returns every agent's run (admin view).
+async function getRun(agentId, runDate) {
+  const assignments = await executeQuery(`
+    SELECT da.*, o.order_status, o.payment_method, o.payment_status, o.total_amount, o.wallet_amount,
+           o.delivery_address, o.delivery_pincode, o.phone, u.name as customer_name,
+           ds.label as slot_label, ds.start_time as slot_start, agent.name as agent_name
+    FROM delivery_assignments da
+    JOIN orders o ON da.order_id = o.order_id
+    JOIN users u ON o.user_id = u.user_id
+    JOIN users agent ON da.agent_id = agent.user_id
+    LEFT JOIN delivery_slots ds ON o.slot_id = ds.slot_id
+    WHERE da.run_date = ?${agentId ? ' AND da.agent_id = ?' : ''}
+    ORDER BY agent.name, ds.start_time, o.delivery_pincode, da.assignment_id
+  `, agentId ? [runDate, agentId] : [runDate]);
+
+  if (!assignments.length) return [];
+
+  const items = await executeQuery(`
+    SELECT oi.order_id, ${VARIANT_NAME_SQL} as name, v.unit, oi.quantity
+    FROM order_items oi
+    JOIN product_variants v ON oi.variant_id = v.variant_id
+    JOIN products p ON v.product_id = p.product_id
+    WHERE oi.order_id IN (${assignments.map(() => '?').join(', ')})
+  `, assignments.map(a => a.order_id));
+
+  return assignments.map(assignment => ({
+    ...assignment,
+    amount_to_collect: assignment.payment_method !== 'razorpay' && assignment.payment_status === 'pending'
+      ? Math.round((Number(assignment.total_amount) - Number(assignment.wallet_amount)) * 100) / 100
+      : 0,
+    items: items.filter(item => item.order_id === assignment.order_id)
+  }));
+}
+
+// Lock an assignment and its order for an agent update. Admins may update any
+// assignment; agents only their own open ones.
+async function lockAssignment(connection, assignmentId, user) {
+  const [rows] = await connection.execute(`
+    SELECT da.assignment_id, da.agent_id, da.status as assignment_status, o.*
+    FROM delivery_assignments da
+    JOIN orders o ON da.order_id = o.order_id
+    WHERE da.assignment_id = ?
+    FOR UPDATE
+  `, [assignmentId]);
+
+  if (!rows.length || (user.role !== 'admin' && rows[0].agent_id !== user.user_id)) {
+    throw deliveryError('Assignment not found', 404);
+  }
+
+  const { assignment_id, agent_id, assignment_status, ...order } = rows[0];
+  if (assignment_status !== 'assigned') {
+    throw deliveryError(`This delivery is already marked ${assignment_status}`);
+  }
+
+  return { assignmentId: assignment_id, order };
+}
+
+// Mark the agent's orders for a date out for delivery
+async function dispatchRun(agentId, runDate, { changedBy }) {
+  const assignments = await executeQuery(
+    "SELECT order_id FROM delivery_assignments WHERE agent_id = ? AND run_date = ? AND status = 'assigned'",
+    [agentId, runDate]
+  );
+
+  const dispatched = [];
+
+  for (const { order_id } of assignments) {
+    const connection = await getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [orders] = await connection.execute('SELECT * FROM orders WHERE order_id = ? FOR UPDATE', [order_id]);
+      let order = orders[0];
+
+      for (const toStatus of DISPATCH_STEPS[order.order_status] || []) {
+        order = await transitionOrder(connection, order, toStatus, {
+          changedBy,
+          actorRole: 'delivery',
+          note: toStatus === 'shipped' ? 'Out for delivery' : null
+        });
+      }
+
+      await connection.commit();
+      if (order.order_status === 'shipped') dispatched.push(order_id);
+    } catch (error) {
+      await connection.rollback();
+      console.error(`Dispatch error for order ${order_id}:`, error);
+    } finally {
+      connection.release();
+    }
+  }
+
+  for (const orderId of dispatched) {
+    await notifyOrderStatus(orderId, 'shipped');
+  }
+
+  return dispatched;
+}
+
+// Complete an assignment as delivered or failed. Delivering a pay-on-delivery
+// order that is still unpaid needs collectedAmount.
+async function completeAssignment(assignmentId, user, { outcome, reason, collectedAmount, reference }) {
+  const connection = await getConnection();
+  let order;
+
+  try {
+    await connection.beginTransaction();
+
+    const locked = await lockAssignment(connection, assignmentId, user);
+    order = locked.order;
+
+    if (outcome === 'delivered') {
+      if (collectedAmount !== undefined && collectedAmount !== null) {
+        await recordDoorstepPayment(connection, order, {
+          amount: collectedAmount,
+          reference,
+          collectedBy: user.user_id
+        });
+      } else if (order.payment_method !== 'razorpay' && order.payment_status === 'pending') {
+        throw deliveryError('Record the amount collected before marking this order delivered');
+      }
+
+      await transitionOrder(connection, order, 'delivered', {
+        changedBy: user.user_id,
+        actorRole: user.role === 'admin' ? 'admin' : 'delivery',
+        note: 'Delivered'
+      });
+    }
+
+    await connection.execute(`
+      UPDATE delivery_assignments
+      SET status = ?, failure_reason = ?, collected_amount = ?, completed_at = NOW()
+      WHERE assignment_id = ?
+    `, [
+      outcome,
+      outcome === 'failed' ? reason : null,
+      outcome === 'delivered' ? collectedAmount ?? null : null,
+      locked.assignmentId
+    ]);
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  if (outcome === 'delivered') {
+    await notifyOrderStatus(order.order_id, 'delivered');
+  }
+
+  return { order_id: order.order_id, status: outcome };
+}
+
+// Attach a proof-of-delivery photo to an open assignment
+async function saveProofPhoto(assignmentId, user, photoUrl) {
+  const connection = await getConnection();
+
+  try {
+    await connection.beginTransaction();
+    const { assignmentId: id } = await lockAssignment(connection, assignmentId, user);
+    await connection.execute(
+      'UPDATE delivery_assignments SET proof_photo_url = ? WHERE assignment_id = ?',
+      [photoUrl, id]
+    );
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// End-of-day summary per agent: deliveries made and the cash/UPI each agent
+// should hand over against what they recorded collecting
+async function getReconciliation(runDate) {
+  const agents = await executeQuery(`
+    SELECT da.agent_id, u.name as agent_name,
+           COUNT(*) as assigned,
+           COUNT(CASE WHEN da.status = 'delivered' THEN 1 END) as delivered,
+           COUNT(CASE WHEN da.status = 'failed' THEN 1 END) as failed,
+           COUNT(CASE WHEN da.status = 'assigned' THEN 1 END) as pending,
+           COALESCE(SUM(CASE WHEN da.status = 'delivered' AND o.payment_method != 'razorpay'
+                             THEN o.total_amount - o.wallet_amount END), 0) as amount_due,
+           COALESCE(SUM(CASE WHEN o.payment_method = 'cod' THEN da.collected_amount END), 0) as cash_collected,
+           COALESCE(SUM(CASE WHEN o.payment_method = 'upi_on_delivery' THEN da.collected_amount END), 0) as upi_collected
+    FROM delivery_assignments da
+    JOIN users u ON da.agent_id = u.user_id
+    JOIN orders o ON da.order_id = o.order_id
+    WHERE da.run_date = ?
+    GROUP BY da.agent_id, u.name
+    ORDER BY u.name
+  `, [runDate]);
+
+  const failures = await executeQuery(`
+    SELECT agent_id, order_id, failure_reason
+    FROM delivery_assignments
+    WHERE run_date = ? AND status = 'failed'
+  `, [runDate]);
+
+  return agents.map(agent => {
+    const collected = Number(agent.cash_collected) + Number(agent.upi_collected);
+    return {
+      ...agent,
+      amount_due: Number(agent.amount_due),
+      cash_collected: Number(agent.cash_collected),
+      upi_collected: Number(agent.upi_collected),
+      shortfall: Math.max(0, Math.round((Number(agent.amount_due) - collected) * 100) / 100),
+      failures: failures.filter(f => f.agent_id === agent.agent_id)
+    };
+  });
+}
+
+module.exports = {
+  recordDoorstepPayment,
+  assignOrders,
+  getRun,
+  dispatchRun,
+  completeAssignment,
+  saveProofPhoto,
+  getReconciliation
+};
@@ -0,0 +1,90 @@
+const sharp = require('sharp');
+const path = require('path');
+const fs = require('fs');
+const { uploadFilePath, uploadUrl } = require('../config/uploads');
+
+// Longest side in pixels of each generated size. Smaller images are not enlarged.
+const IMAGE_SIZES = {
+  thumbnail: 160,
+  card: 480,
+  full: 1200
+};
+
+const imageError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Turn an uploaded image into thumbnail, card and full sizes, each as WebP
+// and JPEG next to the original, which is then deleted. Orientation from the
+// camera's EXIF data is applied to the pixels and all metadata is dropped.
+// keepOriginal leaves the original in place for the caller to remove.
+// Returns the full JPEG as image_url (for places that show a single image)
+// and image_sizes: { thumbnail: { width, height, webp, jpeg }, card, full }.
+async function processImage(filePath, { keepOriginal = false } = {}) {
+  const absolutePath = path.resolve(filePath);
+  const directory = path.dirname(absolutePath);
+  const baseName = path.basename(absolutePath, path.extname(absolutePath));
+  const urlFor = (file) => uploadUrl(path.join(directory, file));
+
+  const imageSizes = {};
+
+  try {
+    const image = sharp(absolutePath).rotate();
+
+    for (const [size, maxSide] of Object.entries(IMAGE_SIZES)) {
+      const resized = image.clone().resize({
+        width: maxSide,
+        height: maxSide,
+        fit: 'inside',
+        withoutEnlargement: true
+      });
+
+      const webpFile = `${baseName}-${size}.webp`;
+      const jpegFile = `${baseName}-${size}.jpg`;
+      const { width, height } = await resized.clone().webp({ quality: 80 }).toFile(path.join(directory, webpFile));
+      // JPEG has no transparency; PNG and WebP uploads get a white background
+      await resized.clone().flatten({ background: '#ffffff' }).jpeg({ quality: 80, progressive: true })
+        .toFile(path.join(directory, jpegFile));
+
+      imageSizes[size] = { width, height, webp: urlFor(webpFile), jpeg: urlFor(jpegFile) };
+    }
+
+    return { image_url: imageSizes.full.jpeg, image_sizes: imageSizes };
+  } catch (error) {
+    removeImage(null, imageSizes);
+    if (error.message && /unsupported image format|corrupt|bad seek|premature end/i.test(error.message)) {
+      throw imageError('The image could not be read; please upload a JPEG, PNG, GIF or WebP photo');
+    }
+    throw error;
+  } finally {
+    if (!keepOriginal && fs.existsSync(absolutePath)) {
+      fs.unlinkSync(absolutePath);
+    }
+  }
+}
+
+// Delete an uploaded image and every size generated from it
+function removeImage(imageUrl, imageSizes = null) {
+  const sizes = typeof imageSizes === 'string' ? JSON.parse(imageSizes) : imageSizes;
+  const urls = new Set([imageUrl]);
+  for (const size of Object.values(sizes || {})) {
+    urls.add(size.webp);
+    urls.add(size.jpeg);
+  }
+
+  for (const url of urls) {
+    if (!url) continue;
+    const imagePath = uploadFilePath(url);
+    if (fs.existsSync(imagePath)) {
+      fs.unlinkSync(imagePath);
+    }
+  }
+}
+
+module.exports = {
+  IMAGE_SIZES,
+  processImage,
+  removeImage
+};
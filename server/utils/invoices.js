@@ -0,0 +1,432 @@
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const { executeQuery, getConnection } = require('../config/database');
+const { VARIANT_NAME_SQL } = require('./variants');
+
+// Fallback HSN codes and GST rates when a product has none set
+const DEFAULT_TAX_BY_CATEGORY = {
+  milk: { hsn_code: '0401', gst_rate: 0 },
+  curd: { hsn_code: '0403', gst_rate: 5 },
+  buttermilk: { hsn_code: '0403', gst_rate: 0 },
+  paneer: { hsn_code: '0406', gst_rate: 5 },
+  ghee: { hsn_code: '0405', gst_rate: 12 },
+  other: { hsn_code: '0402', gst_rate: 5 }
+};
+
+const getSeller = () => ({
+  name: process.env.SELLER_NAME || 'Mali Dairy Farm',
+  address: process.env.SELLER_ADDRESS || 'Sangli, Maharashtra',
+  gstin: process.env.SELLER_GSTIN || '',
+  state: process.env.SELLER_STATE || 'Maharashtra'
+});
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const invoiceError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Indian financial year (April-March) for a date, e.g. 2026-27
+function financialYearOf(date) {
+  const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+}
+
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+function twoDigitWords(n) {
+  if (n < 20) return ONES[n];
+  return [TENS[Math.floor(n / 10)], ONES[n % 10]].filter(Boolean).join(' ');
+}
+
+function threeDigitWords(n) {
+  const hundreds = Math.floor(n / 100);
+  return [hundreds ? `${ONES[hundreds]} Hundred` : '', twoDigitWords(n % 100)].filter(Boolean).join(' ');
+}
+
+// Whole number in words using the Indian system (thousand, lakh, crore)
+function numberToWords(n) {
+  if (n === 0) return 'Zero';
+
+  const parts = [];
+  const crore = Math.floor(n / 10000000);
+  const lakh = Math.floor(n / 100000) % 100;
+  const thousand = Math.floor(n / 1000) % 100;
+  const rest = n % 1000;
+
+  if (crore) parts.push(`${numberToWords(crore)} Crore`);
+  if (lakh) parts.push(`${twoDigitWords(lakh)} Lakh`);
+  if (thousand) parts.push(`${twoDigitWords(thousand)} Thousand`);
+  if (rest) parts.push(threeDigitWords(rest));
+
+  return parts.join(' ');
+}
+
+// e.g. 1250.50 -> "Rupees One Thousand Two Hundred Fifty and Fifty Paise Only"
+function amountInWords(amount) {
+  const paiseTotal = Math.round(Number(amount) * 100);
+  const rupees = Math.floor(paiseTotal / 100);
+  const paise = paiseTotal % 100;
+  return `Rupees ${numberToWords(rupees)}${paise ? ` and ${twoDigitWords(paise)} Paise` : ''} Only`;
+}
+
+// Tax lines for an order. Prices are GST-inclusive, so the taxable value is
+// backed out of each line after its share of the order's discounts.
+function buildInvoiceLines(items, discounts, interState) {
+  const lineTotals = items.map(item => Number(item.price) * item.quantity);
+  const gross = lineTotals.reduce((sum, total) => sum + total, 0);
+
+  // Product-specific discounts go to their line, cart-wide ones are shared pro rata
+  const cartDiscount = discounts.filter(d => !d.product_id).reduce((sum, d) => sum + Number(d.amount), 0);
+
+  return items.map((item, index) => {
+    const defaults = DEFAULT_TAX_BY_CATEGORY[item.category] || DEFAULT_TAX_BY_CATEGORY.other;
+    const rate = item.gst_rate !== null && item.gst_rate !== undefined ? Number(item.gst_rate) : defaults.gst_rate;
+
+    const productDiscount = discounts
+      .filter(d => d.product_id === item.product_id)
+      .reduce((sum, d) => sum + Number(d.amount), 0);
+    const shareOfCartDiscount = gross ? cartDiscount * lineTotals[index] / gross : 0;
+
+    const amount = round2(Math.max(lineTotals[index] - productDiscount - shareOfCartDiscount, 0));
+    const taxable = round2(amount / (1 + rate / 100));
+    const tax = round2(amount - taxable);
+    const halfTax = round2(tax / 2);
+
+    return {
+      description: item.product_name,
+      hsn_code: item.hsn_code || defaults.hsn_code,
+      quantity: item.quantity,
+      unit: item.unit,
+      rate: round2(Number(item.price)),
+      discount: round2(lineTotals[index] - amount),
+      taxable_value: taxable,
+      gst_rate: rate,
+      cgst: interState ? 0 : halfTax,
+      sgst: interState ? 0 : round2(tax - halfTax),
+      igst: interState ? tax : 0,
+      total: amount
+    };
+  });
+}
+
+// Delivery charge as a service line (SAC 9968, GST-inclusive like products)
+function deliveryChargeLine(amount, interState) {
+  const rate = parseFloat(process.env.DELIVERY_CHARGE_GST_RATE || '18');
+  const taxable = round2(amount / (1 + rate / 100));
+  const tax = round2(amount - taxable);
+  const halfTax = round2(tax / 2);
+
+  return {
+    description: 'Delivery charges',
+    hsn_code: '9968',
+    quantity: 1,
+    unit: 'service',
+    rate: round2(amount),
+    discount: 0,
+    taxable_value: taxable,
+    gst_rate: rate,
+    cgst: interState ? 0 : halfTax,
+    sgst: interState ? 0 : round2(tax - halfTax),
+    igst: interState ? tax : 0,
+    total: round2(amount)
+  };
+}
+
+const sumOf = (lines, key) => round2(lines.reduce((sum, line) => sum + line[key], 0));
+
+// Issue the tax invoice for an order, or return the one already issued.
+// Invoice numbers are sequential per financial year and allocated inside the
+// same transaction as the invoice row, so there are no gaps.
+async function issueInvoice(orderId) {
+  const existing = await executeQuery('SELECT * FROM invoices WHERE order_id = ?', [orderId]);
+  if (existing.length) return existing[0];
+
+  const connection = await getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [orders] = await connection.execute(`
+      SELECT o.*, u.name AS customer_name, u.email AS customer_email
+      FROM orders o
+      JOIN users u ON o.user_id = u.user_id
+      WHERE o.order_id = ?
+      FOR UPDATE
+    `, [orderId]);
+
+    if (!orders.length) throw invoiceError('Order not found', 404);
+
+    const order = orders[0];
+
+    const [issued] = await connection.execute('SELECT * FROM invoices WHERE order_id = ?', [orderId]);
+    if (issued.length) {
+      await connection.rollback();
+      return issued[0];
+    }
+
+    const isPaid = order.payment_status === 'completed' || order.order_status === 'delivered';
+    if (order.order_status === 'cancelled' || !isPaid) {
+      throw invoiceError('An invoice is available once the order is paid or delivered');
+    }
+
+    const [items] = await connection.execute(`
+      SELECT oi.product_id, oi.variant_id, oi.quantity, oi.price, ${VARIANT_NAME_SQL} AS product_name, p.category, v.unit,
+             p.hsn_code, p.gst_rate
+      FROM order_items oi
+      JOIN product_variants v ON oi.variant_id = v.variant_id
+      JOIN products p ON v.product_id = p.product_id
+      WHERE oi.order_id = ?
+      ORDER BY oi.item_id
+    `, [orderId]);
+
+    const [discounts] = await connection.execute(
+      'SELECT product_id, amount FROM order_discounts WHERE order_id = ?',
+      [orderId]
+    );
+
+    const seller = getSeller();
+    const placeOfSupply = order.delivery_state || seller.state;
+    const interState = placeOfSupply.trim().toLowerCase() !== seller.state.trim().toLowerCase();
+    const lines = buildInvoiceLines(items, discounts, interState);
+    if (Number(order.delivery_charge) > 0) {
+      lines.push(deliveryChargeLine(Number(order.delivery_charge), interState));
+    }
+
+    const issuedAt = new Date();
+    const financialYear = financialYearOf(issuedAt);
+
+    await connection.execute(`
+      INSERT INTO invoice_sequences (financial_year, last_number) VALUES (?, 1)
+      ON DUPLICATE KEY UPDATE last_number = last_number + 1
+    `, [financialYear]);
+
+    const [[sequence]] = await connection.execute(
+      'SELECT last_number FROM invoice_sequences WHERE financial_year = ?',
+      [financialYear]
+    );
+
+    const invoiceNumber = `${process.env.INVOICE_PREFIX || 'MDF'}/${financialYear}/${String(sequence.last_number).padStart(5, '0')}`;
+
+    await connection.execute(`
+      INSERT INTO invoices (
+        order_id, invoice_number, financial_year, sequence_number, place_of_supply, is_inter_state,
+        taxable_amount, cgst_amount, sgst_amount, igst_amount, total_amount, line_items, issued_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      orderId,
+      invoiceNumber,
+      financialYear,
+      sequence.last_number,
+      placeOfSupply,
+      interState,
+      sumOf(lines, 'taxable_value'),
+      sumOf(lines, 'cgst'),
+      sumOf(lines, 'sgst'),
+      sumOf(lines, 'igst'),
+      sumOf(lines, 'total'),
+      JSON.stringify(lines),
+      issuedAt
+    ]);
+
+    await connection.commit();
+
+    const [invoice] = await executeQuery('SELECT * FROM invoices WHERE order_id = ?', [orderId]);
+    return invoice;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Standard PDF fonts only cover WinAnsi, so drop anything they cannot draw
+const pdfText = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/₹/g, 'Rs.')
+  .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+
+const money = (value) => Number(value).toFixed(2);
+
+function wrapText(text, font, size, maxWidth) {
+  const lines = [];
+  for (const paragraph of pdfText(text).split(/\r?\n/)) {
+    let line = '';
+    for (const word of paragraph.split(' ')) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && font.widthOfTextAtSize(candidate, size) > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+// Render an issued invoice as a PDF (Buffer)
+async function renderInvoicePdf(invoice) {
+  const [order] = await executeQuery(`
+    SELECT o.order_id, o.delivery_address, o.phone, o.created_at, u.name AS customer_name, u.email AS customer_email
+    FROM orders o
+    JOIN users u ON o.user_id = u.user_id
+    WHERE o.order_id = ?
+  `, [invoice.order_id]);
+
+  const lines = typeof invoice.line_items === 'string' ? JSON.parse(invoice.line_items) : invoice.line_items;
+  const seller = getSeller();
+  const interState = Boolean(invoice.is_inter_state);
+
+  const pdf = await PDFDocument.create();
+  pdf.setTitle(`Tax Invoice ${invoice.invoice_number}`);
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+
+  const margin = 40;
+  let page = pdf.addPage([595.28, 841.89]); // A4
+  let y = page.getHeight() - margin;
+
+  const draw = (text, x, options = {}) => {
+    page.drawText(pdfText(text), {
+      x,
+      y,
+      size: options.size || 9,
+      font: options.bold ? bold : font,
+      color: rgb(0, 0, 0)
+    });
+  };
+  const drawRight = (text, right, options = {}) => {
+    const width = (options.bold ? bold : font).widthOfTextAtSize(pdfText(text), options.size || 9);
+    draw(text, right - width, options);
+  };
+  const rule = () => {
+    page.drawLine({
+      start: { x: margin, y: y + 4 },
+      end: { x: page.getWidth() - margin, y: y + 4 },
+      thickness: 0.5,
+      color: rgb(0.6, 0.6, 0.6)
+    });
+  };
+
+  // Header
+  draw('TAX INVOICE', margin, { size: 16, bold: true });
+  drawRight(`Invoice No: ${invoice.invoice_number}`, page.getWidth() - margin, { bold: true });
+  y -= 14;
+  drawRight(`Invoice Date: ${new Date(invoice.issued_at).toLocaleDateString('en-IN')}`, page.getWidth() - margin);
+  y -= 12;
+  drawRight(`Order No: ${invoice.order_id}`, page.getWidth() - margin);
+  y -= 20;
+
+  draw(seller.name, margin, { size: 11, bold: true });
+  y -= 13;
+  for (const line of wrapText(seller.address, font, 9, 250)) {
+    draw(line, margin);
+    y -= 11;
+  }
+  if (seller.gstin) {
+    draw(`GSTIN: ${seller.gstin}`, margin);
+    y -= 11;
+  }
+  draw(`State: ${seller.state}`, margin);
+  y -= 20;
+
+  // Customer
+  draw('Bill To / Ship To', margin, { bold: true });
+  y -= 12;
+  draw(order?.customer_name || '', margin);
+  y -= 11;
+  for (const line of wrapText(order?.delivery_address || '', font, 9, 300)) {
+    draw(line, margin);
+    y -= 11;
+  }
+  draw(`Phone: ${order?.phone || ''}`, margin);
+  y -= 11;
+  draw(`Place of Supply: ${invoice.place_of_supply}`, margin);
+  y -= 20;
+
+  // Items table
+  const columns = interState
+    ? [['#', 40], ['Item', 60], ['HSN', 215], ['Qty', 255], ['Rate', 290], ['Taxable', 345], ['GST%', 385], ['IGST', 450], ['Total', 555]]
+    : [['#', 40], ['Item', 60], ['HSN', 200], ['Qty', 240], ['Rate', 275], ['Taxable', 325], ['GST%', 360], ['CGST', 410], ['SGST', 460], ['Total', 555]];
+  const rightAligned = new Set(['Qty', 'Rate', 'Taxable', 'GST%', 'CGST', 'SGST', 'IGST', 'Total']);
+
+  const drawHeader = () => {
+    for (const [label, x] of columns) {
+      if (rightAligned.has(label)) drawRight(label, x, { bold: true });
+      else draw(label, x, { bold: true });
+    }
+    y -= 6;
+    rule();
+    y -= 10;
+  };
+
+  drawHeader();
+
+  lines.forEach((line, index) => {
+    if (y < margin + 120) {
+      page = pdf.addPage([595.28, 841.89]);
+      y = page.getHeight() - margin;
+      drawHeader();
+    }
+
+    const values = {
+      '#': String(index + 1),
+      Item: wrapText(line.description, font, 9, interState ? 150 : 135)[0],
+      HSN: line.hsn_code,
+      Qty: `${line.quantity}`,
+      Rate: money(line.rate),
+      Taxable: money(line.taxable_value),
+      'GST%': `${line.gst_rate}`,
+      CGST: money(line.cgst),
+      SGST: money(line.sgst),
+      IGST: money(line.igst),
+      Total: money(line.total)
+    };
+
+    for (const [label, x] of columns) {
+      if (rightAligned.has(label)) drawRight(values[label], x);
+      else draw(values[label], x);
+    }
+    y -= 14;
+  });
+
+  rule();
+  y -= 12;
+
+  // Totals
+  const totals = interState
+    ? [['Taxable Value', invoice.taxable_amount], ['IGST', invoice.igst_amount]]
+    : [['Taxable Value', invoice.taxable_amount], ['CGST', invoice.cgst_amount], ['SGST', invoice.sgst_amount]];
+
+  for (const [label, value] of totals) {
+    drawRight(label, 470);
+    drawRight(money(value), 555);
+    y -= 12;
+  }
+  drawRight('Invoice Total (Rs.)', 470, { bold: true });
+  drawRight(money(invoice.total_amount), 555, { bold: true });
+  y -= 20;
+
+  for (const line of wrapText(`Amount in words: ${amountInWords(invoice.total_amount)}`, font, 9, 515)) {
+    draw(line, margin);
+    y -= 11;
+  }
+  y -= 20;
+
+  draw('Prices are inclusive of GST. This is a computer generated invoice.', margin, { size: 8 });
+
+  return Buffer.from(await pdf.save());
+}
+
+module.exports = {
+  financialYearOf,
+  amountInWords,
+  buildInvoiceLines,
+  issueInvoice,
+  renderInvoicePdf
+};
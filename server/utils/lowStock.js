@@ -0,0 +1,164 @@
+const { executeQuery } = require('../config/database');
+const { queueEmail } = require('./mailer');
+const { renderTemplate } = require('./notifications');
+const { VARIANT_NAME_SQL } = require('./variants');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Reorder level for variants without their own
+const getDefaultReorderLevel = () => parseInt(process.env.DEFAULT_REORDER_LEVEL || '10', 10);
+
+// Days of recent sales the velocity is averaged over
+const getVelocityDays = () => parseInt(process.env.LOW_STOCK_VELOCITY_DAYS || '14', 10);
+
+// Days of sales a refill should cover when a variant has no target level
+const getCoverDays = () => parseInt(process.env.LOW_STOCK_COVER_DAYS || '3', 10);
+
+// Variants with their reorder settings, stock and average daily sales over the
+// last `days` days (cancelled orders excluded)
+async function getStockLevels(variantIds = null, days = getVelocityDays()) {
+  const filter = variantIds ? `AND v.variant_id IN (${variantIds.map(() => '?').join(', ')})` : '';
+
+  const variants = await executeQuery(`
+    SELECT v.variant_id, v.product_id, v.sku, ${VARIANT_NAME_SQL} as name, p.category, v.unit, v.stock,
+           COALESCE(v.reorder_level, ?) as reorder_level, v.target_level, v.low_stock_alerted_at,
+           COALESCE((
+             SELECT SUM(oi.quantity)
+             FROM order_items oi
+             JOIN orders o ON oi.order_id = o.order_id
+             WHERE oi.variant_id = v.variant_id AND o.order_status <> 'cancelled'
+               AND o.created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+           ), 0) as sold_quantity
+    FROM product_variants v
+    JOIN products p ON v.product_id = p.product_id
+    WHERE v.is_active = true AND p.is_active = true ${filter}
+  `, [getDefaultReorderLevel(), days, ...(variantIds || [])]);
+
+  return variants.map(variant => {
+    const dailySales = round2(Number(variant.sold_quantity) / days);
+    // Refill to the target level, or to enough for the cover days (never below the reorder level)
+    const target = variant.target_level !== null
+      ? variant.target_level
+      : Math.max(Math.ceil(dailySales * getCoverDays()), variant.reorder_level);
+
+    return {
+      ...variant,
+      sold_quantity: Number(variant.sold_quantity),
+      daily_sales: dailySales,
+      days_of_cover: dailySales > 0 ? round2(variant.stock / dailySales) : null,
+      suggested_quantity: Math.max(target - variant.stock, 0),
+      is_low: variant.stock < variant.reorder_level
+    };
+  });
+}
+
+// Variants below their reorder level, the ones that will run out first on top
+async function getLowStock(days = getVelocityDays()) {
+  return (await getStockLevels(null, days))
+    .filter(variant => variant.is_low)
+    .sort((a, b) => (a.days_of_cover ?? Infinity) - (b.days_of_cover ?? Infinity) || a.stock - b.stock);
+}
+
+// Ways a low-stock alert can be sent, picked with LOW_STOCK_NOTIFIERS
+// (comma-separated, default 'email'). Each gets the variant from getStockLevels.
+const notifiers = {
+  // Email to LOW_STOCK_ALERT_EMAIL, or to every admin
+  email: async (variant) => {
+    const recipients = process.env.LOW_STOCK_ALERT_EMAIL
+      ? process.env.LOW_STOCK_ALERT_EMAIL.split(',').map(email => ({ email: email.trim(), name: null }))
+      : await executeQuery("SELECT email, name FROM users WHERE role = 'admin' AND is_active = true");
+
+    const { subject, text, html } = renderTemplate('low_stock', { variant });
+    const alertKey = new Date(variant.low_stock_alerted_at || Date.now()).toISOString();
+
+    for (const recipient of recipients) {
+      await queueEmail({
+        to: recipient.email,
+        name: recipient.name,
+        template: 'low_stock',
+        subject,
+        text,
+        html,
+        dedupeKey: `low_stock:${variant.variant_id}:${alertKey}:${recipient.email}`
+      });
+    }
+  },
+
+  console: async (variant) => {
+    console.log(`📉 Low stock: ${variant.name} (${variant.sku}) at ${variant.stock}, reorder level ${variant.reorder_level}, suggested ${variant.suggested_quantity}`);
+  },
+
+  // POST the variant as JSON to LOW_STOCK_WEBHOOK_URL (e.g. a chat or SMS gateway)
+  webhook: async (variant) => {
+    if (!process.env.LOW_STOCK_WEBHOOK_URL) return;
+    const response = await fetch(process.env.LOW_STOCK_WEBHOOK_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ event: 'low_stock', variant }),
+      signal: AbortSignal.timeout(10000)
+    });
+    if (!response.ok) throw new Error(`Webhook responded with ${response.status}`);
+  }
+};
+
+// Add or replace a notifier, e.g. to send alerts by SMS
+function registerLowStockNotifier(name, notify) {
+  notifiers[name] = notify;
+}
+
+async function sendLowStockAlert(variant) {
+  const names = (process.env.LOW_STOCK_NOTIFIERS || 'email').split(',').map(name => name.trim()).filter(Boolean);
+
+  for (const name of names) {
+    if (!notifiers[name]) {
+      console.error(`Unknown low-stock notifier: ${name}`);
+      continue;
+    }
+    try {
+      await notifiers[name](variant);
+    } catch (error) {
+      console.error(`Low-stock notifier ${name} error:`, error);
+    }
+  }
+}
+
+// Alert once for each of the variants that has dropped below its reorder
+// level, and re-arm the alert for the ones back at or above it. Call after
+// the stock change has been committed. Never throws: an alert must not fail
+// the order that triggered it.
+async function checkLowStock(variantIds) {
+  const ids = [...new Set(variantIds.map(Number))];
+  if (!ids.length) return;
+
+  try {
+    for (const variant of await getStockLevels(ids)) {
+      if (!variant.is_low) {
+        if (variant.low_stock_alerted_at) {
+          await executeQuery('UPDATE product_variants SET low_stock_alerted_at = NULL WHERE variant_id = ?', [variant.variant_id]);
+        }
+        continue;
+      }
+
+      if (variant.low_stock_alerted_at) continue;
+
+      // Only the request that sets the flag sends the alert
+      const claimed = await executeQuery(
+        'UPDATE product_variants SET low_stock_alerted_at = NOW() WHERE variant_id = ? AND low_stock_alerted_at IS NULL',
+        [variant.variant_id]
+      );
+      if (claimed.affectedRows) {
+        await sendLowStockAlert({ ...variant, low_stock_alerted_at: new Date() });
+      }
+    }
+  } catch (error) {
+    console.error('Low-stock check error:', error);
+  }
+}
+
+module.exports = {
+  getDefaultReorderLevel,
+  getStockLevels,
+  getLowStock,
+  registerLowStockNotifier,
+  checkLowStock
+};
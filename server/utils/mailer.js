@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { executeQuery } = require('../config/database');
+
+const MAX_ATTEMPTS = () => parseInt(process.env.EMAIL_MAX_ATTEMPTS || '5', 10);
+
+// Messages stuck in 'sending' this long (e.g. the process died mid-send) are retried
+const STALE_SENDING_MINUTES = 10;
+
+let transporter = null;
+
+// EMAIL_TRANSPORT picks where mail goes: 'smtp' (default when EMAIL_HOST is set),
+// 'file' to write .eml files to EMAIL_FILE_DIR, or 'console' to log them
+function getTransportType() {
+  if (process.env.EMAIL_TRANSPORT) return process.env.EMAIL_TRANSPORT;
+  return process.env.EMAIL_HOST ? 'smtp' : 'console';
+}
+
+function getTransporter() {
+  if (transporter) return transporter;
+
+  switch (getTransportType()) {
+    case 'file':
+      transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+      break;
+    case 'console':
+      transporter = nodemailer.createTransport({ jsonTransport: true });
+      break;
+    default:
+      transporter = nodemailer.createTransport({
+        host: process.env.EMAIL_HOST,
+        port: parseInt(process.env.EMAIL_PORT || '587', 10),
+        secure: process.env.EMAIL_PORT === '465',
+        auth: process.env.EMAIL_USER ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS } : undefined,
+        // A slow server fails the attempt instead of holding up the worker
+        connectionTimeout: 10000,
+        greetingTimeout: 10000,
+        socketTimeout: 20000
+      });
+  }
+
+  return transporter;
+}
+
+async function deliver(message) {
+  const info = await getTransporter().sendMail({
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER || 'no-reply@malidairyfarm.com',
+    to: message.to_name ? { name: message.to_name, address: message.to_email } : message.to_email,
+    subject: message.subject,
+    text: message.body_text,
+    html: message.body_html
+  });
+
+  const type = getTransportType();
+  if (type === 'file') {
+    const dir = process.env.EMAIL_FILE_DIR || './mail';
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `${message.email_id}-${message.template}.eml`), info.message);
+  } else if (type === 'console') {
+    console.log(`✉️  Email ${message.email_id} to ${message.to_email}: ${message.subject}\n${message.body_text}`);
+  }
+}
+
+// Add a message to the outbox. A dedupe key makes repeated calls for the same
+// event a no-op. Never throws: a notification must not fail the request that
+// triggered it.
+async function queueEmail({ to, name, template, subject, text, html, dedupeKey }) {
+  if (!to) return false;
+
+  try {
+    const result = await executeQuery(`
+      INSERT IGNORE INTO email_outbox (to_email, to_name, template, subject, body_text, body_html, dedupe_key, next_attempt_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, NOW())
+    `, [to, name || null, template, subject, text, html || null, dedupeKey || null]);
+    return result.affectedRows > 0;
+  } catch (error) {
+    console.error('Email queue error:', error);
+    return false;
+  }
+}
+
+// Send due messages from the outbox. Each message is claimed before sending so
+// overlapping workers never send it twice; failures are retried with
+// exponential backoff until EMAIL_MAX_ATTEMPTS.
+async function processOutbox(limit = 20) {
+  const summary = { sent: 0, retried: 0, failed: 0 };
+
+  await executeQuery(`
+    UPDATE email_outbox SET status = 'pending'
+    WHERE status = 'sending' AND updated_at < DATE_SUB(NOW(), INTERVAL ${STALE_SENDING_MINUTES} MINUTE)
+  `);
+
+  const due = await executeQuery(`
+    SELECT * FROM email_outbox
+    WHERE status = 'pending' AND next_attempt_at <= NOW()
+    ORDER BY next_attempt_at
+    LIMIT ${Number(limit)}
+  `);
+
+  for (const message of due) {
+    const claim = await executeQuery(
+      "UPDATE email_outbox SET status = 'sending', attempts = attempts + 1 WHERE email_id = ? AND status = 'pending'",
+      [message.email_id]
+    );
+    if (claim.affectedRows === 0) continue;
+
+    const attempts = message.attempts + 1;
+
+    try {
+      await deliver(message);
+      await executeQuery(
+        "UPDATE email_outbox SET status = 'sent', sent_at = NOW(), last_error = NULL WHERE email_id = ?",
+        [message.email_id]
+      );
+      summary.sent += 1;
+    } catch (error) {
+      const giveUp = attempts >= MAX_ATTEMPTS();
+      await executeQuery(`
+        UPDATE email_outbox
+        SET status = ?, last_error = ?, next_attempt_at = DATE_ADD(NOW(), INTERVAL ? MINUTE)
+        WHERE email_id = ?
+      `, [giveUp ? 'failed' : 'pending', String(error.message).slice(0, 255), 2 ** attempts, message.email_id]);
+      summary[giveUp ? 'failed' : 'retried'] += 1;
+    }
+  }
+
+  return summary;
+}
+
+let workerTimer = null;
+let workerRunning = false;
+
+// Periodically send queued email
+function startEmailWorker() {
+  const seconds = parseInt(process.env.EMAIL_WORKER_INTERVAL_SECONDS || '30', 10);
+  if (!seconds || workerTimer) return;
+
+  const tick = async () => {
+    if (workerRunning) return;
+    workerRunning = true;
+    try {
+      const summary = await processOutbox();
+      if (summary.retried || summary.failed) {
+        console.log('✉️  Email outbox:', summary);
+      }
+    } catch (error) {
+      console.error('Email worker error:', error);
+    } finally {
+      workerRunning = false;
+    }
+  };
+
+  workerTimer = setInterval(tick, seconds * 1000);
+  tick();
+}
+
+module.exports = {
+  queueEmail,
+  processOutbox,
+  startEmailWorker
+};
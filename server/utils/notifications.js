@@ -0,0 +1,295 @@
+const { executeQuery } = require('../config/database');
+const { queueEmail } = require('./mailer');
+const { VARIANT_NAME_SQL } = require('./variants');
+
+const farmName = () => process.env.SELLER_NAME || 'Mali Dairy Farm';
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' });
+
+// What is left to pay after the wallet share taken at checkout
+const amountDue = (order) => (Number(order.total_amount) - Number(order.wallet_amount || 0)).toFixed(2);
+
+const itemLines = (items) => items.map(item => `- ${item.name} x ${item.quantity} ${item.unit}`).join('\n');
+
+const PAYMENT_LABELS = {
+  razorpay: 'Paid online',
+  cod: 'Cash on delivery',
+  upi_on_delivery: 'UPI on delivery'
+};
+
+// Subject and paragraphs for each template. Paragraphs become the plain-text
+// body and simple HTML; a paragraph starting with '- ' is rendered as a list.
+const TEMPLATES = {
+  order_placed: ({ order, items }) => ({
+    subject: `Order #${order.order_id} received`,
+    paragraphs: [
+      `Hi ${order.customer_name},`,
+      `Thank you for your order #${order.order_id}.`,
+      itemLines(items),
+      Number(order.delivery_charge) > 0 ? `Delivery charge: Rs. ${order.delivery_charge}` : null,
+      Number(order.wallet_amount) > 0
+        ? `Total: Rs. ${order.total_amount} (Rs. ${order.wallet_amount} from your wallet${Number(amountDue(order)) > 0 ? `, Rs. ${amountDue(order)} ${PAYMENT_LABELS[order.payment_method].toLowerCase()}` : ''})`
+        : `Total: Rs. ${order.total_amount} (${PAYMENT_LABELS[order.payment_method]})`,
+      order.payment_method === 'razorpay' && order.payment_status === 'pending'
+        ? 'Please complete the payment to confirm your order.'
+        : `We will deliver it to: ${order.delivery_address}`
+    ]
+  }),
+
+  payment_confirmed: ({ order }) => ({
+    subject: `Payment received for order #${order.order_id}`,
+    paragraphs: [
+      `Hi ${order.customer_name},`,
+      `We have received your payment of Rs. ${amountDue(order)} for order #${order.order_id}. Your order is confirmed.`
+    ]
+  }),
+
+  order_shipped: ({ order }) => ({
+    subject: `Order #${order.order_id} is out for delivery`,
+    paragraphs: [
+      `Hi ${order.customer_name},`,
+      `Your order #${order.order_id} is on its way to ${order.delivery_address}.`,
+      order.payment_status === 'pending'
+        ? `Please keep Rs. ${amountDue(order)} ready (${PAYMENT_LABELS[order.payment_method]}).`
+        : null
+    ]
+  }),
+
+  order_delivered: ({ order }) => ({
+    subject: `Order #${order.order_id} delivered`,
+    paragraphs: [
+      `Hi ${order.customer_name},`,
+      `Your order #${order.order_id} has been delivered. Thank you for choosing ${farmName()}!`
+    ]
+  }),
+
+  order_cancelled: ({ order, refund, reason }) => ({
+    subject: `Order #${order.order_id} cancelled`,
+    paragraphs: [
+      `Hi ${order.customer_name},`,
+      `Your order #${order.order_id} has been cancelled${reason ? `: ${reason}` : '.'}`,
+      refund && refund.status !== 'failed'
+        ? `A refund of Rs. ${refund.amount} has been started and should reach your account in 5-7 working days.`
+        : null,
+      Number(order.wallet_amount) > 0
+        ? `Rs. ${order.wallet_amount} paid from your wallet has been returned to it.`
+        : null
+    ]
+  }),
+
+  order_refunded: ({ order, amount }) => ({
+    subject: `Refund processed for order #${order.order_id}`,
+    paragraphs: [
+      `Hi ${order.customer_name},`,
+      `Your refund of Rs. ${amount} for order #${order.order_id} has been processed.`
+    ]
+  }),
+
+  complaint_resolved: ({ order, complaint }) => ({
+    subject: `Update on your complaint #${complaint.complaint_id}`,
+    paragraphs: [
+      `Hi ${order.customer_name},`,
+      `We are sorry about the problem with your order #${order.order_id}. Your complaint has been approved.`,
+      {
+        replacement: `A replacement has been arranged as order #${complaint.replacement_order_id} and will be delivered to you soon.`,
+        refund: `A refund of Rs. ${complaint.resolution_amount} has been started and should reach your account in 5-7 working days.`,
+        wallet_credit: `Rs. ${complaint.resolution_amount} has been credited to your wallet.`
+      }[complaint.resolution],
+      complaint.admin_note
+    ]
+  }),
+
+  complaint_rejected: ({ order, complaint }) => ({
+    subject: `Update on your complaint #${complaint.complaint_id}`,
+    paragraphs: [
+      `Hi ${order.customer_name},`,
+      `We have reviewed your complaint about order #${order.order_id} and are unable to approve it.`,
+      complaint.admin_note ? `Reason: ${complaint.admin_note}` : null
+    ]
+  }),
+
+  training_registered: ({ name, session }) => ({
+    subject: `Registered: ${session.topic}`,
+    paragraphs: [
+      `Hi ${name},`,
+      `You are registered for the training session "${session.topic}" in ${session.village} on ${formatDate(session.session_date)}.`,
+      session.instructor_name ? `Instructor: ${session.instructor_name}` : null
+    ]
+  }),
+
+  training_reminder: ({ name, session }) => ({
+    subject: `Reminder: ${session.topic} tomorrow`,
+    paragraphs: [
+      `Hi ${name},`,
+      `This is a reminder that the training session "${session.topic}" in ${session.village} is on ${formatDate(session.session_date)}. We look forward to seeing you.`
+    ]
+  }),
+
+  low_stock: ({ variant }) => ({
+    subject: `Low stock: ${variant.name}`,
+    paragraphs: [
+      `${variant.name} (${variant.sku}) is down to ${variant.stock} ${variant.unit}, below its reorder level of ${variant.reorder_level}.`,
+      variant.daily_sales > 0
+        ? `It sold ${variant.daily_sales} a day recently, which is about ${variant.days_of_cover} days of stock.`
+        : 'It has had no recent sales.',
+      variant.suggested_quantity > 0 ? `Suggested production or reorder: ${variant.suggested_quantity} ${variant.unit}.` : null
+    ]
+  })
+};
+
+function renderTemplate(template, data) {
+  const { subject, paragraphs } = TEMPLATES[template](data);
+  const parts = paragraphs.filter(Boolean);
+  const signature = `Regards,\n${farmName()}`;
+
+  const text = [...parts, signature].join('\n\n');
+  const html = [...parts, signature].map(part => {
+    if (part.startsWith('- ')) {
+      return `<ul>${part.split('\n').map(line => `<li>${escapeHtml(line.slice(2))}</li>`).join('')}</ul>`;
+    }
+    return `<p>${escapeHtml(part).replace(/\n/g, '<br>')}</p>`;
+  }).join('\n');
+
+  return { subject: `${subject} - ${farmName()}`, text, html };
+}
+
+// Queue an order email for the customer. eventKey makes it sent at most once.
+// Never throws; a failed notification must not affect the order.
+async function notifyOrder(orderId, template, extra = {}, eventKey = template) {
+  try {
+    const orders = await executeQuery(`
+      SELECT o.*, u.name as customer_name, u.email as customer_email
+      FROM orders o
+      JOIN users u ON o.user_id = u.user_id
+      WHERE o.order_id = ?
+    `, [orderId]);
+
+    if (!orders.length) return;
+
+    const order = orders[0];
+    const items = template === 'order_placed'
+      ? await executeQuery(`
+        SELECT ${VARIANT_NAME_SQL} as name, v.unit, oi.quantity
+        FROM order_items oi
+        JOIN product_variants v ON oi.variant_id = v.variant_id
+        JOIN products p ON v.product_id = p.product_id
+        WHERE oi.order_id = ?
+      `, [orderId])
+      : [];
+
+    const { subject, text, html } = renderTemplate(template, { order, items, ...extra });
+
+    await queueEmail({
+      to: order.customer_email,
+      name: order.customer_name,
+      template,
+      subject,
+      text,
+      html,
+      dedupeKey: `order:${orderId}:${eventKey}`
+    });
+  } catch (error) {
+    console.error(`Order notification error (${template}):`, error);
+  }
+}
+
+// Emails for order status changes that customers hear about
+const STATUS_TEMPLATES = {
+  shipped: 'order_shipped',
+  delivered: 'order_delivered',
+  cancelled: 'order_cancelled'
+};
+
+async function notifyOrderStatus(orderId, status, extra = {}) {
+  if (!STATUS_TEMPLATES[status]) return;
+  await notifyOrder(orderId, STATUS_TEMPLATES[status], extra);
+}
+
+// Queue a training session email for a farmer's user account
+async function notifyTraining(template, { userId, sessionId }) {
+  try {
+    const rows = await executeQuery(`
+      SELECT u.name, u.email, ts.*
+      FROM users u
+      JOIN training_sessions ts ON ts.session_id = ?
+      WHERE u.user_id = ?
+    `, [sessionId, userId]);
+
+    if (!rows.length) return;
+
+    const { name, email, ...session } = rows[0];
+    const { subject, text, html } = renderTemplate(template, { name, session });
+
+    await queueEmail({
+      to: email,
+      name,
+      template,
+      subject,
+      text,
+      html,
+      dedupeKey: `training:${sessionId}:${userId}:${template}`
+    });
+  } catch (error) {
+    console.error(`Training notification error (${template}):`, error);
+  }
+}
+
+// Queue reminders for everyone registered for tomorrow's sessions. Safe to run
+// repeatedly: each farmer gets one reminder per session.
+async function queueTrainingReminders() {
+  const registrations = await executeQuery(`
+    SELECT f.user_id, ft.session_id
+    FROM farmer_training ft
+    JOIN farmers f ON ft.farmer_id = f.farmer_id
+    JOIN training_sessions ts ON ft.session_id = ts.session_id
+    WHERE ts.session_date = DATE_ADD(CURDATE(), INTERVAL 1 DAY) AND ft.attendance_status = 'registered'
+  `);
+
+  for (const registration of registrations) {
+    await notifyTraining('training_reminder', {
+      userId: registration.user_id,
+      sessionId: registration.session_id
+    });
+  }
+
+  return registrations.length;
+}
+
+let reminderTimer = null;
+let reminderRunning = false;
+
+// Periodically queue training reminders
+function startTrainingReminders() {
+  const minutes = parseInt(process.env.TRAINING_REMINDER_INTERVAL_MINUTES || '60', 10);
+  if (!minutes || reminderTimer) return;
+
+  const tick = async () => {
+    if (reminderRunning) return;
+    reminderRunning = true;
+    try {
+      await queueTrainingReminders();
+    } catch (error) {
+      console.error('Training reminder error:', error);
+    } finally {
+      reminderRunning = false;
+    }
+  };
+
+  reminderTimer = setInterval(tick, minutes * 60 * 1000);
+  tick();
+}
+
+module.exports = {
+  renderTemplate,
+  notifyOrder,
+  notifyOrderStatus,
+  notifyTraining,
+  queueTrainingReminders,
+  startTrainingReminders
+};
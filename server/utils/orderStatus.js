@@ -0,0 +1,186 @@
+const { executeQuery, getConnection } = require('../config/database');
+const { refundCancelledOrder, refundToWallet } = require('./refunds');
+const { notifyOrderStatus } = require('./notifications');
+const { returnStock } = require('./stock');
+const { checkLowStock } = require('./lowStock');
+
+// Statuses each order status may move to next
+const ORDER_TRANSITIONS = {
+  placed: ['confirmed', 'cancelled'],
+  confirmed: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+// Customers may only cancel before the order is being prepared
+const CUSTOMER_CANCELLABLE = ['placed', 'confirmed'];
+
+const statusError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+function canTransition(fromStatus, toStatus) {
+  return (ORDER_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+// Return an order's quantities to stock and to the batches they came from
+async function restoreOrderStock(connection, orderId, { changedBy = null, note = null } = {}) {
+  const [items] = await connection.execute(
+    'SELECT item_id, variant_id, quantity FROM order_items WHERE order_id = ?',
+    [orderId]
+  );
+
+  for (const item of items) {
+    await returnStock(connection, item.variant_id, item.quantity, {
+      itemId: item.item_id,
+      referenceId: orderId,
+      note,
+      createdBy: changedBy
+    });
+  }
+}
+
+// Re-run the low-stock check for an order's variants once the cancellation
+// that put their stock back has been committed. Never throws.
+async function checkRestoredStock(orderId) {
+  try {
+    const items = await executeQuery('SELECT DISTINCT variant_id FROM order_items WHERE order_id = ?', [orderId]);
+    await checkLowStock(items.map(item => item.variant_id));
+  } catch (error) {
+    console.error('Low-stock check error:', error);
+  }
+}
+
+// Add an entry to the order's timeline. fromStatus is null for a new order.
+async function recordStatusHistory(connection, orderId, { fromStatus = null, toStatus, changedBy = null, actorRole = 'system', note = null }) {
+  await connection.execute(
+    'INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, actor_role, note) VALUES (?, ?, ?, ?, ?, ?)',
+    [orderId, fromStatus, toStatus, changedBy, actorRole, note]
+  );
+}
+
+// Move an order to a new status. Must run inside the caller's transaction with
+// the order row locked. Cancelling puts the stock back unless the reservation
+// was already released and returns any wallet payment to the wallet; Razorpay
+// refunds are left to the caller because they must run after commit (see
+// changeOrderStatus).
+// Throws an error with status 400 when the transition is not allowed.
+async function transitionOrder(connection, order, toStatus, { changedBy = null, actorRole = 'system', note = null } = {}) {
+  if (!canTransition(order.order_status, toStatus)) {
+    throw statusError(`Order cannot move from ${order.order_status} to ${toStatus}`);
+  }
+
+  if (toStatus === 'cancelled') {
+    if (actorRole === 'customer' && !CUSTOMER_CANCELLABLE.includes(order.order_status)) {
+      throw statusError('Order cannot be cancelled at this stage');
+    }
+
+    if (order.reservation_status !== 'released') {
+      await restoreOrderStock(connection, order.order_id, { changedBy, note });
+    }
+
+    if (Number(order.wallet_amount) > 0) {
+      await refundToWallet(connection, order, {
+        amount: order.wallet_amount,
+        reason: note || 'Order cancelled',
+        initiatedBy: changedBy
+      });
+    }
+
+    await connection.execute(
+      "UPDATE orders SET order_status = 'cancelled', reservation_status = 'released', reserved_until = NULL WHERE order_id = ?",
+      [order.order_id]
+    );
+  } else {
+    await connection.execute(
+      'UPDATE orders SET order_status = ? WHERE order_id = ?',
+      [toStatus, order.order_id]
+    );
+  }
+
+  await recordStatusHistory(connection, order.order_id, {
+    fromStatus: order.order_status,
+    toStatus,
+    changedBy,
+    actorRole,
+    note
+  });
+
+  return { ...order, order_status: toStatus, reservation_status: toStatus === 'cancelled' ? 'released' : order.reservation_status };
+}
+
+// Change an order's status in its own transaction, then refund it if it was a
+// paid order being cancelled and email the customer. Pass userId to restrict
+// it to that customer's order.
+async function changeOrderStatus(orderId, toStatus, { userId, changedBy = null, actorRole = 'system', note = null, refundAmount } = {}) {
+  const connection = await getConnection();
+  let order;
+
+  try {
+    await connection.beginTransaction();
+
+    const [orders] = await connection.execute(
+      `SELECT * FROM orders WHERE order_id = ?${userId ? ' AND user_id = ?' : ''} FOR UPDATE`,
+      userId ? [orderId, userId] : [orderId]
+    );
+
+    if (!orders.length) throw statusError('Order not found', 404);
+
+    order = orders[0];
+    await transitionOrder(connection, order, toStatus, { changedBy, actorRole, note });
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  let refund = null;
+  if (toStatus === 'cancelled') {
+    if (order.reservation_status !== 'released') {
+      await checkRestoredStock(order.order_id);
+    }
+
+    refund = await refundCancelledOrder(order, {
+      initiatedBy: changedBy,
+      reason: note || (actorRole === 'customer' ? 'Cancelled by customer' : 'Cancelled by admin'),
+      amount: refundAmount
+    });
+  }
+
+  await notifyOrderStatus(order.order_id, toStatus, {
+    refund,
+    reason: actorRole === 'customer' ? null : note
+  });
+
+  return { order: { ...order, order_status: toStatus }, refund };
+}
+
+// Status changes for an order, oldest first
+async function getOrderTimeline(orderId) {
+  return executeQuery(`
+    SELECT h.history_id, h.from_status, h.to_status, h.actor_role, h.note, h.created_at,
+           h.changed_by, u.name as changed_by_name
+    FROM order_status_history h
+    LEFT JOIN users u ON h.changed_by = u.user_id
+    WHERE h.order_id = ?
+    ORDER BY h.created_at, h.history_id
+  `, [orderId]);
+}
+
+module.exports = {
+  ORDER_TRANSITIONS,
+  canTransition,
+  restoreOrderStock,
+  checkRestoredStock,
+  recordStatusHistory,
+  transitionOrder,
+  changeOrderStatus,
+  getOrderTimeline
+};
@@ -0,0 +1,80 @@
+const { executeQuery } = require('../config/database');
+
+// Run a query on the transaction connection when there is one, else on the pool
+const runQuery = async (connection, sql, params) => {
+  if (connection) {
+    const [rows] = await connection.execute(sql, params);
+    return rows;
+  }
+  return executeQuery(sql, params);
+};
+
+// Customer price groups; everyone starts as retail
+const PRICE_GROUPS = ['retail', 'wholesale', 'institutional'];
+
+async function getUserPriceGroup(userId, connection = null) {
+  if (!userId) return 'retail';
+  const users = await runQuery(connection, 'SELECT price_group FROM users WHERE user_id = ?', [userId]);
+  return users.length ? users[0].price_group : 'retail';
+}
+
+// Active price tiers for the variants that apply to a price group, keyed by
+// variant_id. Tiers without a price group are quantity breaks for everyone.
+async function getPriceTiers(variantIds, priceGroup, connection = null) {
+  const tiersByVariant = new Map();
+  if (!variantIds.length) return tiersByVariant;
+
+  const tiers = await runQuery(connection, `
+    SELECT tier_id, variant_id, price_group, min_quantity, price
+    FROM product_price_tiers
+    WHERE is_active = true AND variant_id IN (${variantIds.map(() => '?').join(', ')})
+      AND (price_group IS NULL OR price_group = ?)
+    ORDER BY variant_id, min_quantity
+  `, [...variantIds, priceGroup]);
+
+  for (const tier of tiers) {
+    if (!tiersByVariant.has(tier.variant_id)) tiersByVariant.set(tier.variant_id, []);
+    tiersByVariant.get(tier.variant_id).push({ ...tier, price: Number(tier.price) });
+  }
+
+  return tiersByVariant;
+}
+
+// Cheapest price for a quantity: the list price or any tier the quantity
+// reaches. price_rule describes the rule for order_items.
+function bestPrice(listPrice, quantity, tiers = []) {
+  let best = { price: Number(listPrice), price_tier_id: null, price_rule: 'list price' };
+
+  for (const tier of tiers) {
+    if (quantity >= tier.min_quantity && tier.price < best.price) {
+      best = {
+        price: tier.price,
+        price_tier_id: tier.tier_id,
+        price_rule: `${tier.price_group || 'all customers'} ${tier.min_quantity}+`
+      };
+    }
+  }
+
+  return best;
+}
+
+// Apply the user's best prices to lines of { variant_id, quantity, price }
+// where price is the list price. Adds list_price, price_tier_id and price_rule.
+async function applyBestPrices(userId, lines, connection = null) {
+  const priceGroup = await getUserPriceGroup(userId, connection);
+  const tiers = await getPriceTiers([...new Set(lines.map(line => line.variant_id))], priceGroup, connection);
+
+  return lines.map(line => ({
+    ...line,
+    list_price: Number(line.price),
+    ...bestPrice(line.price, line.quantity, tiers.get(line.variant_id))
+  }));
+}
+
+module.exports = {
+  PRICE_GROUPS,
+  getUserPriceGroup,
+  getPriceTiers,
+  bestPrice,
+  applyBestPrices
+};
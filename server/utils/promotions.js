@@ -0,0 +1,173 @@
+const { executeQuery } = require('../config/database');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const promotionError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Run a query on the transaction connection when there is one, else on the pool
+const runQuery = async (connection, sql, params) => {
+  if (connection) {
+    const [rows] = await connection.execute(sql, params);
+    return rows;
+  }
+  return executeQuery(sql, params);
+};
+
+const isLineInScope = (promotion, line) => {
+  if (promotion.scope === 'product') return line.product_id === promotion.scope_product_id;
+  if (promotion.scope === 'category') return line.category === promotion.scope_category;
+  return true;
+};
+
+// Split a capped discount across lines in proportion to their original amounts
+const capDiscounts = (discounts, cap) => {
+  const total = discounts.reduce((sum, d) => sum + d.amount, 0);
+  if (cap === null || cap === undefined || total <= cap) return discounts;
+
+  let remaining = round2(Number(cap));
+  return discounts.map((d, index) => {
+    const amount = index === discounts.length - 1
+      ? remaining
+      : round2(d.amount * Number(cap) / total);
+    remaining = round2(remaining - amount);
+    return { ...d, amount };
+  });
+};
+
+// Discount lines for a promotion over the eligible cart lines
+const calculateDiscounts = (promotion, eligibleLines) => {
+  const value = Number(promotion.discount_value || 0);
+  let discounts = [];
+
+  switch (promotion.discount_type) {
+    case 'percentage':
+      discounts = eligibleLines.map(line => ({
+        product_id: line.product_id,
+        description: `${value}% off ${line.name}`,
+        amount: round2(line.price * line.quantity * value / 100)
+      }));
+      break;
+
+    case 'flat': {
+      const eligibleTotal = eligibleLines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+      discounts = [{
+        product_id: promotion.scope === 'product' ? promotion.scope_product_id : null,
+        description: `Flat ${value} off`,
+        amount: round2(Math.min(value, eligibleTotal))
+      }];
+      break;
+    }
+
+    case 'buy_x_get_y': {
+      const groupSize = promotion.buy_quantity + promotion.get_quantity;
+      discounts = eligibleLines.map(line => {
+        const freeUnits = Math.floor(line.quantity / groupSize) * promotion.get_quantity;
+        return {
+          product_id: line.product_id,
+          description: `Buy ${promotion.buy_quantity} get ${promotion.get_quantity} free on ${line.name}`,
+          amount: round2(freeUnits * line.price)
+        };
+      });
+      break;
+    }
+
+    default:
+      break;
+  }
+
+  return capDiscounts(discounts.filter(d => d.amount > 0), promotion.max_discount_amount);
+};
+
+// Validate a coupon code for a user's cart and work out its discount lines.
+// lines: [{ product_id, name, category, price, quantity }]
+// When a transaction connection is passed the promotion row is locked so
+// concurrent orders cannot exceed its usage limits.
+// Throws an error with status 400 when the coupon cannot be applied.
+async function applyCoupon(code, userId, lines, { connection } = {}) {
+  const promotions = await runQuery(
+    connection,
+    `SELECT * FROM promotions WHERE code = ? AND is_active = true${connection ? ' FOR UPDATE' : ''}`,
+    [String(code).trim().toUpperCase()]
+  );
+
+  if (!promotions.length) throw promotionError('Invalid coupon code');
+
+  const promotion = promotions[0];
+  const now = new Date();
+
+  if ((promotion.starts_at && now < new Date(promotion.starts_at)) || (promotion.ends_at && now > new Date(promotion.ends_at))) {
+    throw promotionError('This coupon is not valid at this time');
+  }
+
+  // Redemptions on cancelled orders do not count towards the limits
+  const [usage] = await runQuery(connection, `
+    SELECT COUNT(*) AS total_uses,
+           COUNT(CASE WHEN pr.user_id = ? THEN 1 END) AS user_uses
+    FROM promotion_redemptions pr
+    JOIN orders o ON pr.order_id = o.order_id
+    WHERE pr.promotion_id = ? AND o.order_status != 'cancelled'
+  `, [userId, promotion.promotion_id]);
+
+  if (promotion.usage_limit_total && usage.total_uses >= promotion.usage_limit_total) {
+    throw promotionError('This coupon has reached its usage limit');
+  }
+
+  if (promotion.usage_limit_per_user && usage.user_uses >= promotion.usage_limit_per_user) {
+    throw promotionError('You have already used this coupon');
+  }
+
+  if (promotion.first_order_only) {
+    const [previous] = await runQuery(
+      connection,
+      "SELECT COUNT(*) AS total FROM orders WHERE user_id = ? AND order_status != 'cancelled'",
+      [userId]
+    );
+    if (previous.total > 0) throw promotionError('This coupon is only valid on your first order');
+  }
+
+  const subtotal = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+
+  if (subtotal < Number(promotion.min_cart_value || 0)) {
+    throw promotionError(`Add items worth ${round2(promotion.min_cart_value - subtotal)} more to use this coupon`);
+  }
+
+  const eligibleLines = lines.filter(line => isLineInScope(promotion, line));
+  if (!eligibleLines.length) throw promotionError('This coupon does not apply to the items in your cart');
+
+  const discounts = calculateDiscounts(promotion, eligibleLines);
+  const discountTotal = round2(Math.min(discounts.reduce((sum, d) => sum + d.amount, 0), subtotal));
+
+  if (discountTotal <= 0) throw promotionError('This coupon does not apply to the items in your cart');
+
+  return {
+    promotion_id: promotion.promotion_id,
+    code: promotion.code,
+    description: promotion.description,
+    discounts,
+    discount_total: discountTotal
+  };
+}
+
+// Store the applied discount lines and the redemption for a new order
+async function recordCouponRedemption(connection, orderId, userId, coupon) {
+  for (const discount of coupon.discounts) {
+    await connection.execute(
+      'INSERT INTO order_discounts (order_id, promotion_id, code, product_id, description, amount) VALUES (?, ?, ?, ?, ?, ?)',
+      [orderId, coupon.promotion_id, coupon.code, discount.product_id, discount.description, discount.amount]
+    );
+  }
+
+  await connection.execute(
+    'INSERT INTO promotion_redemptions (promotion_id, user_id, order_id, discount_amount) VALUES (?, ?, ?, ?)',
+    [coupon.promotion_id, userId, orderId, coupon.discount_total]
+  );
+}
+
+module.exports = {
+  applyCoupon,
+  recordCouponRedemption
+};
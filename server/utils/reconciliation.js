@@ -0,0 +1,310 @@
+const ExcelJS = require('exceljs');
+const { executeQuery, getConnection } = require('../config/database');
+const { parseCsv } = require('./csv');
+
+const reconciliationError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const DISCREPANCY_TYPES = [
+  'pending_locally', // paid at Razorpay, still unpaid here
+  'amount_mismatch', // amounts differ between the report and our records
+  'payment_id_mismatch', // the order is paid here with a different payment
+  'refund_not_reflected', // refunded at Razorpay, no processed refund here
+  'orphan_payment', // payment that matches no order or wallet top-up
+  'orphan_refund' // refund for a payment we do not know
+];
+
+// Payment statuses that mean money was taken; others are skipped
+const PAID_STATUSES = ['captured', 'refunded', 'settled', 'processed'];
+
+// "Order Receipt" -> "order_receipt"
+const normalizeHeader = (header) => String(header).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+// Report rows as objects keyed by normalized header, from a CSV or XLSX upload
+async function readReport(file) {
+  let table;
+
+  if (/\.xlsx$/i.test(file.originalname)) {
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(file.buffer);
+    } catch (error) {
+      throw reconciliationError('Could not read the Excel file');
+    }
+    const sheet = workbook.worksheets[0];
+    table = [];
+    sheet?.eachRow(row => {
+      const cells = [];
+      for (let i = 1; i <= sheet.columnCount; i++) cells.push(row.getCell(i).text);
+      table.push(cells);
+    });
+  } else {
+    table = parseCsv(file.buffer.toString('utf8'));
+  }
+
+  if (!table || table.length < 2) throw reconciliationError('The report has no rows');
+
+  const headers = table[0].map(normalizeHeader);
+  return table.slice(1).map(cells => Object.fromEntries(headers.map((header, i) => [header, cells[i] ?? ''])));
+}
+
+const pick = (row, ...keys) => {
+  for (const key of keys) {
+    if (row[key] !== undefined && String(row[key]).trim() !== '') return String(row[key]).trim();
+  }
+  return null;
+};
+
+const parseAmount = (value) => (value === null ? null : Number(String(value).replace(/[^0-9.-]/g, '')));
+
+// A settlement or payments report row as { type, payment_id, refund_id,
+// razorpay_order_id, receipt_order_id, amount, amount_refunded }, or null for
+// rows that are neither a taken payment nor a refund (fees, adjustments,
+// failed attempts). Amounts are in rupees, as in dashboard reports.
+function normalizeRow(row) {
+  const entityId = pick(row, 'entity_id', 'id');
+  let type = (pick(row, 'type', 'entity_type') || '').toLowerCase();
+  if (!type && entityId) {
+    if (entityId.startsWith('pay_')) type = 'payment';
+    if (entityId.startsWith('rfnd_')) type = 'refund';
+  }
+  if (type !== 'payment' && type !== 'refund') return null;
+
+  const status = (pick(row, 'status') || '').toLowerCase();
+  if (type === 'payment' && status && !PAID_STATUSES.includes(status)) return null;
+
+  const receipt = pick(row, 'order_receipt', 'receipt');
+  const receiptMatch = receipt && receipt.match(/^order_(\d+)$/);
+
+  return {
+    type,
+    payment_id: type === 'payment' && entityId?.startsWith('pay_') ? entityId : pick(row, 'payment_id'),
+    refund_id: type === 'refund' ? (entityId?.startsWith('rfnd_') ? entityId : pick(row, 'refund_id')) : null,
+    razorpay_order_id: pick(row, 'order_id'),
+    receipt_order_id: receiptMatch ? Number(receiptMatch[1]) : null,
+    amount: parseAmount(pick(row, 'amount', type === 'payment' ? 'credit' : 'debit')),
+    amount_refunded: parseAmount(pick(row, 'amount_refunded')) || 0
+  };
+}
+
+// Rows where column is one of values (none for an empty list)
+async function selectIn(sql, values) {
+  const unique = [...new Set(values.filter(Boolean))];
+  if (!unique.length) return [];
+  return executeQuery(sql.replace('(?)', `(${unique.map(() => '?').join(', ')})`), unique);
+}
+
+// Look up everything the report rows can match in a few queries
+async function loadLocalRecords(entries) {
+  const paymentIds = entries.map(entry => entry.payment_id);
+  const razorpayOrderIds = entries.map(entry => entry.razorpay_order_id);
+
+  const [ordersByPayment, ordersByReceipt, ordersByRazorpayOrder, topups, refunds] = await Promise.all([
+    selectIn('SELECT * FROM orders WHERE payment_id IN (?)', paymentIds),
+    selectIn('SELECT * FROM orders WHERE order_id IN (?)', entries.map(entry => entry.receipt_order_id)),
+    selectIn('SELECT * FROM orders WHERE razorpay_order_id IN (?)', razorpayOrderIds),
+    selectIn('SELECT * FROM wallet_topups WHERE razorpay_order_id IN (?)', razorpayOrderIds),
+    selectIn('SELECT * FROM order_refunds WHERE razorpay_refund_id IN (?)', entries.map(entry => entry.refund_id))
+  ]);
+
+  const topupsByPayment = await selectIn('SELECT * FROM wallet_topups WHERE razorpay_payment_id IN (?)', paymentIds);
+
+  const orderIds = [...ordersByPayment, ...ordersByReceipt, ...ordersByRazorpayOrder].map(order => order.order_id);
+  const refundTotals = await selectIn(`
+    SELECT order_id, COALESCE(SUM(amount), 0) as refunded
+    FROM order_refunds
+    WHERE destination = 'razorpay' AND status = 'processed' AND order_id IN (?)
+    GROUP BY order_id
+  `, orderIds);
+
+  const byKey = (rows, key) => new Map(rows.map(row => [row[key], row]));
+
+  return {
+    ordersByPayment: byKey(ordersByPayment, 'payment_id'),
+    ordersById: byKey(ordersByReceipt, 'order_id'),
+    ordersByRazorpayOrder: byKey(ordersByRazorpayOrder, 'razorpay_order_id'),
+    topupsByRazorpayOrder: byKey(topups, 'razorpay_order_id'),
+    topupsByPayment: byKey(topupsByPayment, 'razorpay_payment_id'),
+    refundsById: byKey(refunds, 'razorpay_refund_id'),
+    refundedByOrder: new Map(refundTotals.map(row => [row.order_id, Number(row.refunded)]))
+  };
+}
+
+const amountsDiffer = (a, b) => Math.abs(Number(a) - Number(b)) >= 0.01;
+
+// Discrepancies for one payment row; matched is false for orphans
+function checkPayment(entry, local) {
+  const order = local.ordersByPayment.get(entry.payment_id) ||
+    (entry.receipt_order_id && local.ordersById.get(entry.receipt_order_id)) ||
+    local.ordersByRazorpayOrder.get(entry.razorpay_order_id);
+
+  const base = { payment_id: entry.payment_id, report_amount: entry.amount };
+
+  if (!order) {
+    const topup = local.topupsByPayment.get(entry.payment_id) || local.topupsByRazorpayOrder.get(entry.razorpay_order_id);
+    if (!topup) {
+      return { matched: false, issues: [{ ...base, discrepancy_type: 'orphan_payment', details: 'No order or wallet top-up for this payment' }] };
+    }
+
+    const issues = [];
+    if (topup.status !== 'paid') {
+      issues.push({ ...base, topup_id: topup.topup_id, local_amount: topup.amount, discrepancy_type: 'pending_locally', details: `Wallet top-up is ${topup.status} here` });
+    }
+    if (amountsDiffer(entry.amount, topup.amount)) {
+      issues.push({ ...base, topup_id: topup.topup_id, local_amount: topup.amount, discrepancy_type: 'amount_mismatch', details: 'Wallet top-up amount differs' });
+    }
+    return { matched: true, issues };
+  }
+
+  const issues = [];
+  const amountDue = round2(Number(order.total_amount) - Number(order.wallet_amount || 0));
+  const withOrder = { ...base, order_id: order.order_id, local_amount: amountDue };
+
+  if (!['completed', 'refunded'].includes(order.payment_status)) {
+    issues.push({ ...withOrder, discrepancy_type: 'pending_locally', details: `Order payment is ${order.payment_status} here (order ${order.order_status})` });
+  } else if (order.payment_id && entry.payment_id && order.payment_id !== entry.payment_id) {
+    issues.push({ ...withOrder, discrepancy_type: 'payment_id_mismatch', details: `Order is paid here with ${order.payment_id}` });
+  }
+
+  if (amountsDiffer(entry.amount, amountDue)) {
+    issues.push({ ...withOrder, discrepancy_type: 'amount_mismatch', details: 'Payment amount differs from the amount due' });
+  }
+
+  const refundedHere = local.refundedByOrder.get(order.order_id) || 0;
+  if (entry.amount_refunded > 0 && amountsDiffer(entry.amount_refunded, refundedHere)) {
+    issues.push({
+      ...withOrder,
+      report_amount: entry.amount_refunded,
+      local_amount: refundedHere,
+      discrepancy_type: 'refund_not_reflected',
+      details: 'Refunded amount differs from processed refunds here'
+    });
+  }
+
+  return { matched: true, issues };
+}
+
+// Discrepancies for one refund row
+function checkRefund(entry, local) {
+  const base = { payment_id: entry.payment_id, refund_id: entry.refund_id, report_amount: entry.amount };
+  const refund = local.refundsById.get(entry.refund_id);
+
+  if (refund) {
+    const issues = [];
+    const withRefund = { ...base, order_id: refund.order_id, local_amount: refund.amount };
+    if (refund.status !== 'processed') {
+      issues.push({ ...withRefund, discrepancy_type: 'refund_not_reflected', details: `Refund is ${refund.status} here` });
+    }
+    if (amountsDiffer(entry.amount, refund.amount)) {
+      issues.push({ ...withRefund, discrepancy_type: 'amount_mismatch', details: 'Refund amount differs' });
+    }
+    return { matched: true, issues };
+  }
+
+  const order = local.ordersByPayment.get(entry.payment_id);
+  if (!order) {
+    return { matched: false, issues: [{ ...base, discrepancy_type: 'orphan_refund', details: 'No order for the refunded payment' }] };
+  }
+
+  return {
+    matched: true,
+    issues: [{ ...base, order_id: order.order_id, local_amount: null, discrepancy_type: 'refund_not_reflected', details: 'No refund recorded here' }]
+  };
+}
+
+// Reconcile an uploaded Razorpay settlement or payments report against our
+// orders, wallet top-ups and refunds, and save the run with its discrepancies.
+// Returns the run id.
+async function runReconciliation(file, createdBy) {
+  const entries = (await readReport(file)).map(normalizeRow).filter(Boolean);
+  if (!entries.length) throw reconciliationError('No payments or refunds found in the report');
+
+  const local = await loadLocalRecords(entries);
+
+  let matched = 0;
+  const discrepancies = [];
+  for (const entry of entries) {
+    const result = entry.type === 'payment' ? checkPayment(entry, local) : checkRefund(entry, local);
+    if (result.matched) matched++;
+    discrepancies.push(...result.issues);
+  }
+
+  const payments = entries.filter(entry => entry.type === 'payment');
+  const refunds = entries.filter(entry => entry.type === 'refund');
+
+  const connection = await getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [run] = await connection.execute(`
+      INSERT INTO reconciliation_runs (
+        file_name, payment_count, refund_count, matched_count, discrepancy_count, payments_total, refunds_total, created_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      file.originalname.slice(0, 255),
+      payments.length,
+      refunds.length,
+      matched,
+      discrepancies.length,
+      round2(payments.reduce((sum, entry) => sum + (entry.amount || 0), 0)),
+      round2(refunds.reduce((sum, entry) => sum + (entry.amount || 0), 0)),
+      createdBy
+    ]);
+
+    for (const issue of discrepancies) {
+      await connection.execute(`
+        INSERT INTO reconciliation_discrepancies (
+          run_id, discrepancy_type, order_id, topup_id, payment_id, refund_id, report_amount, local_amount, details
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        run.insertId,
+        issue.discrepancy_type,
+        issue.order_id || null,
+        issue.topup_id || null,
+        issue.payment_id || null,
+        issue.refund_id || null,
+        issue.report_amount ?? null,
+        issue.local_amount ?? null,
+        issue.details
+      ]);
+    }
+
+    await connection.commit();
+    return run.insertId;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// A saved run with its discrepancies, or null
+async function getReconciliation(runId) {
+  const runs = await executeQuery(`
+    SELECT r.*, u.name as created_by_name
+    FROM reconciliation_runs r
+    LEFT JOIN users u ON r.created_by = u.user_id
+    WHERE r.run_id = ?
+  `, [runId]);
+  if (!runs.length) return null;
+
+  const discrepancies = await executeQuery(
+    'SELECT * FROM reconciliation_discrepancies WHERE run_id = ? ORDER BY discrepancy_type, discrepancy_id',
+    [runId]
+  );
+
+  return { ...runs[0], discrepancies };
+}
+
+module.exports = {
+  DISCREPANCY_TYPES,
+  runReconciliation,
+  getReconciliation
+};
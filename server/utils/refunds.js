@@ -0,0 +1,310 @@
+const { executeQuery, getConnection } = require('../config/database');
+const razorpay = require('../config/razorpay');
+const { notifyOrder } = require('./notifications');
+const { postWalletEntry } = require('./wallet');
+
+const refundError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Set aside a Razorpay refund for a paid order as a pending order_refunds row.
+// Locks the order row, so it must run inside the caller's transaction: a
+// concurrent refund waits here and then counts this one's pending row, so
+// together they cannot exceed what was paid. sendRefund requests it once
+// committed. Only the part paid through Razorpay can go back that way; see
+// refundToWallet. Returns { refund_id, amount }.
+async function reserveRefund(connection, order, { amount, reason, initiatedBy } = {}) {
+  if (order.payment_method !== 'razorpay' || !order.payment_id) {
+    throw refundError('Only orders paid online can be refunded through Razorpay');
+  }
+
+  const [orders] = await connection.execute(
+    'SELECT total_amount, wallet_amount FROM orders WHERE order_id = ? FOR UPDATE',
+    [order.order_id]
+  );
+  const [[{ refunded }]] = await connection.execute(
+    "SELECT COALESCE(SUM(amount), 0) AS refunded FROM order_refunds WHERE order_id = ? AND destination = 'razorpay' AND status IN ('pending', 'processed')",
+    [order.order_id]
+  );
+
+  const refundable = Number(orders[0].total_amount) - Number(orders[0].wallet_amount || 0) - Number(refunded);
+  const refundAmount = amount === undefined || amount === null ? refundable : Number(amount);
+
+  if (refundAmount <= 0 || refundAmount - refundable > 0.001) {
+    throw refundError(`Refund amount must be between 0 and ${refundable.toFixed(2)}`);
+  }
+
+  const [result] = await connection.execute(
+    "INSERT INTO order_refunds (order_id, amount, status, reason, initiated_by) VALUES (?, ?, 'pending', ?, ?)",
+    [order.order_id, refundAmount, reason || null, initiatedBy || null]
+  );
+
+  return { refund_id: result.insertId, amount: refundAmount };
+}
+
+// Razorpay refund requests made for one refund before it is marked failed
+const MAX_REFUND_ATTEMPTS = 5;
+
+// Minutes a refund request is given before it may be retried
+const getRefundRetryMinutes = () => parseInt(process.env.REFUND_RETRY_INTERVAL_MINUTES || '10', 10);
+
+// The refund Razorpay already has for this row, if an earlier request got
+// through but its response was lost (e.g. a timeout)
+async function findRequestedRefund(paymentId, refundId) {
+  const { items = [] } = await razorpay.payments.fetchMultipleRefund(paymentId, { count: 100 });
+  return items.find(item => String(item.notes?.refund_id) === String(refundId)) || null;
+}
+
+// Request a reserved refund from Razorpay and record the answer on its row.
+// No transaction is open during the API call. payment_status only moves to
+// 'refunded' once the processed refunds cover the whole order (see
+// settleRefundedStatus): right away if the API says so, otherwise via the
+// refund.processed webhook.
+// With retry, a failed request leaves the refund pending for
+// retryPendingRefunds (up to MAX_REFUND_ATTEMPTS); without it the refund is
+// marked failed straight away.
+async function sendRefund(refundId, { retry = false } = {}) {
+  // Claim the request so the retry job and the caller never send it twice
+  const claimed = await executeQuery(`
+    UPDATE order_refunds
+    SET attempts = attempts + 1, last_attempt_at = NOW()
+    WHERE refund_id = ? AND status = 'pending' AND razorpay_refund_id IS NULL
+      AND (last_attempt_at IS NULL OR last_attempt_at < DATE_SUB(NOW(), INTERVAL ? MINUTE))
+  `, [refundId, getRefundRetryMinutes()]);
+
+  const [refund] = await executeQuery(`
+    SELECT r.refund_id, r.order_id, r.razorpay_refund_id, r.amount, r.status, r.reason, r.attempts, o.payment_id
+    FROM order_refunds r
+    JOIN orders o ON r.order_id = o.order_id
+    WHERE r.refund_id = ?
+  `, [refundId]);
+  const amount = Number(refund.amount);
+
+  if (!claimed.affectedRows) {
+    return { refund_id: refundId, razorpay_refund_id: refund.razorpay_refund_id, amount, status: refund.status };
+  }
+
+  let razorpayRefund;
+  try {
+    razorpayRefund = refund.attempts > 1 ? await findRequestedRefund(refund.payment_id, refundId) : null;
+    razorpayRefund = razorpayRefund || await razorpay.payments.refund(refund.payment_id, {
+      amount: Math.round(amount * 100), // Amount in paise
+      notes: {
+        order_id: refund.order_id,
+        refund_id: refund.refund_id,
+        reason: refund.reason || ''
+      }
+    });
+  } catch (error) {
+    console.error('Razorpay refund error:', error);
+    const failureReason = error?.error?.description || error.message || 'Refund request failed';
+    const willRetry = retry && refund.attempts < MAX_REFUND_ATTEMPTS;
+    await executeQuery(
+      `UPDATE order_refunds SET failure_reason = ?${willRetry ? '' : ", status = 'failed'"} WHERE refund_id = ? AND status = 'pending'`,
+      [failureReason.slice(0, 255), refundId]
+    );
+    return {
+      refund_id: refundId,
+      razorpay_refund_id: null,
+      amount,
+      status: willRetry ? 'pending' : 'failed',
+      failure_reason: failureReason
+    };
+  }
+
+  const status = razorpayRefund.status === 'processed' ? 'processed' : 'pending';
+  const connection = await getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    // The refund.processed webhook may have got here first
+    await connection.execute(`
+      UPDATE order_refunds
+      SET razorpay_refund_id = ?,
+          processed_at = IF(status = 'pending' AND ? = 'processed', NOW(), processed_at),
+          status = IF(status = 'pending', ?, status)
+      WHERE refund_id = ?
+    `, [razorpayRefund.id, status, status, refundId]);
+
+    if (status === 'processed') {
+      await settleRefundedStatus(connection, refund.order_id);
+    }
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  if (status === 'processed') {
+    await notifyOrder(refund.order_id, 'order_refunded', { amount }, `refund:${razorpayRefund.id}`);
+  }
+
+  return { refund_id: refundId, razorpay_refund_id: razorpayRefund.id, amount, status };
+}
+
+// Refund a paid order through Razorpay: reserve the refund, then request it.
+// Pass retry to keep retrying a failed request (see sendRefund).
+// Returns the result of sendRefund.
+async function initiateRefund(order, options = {}) {
+  const connection = await getConnection();
+  let reserved;
+
+  try {
+    await connection.beginTransaction();
+    reserved = await reserveRefund(connection, order, options);
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  return sendRefund(reserved.refund_id, { retry: options.retry });
+}
+
+// Retry refund requests that failed or were never made (the process stopped
+// between reserving a refund and sending it). Returns the refunds sent.
+async function retryPendingRefunds() {
+  const due = await executeQuery(`
+    SELECT refund_id FROM order_refunds
+    WHERE destination = 'razorpay' AND status = 'pending' AND razorpay_refund_id IS NULL
+      AND COALESCE(last_attempt_at, created_at) < DATE_SUB(NOW(), INTERVAL ? MINUTE)
+    ORDER BY refund_id
+    LIMIT 100
+  `, [getRefundRetryMinutes()]);
+
+  let sent = 0;
+
+  for (const { refund_id } of due) {
+    try {
+      const refund = await sendRefund(refund_id, { retry: true });
+      if (refund.razorpay_refund_id) sent += 1;
+    } catch (error) {
+      console.error(`Refund retry error for refund ${refund_id}:`, error);
+    }
+  }
+
+  return sent;
+}
+
+let retryTimer = null;
+let retryRunning = false;
+
+// Periodically retry refund requests that did not reach Razorpay
+function startRefundRetryJob() {
+  const minutes = getRefundRetryMinutes();
+  if (!minutes || retryTimer) return;
+
+  const tick = async () => {
+    if (retryRunning) return;
+    retryRunning = true;
+    try {
+      const sent = await retryPendingRefunds();
+      if (sent) {
+        console.log(`💸 Sent ${sent} pending refund(s) to Razorpay`);
+      }
+    } catch (error) {
+      console.error('Refund retry job error:', error);
+    } finally {
+      retryRunning = false;
+    }
+  };
+
+  retryTimer = setInterval(tick, minutes * 60 * 1000);
+  tick();
+}
+
+// Attach a Razorpay refund to the row it was requested for (its notes carry
+// the refund_id), for webhooks that arrive before sendRefund has recorded it
+async function linkRazorpayRefund(connection, refund) {
+  if (!refund?.id || !refund.notes?.refund_id) return;
+
+  await connection.execute(
+    'UPDATE order_refunds SET razorpay_refund_id = ? WHERE refund_id = ? AND razorpay_refund_id IS NULL',
+    [refund.id, refund.notes.refund_id]
+  );
+}
+
+// Mark a paid order 'refunded' once its processed refunds (to the original
+// payment and to the wallet) add up to the order total. A partly refunded
+// order stays 'completed' so it can be refunded further. Must run inside the
+// caller's transaction. Returns true when the status changed.
+async function settleRefundedStatus(connection, orderId) {
+  const [result] = await connection.execute(`
+    UPDATE orders o
+    SET o.payment_status = 'refunded'
+    WHERE o.order_id = ? AND o.payment_status = 'completed'
+      AND (
+        SELECT COALESCE(SUM(r.amount), 0) FROM order_refunds r
+        WHERE r.order_id = o.order_id AND r.status = 'processed'
+      ) + 0.001 >= o.total_amount
+  `, [orderId]);
+  return result.affectedRows > 0;
+}
+
+// Credit part of an order back to the customer's wallet and record it as a
+// processed refund. Must run inside the caller's transaction. Defaults to what
+// is left of the order total after earlier refunds.
+async function refundToWallet(connection, order, { amount, reason, initiatedBy } = {}) {
+  const [[{ refunded }]] = await connection.execute(
+    "SELECT COALESCE(SUM(amount), 0) AS refunded FROM order_refunds WHERE order_id = ? AND status IN ('pending', 'processed')",
+    [order.order_id]
+  );
+
+  const refundable = Number(order.total_amount) - Number(refunded);
+  const refundAmount = amount === undefined || amount === null ? refundable : Number(amount);
+
+  if (refundAmount <= 0 || refundAmount - refundable > 0.001) {
+    throw refundError(`Refund amount must be between 0 and ${refundable.toFixed(2)}`);
+  }
+
+  await postWalletEntry(connection, order.user_id, {
+    entryType: 'order_refund',
+    amount: refundAmount,
+    orderId: order.order_id,
+    note: `Refund for order #${order.order_id}`,
+    createdBy: initiatedBy || null
+  });
+
+  const [result] = await connection.execute(`
+    INSERT INTO order_refunds (order_id, destination, amount, status, reason, initiated_by, processed_at)
+    VALUES (?, 'wallet', ?, 'processed', ?, ?, NOW())
+  `, [order.order_id, refundAmount, reason || null, initiatedBy || null]);
+
+  await settleRefundedStatus(connection, order.order_id);
+
+  return { refund_id: result.insertId, destination: 'wallet', amount: refundAmount, status: 'processed' };
+}
+
+// Refund a cancelled order if it was paid online. Errors are logged rather than
+// thrown because the cancellation itself has already been committed; a failed
+// Razorpay request is retried by the refund retry job.
+async function refundCancelledOrder(order, { initiatedBy, reason, amount } = {}) {
+  if (order.payment_method !== 'razorpay' || order.payment_status !== 'completed' || !order.payment_id) return null;
+
+  try {
+    return await initiateRefund(order, { amount, reason, initiatedBy, retry: true });
+  } catch (error) {
+    console.error('Cancellation refund error:', error);
+    return { refund_id: null, status: 'failed', failure_reason: error.message };
+  }
+}
+
+module.exports = {
+  reserveRefund,
+  sendRefund,
+  initiateRefund,
+  retryPendingRefunds,
+  startRefundRetryJob,
+  linkRazorpayRefund,
+  settleRefundedStatus,
+  refundToWallet,
+  refundCancelledOrder
+};
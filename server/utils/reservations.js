@@ -0,0 +1,151 @@
+const { executeQuery, getConnection } = require('../config/database');
+const { recordStatusHistory, transitionOrder, checkRestoredStock } = require('./orderStatus');
+const { notifyOrderStatus } = require('./notifications');
+const { postWalletEntry, getWalletBalance } = require('./wallet');
+const { getAvailableStock, takeStock } = require('./stock');
+
+// How long an unpaid online order holds its stock
+const getReservationMinutes = () => parseInt(process.env.ORDER_RESERVATION_MINUTES || '30', 10);
+
+// Turn an order's stock reservation into a permanent deduction once it is paid.
+// Must run inside the caller's transaction with the order row locked.
+// Returns false when the reservation had already expired and the stock (or the
+// wallet share returned on cancellation) can no longer be taken again, in which
+// case the payment has to be refunded.
+async function commitReservation(connection, order) {
+  if (order.reservation_status === 'committed') return true;
+
+  if (order.reservation_status === 'held') {
+    await connection.execute(
+      "UPDATE orders SET reservation_status = 'committed', reserved_until = NULL WHERE order_id = ?",
+      [order.order_id]
+    );
+    return true;
+  }
+
+  // Released by the sweeper: take the stock again if it is still there
+  const [items] = await connection.execute(
+    'SELECT item_id, variant_id, quantity FROM order_items WHERE order_id = ?',
+    [order.order_id]
+  );
+
+  for (const item of items) {
+    if (await getAvailableStock(connection, item.variant_id) < item.quantity) return false;
+  }
+
+  const walletAmount = Number(order.wallet_amount || 0);
+  if (walletAmount > 0 && await getWalletBalance(order.user_id, connection) < walletAmount) return false;
+
+  for (const item of items) {
+    await takeStock(connection, item.variant_id, item.quantity, {
+      itemId: item.item_id,
+      referenceId: order.order_id,
+      note: 'Reinstated after payment'
+    });
+  }
+
+  await connection.execute(
+    "UPDATE orders SET reservation_status = 'committed', reserved_until = NULL, order_status = 'confirmed' WHERE order_id = ?",
+    [order.order_id]
+  );
+
+  if (walletAmount > 0) {
+    await postWalletEntry(connection, order.user_id, {
+      entryType: 'order_debit',
+      amount: walletAmount,
+      orderId: order.order_id,
+      note: `Payment for order #${order.order_id} (reinstated)`
+    });
+  }
+
+  // The only move out of 'cancelled': the customer has paid for the order after all
+  await recordStatusHistory(connection, order.order_id, {
+    fromStatus: order.order_status,
+    toStatus: 'confirmed',
+    note: 'Reinstated after payment received past reservation expiry'
+  });
+  return true;
+}
+
+// Cancel unpaid orders whose reservation has expired and put their stock back
+async function releaseExpiredReservations() {
+  const expired = await executeQuery(`
+    SELECT order_id FROM orders
+    WHERE reservation_status = 'held' AND reserved_until < NOW()
+      AND order_status = 'placed' AND payment_status IN ('pending', 'failed')
+    ORDER BY reserved_until
+    LIMIT 100
+  `);
+
+  let released = 0;
+
+  for (const { order_id } of expired) {
+    const connection = await getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      // Re-check under lock: a payment may have landed since the scan
+      const [rows] = await connection.execute(`
+        SELECT * FROM orders
+        WHERE order_id = ? AND reservation_status = 'held' AND reserved_until < NOW()
+          AND order_status = 'placed' AND payment_status IN ('pending', 'failed')
+        FOR UPDATE
+      `, [order_id]);
+
+      if (!rows.length) {
+        await connection.rollback();
+        continue;
+      }
+
+      await transitionOrder(connection, rows[0], 'cancelled', { note: 'Payment not received before reservation expired' });
+
+      await connection.commit();
+      released += 1;
+
+      await checkRestoredStock(order_id);
+      await notifyOrderStatus(order_id, 'cancelled', { reason: 'payment was not received in time' });
+    } catch (error) {
+      await connection.rollback();
+      console.error(`Reservation release error for order ${order_id}:`, error);
+    } finally {
+      connection.release();
+    }
+  }
+
+  return released;
+}
+
+let sweeperTimer = null;
+let sweeperRunning = false;
+
+// Periodically release expired reservations
+function startReservationSweeper() {
+  const minutes = parseInt(process.env.RESERVATION_SWEEP_INTERVAL_MINUTES || '5', 10);
+  if (!minutes || sweeperTimer) return;
+
+  const tick = async () => {
+    if (sweeperRunning) return;
+    sweeperRunning = true;
+    try {
+      const released = await releaseExpiredReservations();
+      if (released) {
+        console.log(`⏳ Released ${released} expired order reservation(s)`);
+      }
+    } catch (error) {
+      console.error('Reservation sweeper error:', error);
+    } finally {
+      sweeperRunning = false;
+    }
+  };
+
+  sweeperTimer = setInterval(tick, minutes * 60 * 1000);
+  tick();
+}
+
+module.exports = {
+  getReservationMinutes,
+  commitReservation,
+  releaseExpiredReservations,
+  startReservationSweeper
+};
@@ -0,0 +1,228 @@
+const { executeQuery } = require('../config/database');
+const { VARIANT_NAME_SQL } = require('./variants');
+
+const slotError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Run a query on the transaction connection when there is one, else on the pool
+const runQuery = async (connection, sql, params) => {
+  if (connection) {
+    const [rows] = await connection.execute(sql, params);
+    return rows;
+  }
+  return executeQuery(sql, params);
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+function parsePincodes(pincodes) {
+  if (!pincodes) return [];
+  return String(pincodes).split(',').map(p => p.trim()).filter(Boolean);
+}
+
+// Liters in an order's lines; only products sold by the liter count
+function litersForItems(items) {
+  return round2(items.reduce((sum, item) => sum + (item.unit === 'liter' ? Number(item.quantity) : 0), 0));
+}
+
+// Orders and liters booked against each slot (cancelled orders free their place)
+async function getSlotUsage(slotIds, connection = null) {
+  const usage = new Map();
+  if (!slotIds.length) return usage;
+
+  const placeholders = slotIds.map(() => '?').join(', ');
+  const rows = await runQuery(connection, `
+    SELECT o.slot_id,
+           COUNT(DISTINCT o.order_id) AS booked_orders,
+           COALESCE(SUM(CASE WHEN v.unit = 'liter' THEN oi.quantity ELSE 0 END), 0) AS booked_liters
+    FROM orders o
+    JOIN order_items oi ON o.order_id = oi.order_id
+    JOIN product_variants v ON oi.variant_id = v.variant_id
+    WHERE o.slot_id IN (${placeholders}) AND o.order_status != 'cancelled'
+    GROUP BY o.slot_id
+  `, slotIds);
+
+  for (const row of rows) {
+    usage.set(row.slot_id, {
+      booked_orders: Number(row.booked_orders),
+      booked_liters: Number(row.booked_liters)
+    });
+  }
+  return usage;
+}
+
+// Attach booked/remaining capacity to slot rows
+async function withAvailability(slots, connection = null) {
+  const usage = await getSlotUsage(slots.map(s => s.slot_id), connection);
+
+  return slots.map(slot => {
+    const { booked_orders, booked_liters } = usage.get(slot.slot_id) || { booked_orders: 0, booked_liters: 0 };
+    const remainingOrders = slot.max_orders === null ? null : Math.max(slot.max_orders - booked_orders, 0);
+    const remainingLiters = slot.max_liters === null ? null : Math.max(round2(Number(slot.max_liters) - booked_liters), 0);
+
+    return {
+      ...slot,
+      booked_orders,
+      booked_liters,
+      remaining_orders: remainingOrders,
+      remaining_liters: remainingLiters,
+      is_full: remainingOrders === 0 || remainingLiters === 0
+    };
+  });
+}
+
+// Upcoming bookable slots, optionally for one date and a delivery pincode
+async function listAvailableSlots({ date, pincode } = {}) {
+  const params = [];
+  let dateFilter = '';
+  if (date) {
+    dateFilter = 'AND slot_date = ?';
+    params.push(date);
+  }
+
+  const slots = await executeQuery(`
+    SELECT * FROM delivery_slots
+    WHERE is_active = true AND TIMESTAMP(slot_date, start_time) > NOW() ${dateFilter}
+    ORDER BY slot_date, start_time
+  `, params);
+
+  const inArea = slots.filter(slot => {
+    const pincodes = parsePincodes(slot.pincodes);
+    return !pincodes.length || (pincode && pincodes.includes(String(pincode)));
+  });
+
+  return (await withAvailability(inArea)).filter(slot => !slot.is_full);
+}
+
+// Lock a slot for a new order inside the order's transaction. The slot row is
+// locked FOR UPDATE so concurrent checkouts cannot overbook it.
+// Throws an error with status 400 when the slot cannot take the order.
+async function lockDeliverySlot(connection, slotId, { pincode, items }) {
+  const [slots] = await connection.execute(
+    `SELECT *, TIMESTAMP(slot_date, start_time) > NOW() AS is_open
+     FROM delivery_slots WHERE slot_id = ? AND is_active = true FOR UPDATE`,
+    [slotId]
+  );
+
+  if (!slots.length) throw slotError('Delivery slot not found');
+
+  const slot = slots[0];
+  if (!slot.is_open) throw slotError('This delivery slot is no longer open for booking');
+
+  const pincodes = parsePincodes(slot.pincodes);
+  if (pincodes.length && !pincodes.includes(String(pincode || ''))) {
+    throw slotError('This delivery slot does not cover your pincode');
+  }
+
+  const [available] = await withAvailability([slot], connection);
+  const liters = litersForItems(items);
+
+  if (available.remaining_orders === 0) throw slotError('This delivery slot is full');
+  if (available.remaining_liters !== null && liters > available.remaining_liters) {
+    throw slotError(`This delivery slot can only take ${available.remaining_liters} more liters`);
+  }
+
+  return available;
+}
+
+// Book a slot for a subscription delivery inside the order's transaction: the
+// earliest active slot on the date that covers the pincode and has room,
+// locked FOR UPDATE like lockDeliverySlot. Slots that have already started
+// still count, since the scheduler books the day's deliveries itself.
+// Returns null when the date has no slots (deliveries are not slotted that
+// day). Throws an error with status 400 when no slot can take the delivery.
+async function assignSubscriptionSlot(connection, date, { pincode, items }) {
+  const [slots] = await connection.execute(
+    'SELECT * FROM delivery_slots WHERE slot_date = ? AND is_active = true ORDER BY start_time FOR UPDATE',
+    [date]
+  );
+
+  if (!slots.length) return null;
+
+  const inArea = slots.filter(slot => {
+    const pincodes = parsePincodes(slot.pincodes);
+    return !pincodes.length || (pincode && pincodes.includes(String(pincode)));
+  });
+  const liters = litersForItems(items);
+
+  const slot = (await withAvailability(inArea, connection)).find(available =>
+    available.remaining_orders !== 0 &&
+    (available.remaining_liters === null || liters <= available.remaining_liters)
+  );
+
+  if (!slot) throw slotError(`No delivery slot on ${date} has room for this delivery`);
+  return slot;
+}
+
+// Orders per slot for a delivery date with addresses, items and item totals
+async function getSlotManifest(date) {
+  const slots = await withAvailability(await executeQuery(
+    'SELECT * FROM delivery_slots WHERE slot_date = ? ORDER BY start_time',
+    [date]
+  ));
+
+  if (!slots.length) return [];
+
+  const ids = slots.map(s => s.slot_id);
+  const placeholders = ids.map(() => '?').join(', ');
+
+  const [orders, items] = await Promise.all([
+    executeQuery(`
+      SELECT o.order_id, o.slot_id, o.order_status, o.payment_method, o.payment_status, o.total_amount,
+             o.delivery_address, o.delivery_pincode, o.phone, u.name as customer_name
+      FROM orders o
+      JOIN users u ON o.user_id = u.user_id
+      WHERE o.slot_id IN (${placeholders}) AND o.order_status != 'cancelled'
+      ORDER BY o.delivery_pincode, o.order_id
+    `, ids),
+    executeQuery(`
+      SELECT oi.order_id, oi.product_id, oi.variant_id, oi.quantity, ${VARIANT_NAME_SQL} as product_name, v.unit
+      FROM order_items oi
+      JOIN orders o ON oi.order_id = o.order_id
+      JOIN product_variants v ON oi.variant_id = v.variant_id
+      JOIN products p ON v.product_id = p.product_id
+      WHERE o.slot_id IN (${placeholders}) AND o.order_status != 'cancelled'
+    `, ids)
+  ]);
+
+  return slots.map(slot => {
+    const slotOrders = orders
+      .filter(o => o.slot_id === slot.slot_id)
+      .map(order => ({
+        ...order,
+        items: items.filter(i => i.order_id === order.order_id)
+      }));
+
+    const totals = new Map();
+    for (const order of slotOrders) {
+      for (const item of order.items) {
+        const entry = totals.get(item.variant_id) || {
+          product_id: item.product_id,
+          variant_id: item.variant_id,
+          product_name: item.product_name,
+          unit: item.unit,
+          total_quantity: 0
+        };
+        entry.total_quantity += item.quantity;
+        totals.set(item.variant_id, entry);
+      }
+    }
+
+    return {
+      ...slot,
+      orders: slotOrders,
+      item_totals: Array.from(totals.values()).sort((a, b) => a.product_name.localeCompare(b.product_name))
+    };
+  });
+}
+
+module.exports = {
+  withAvailability,
+  listAvailableSlots,
+  lockDeliverySlot,
+  assignSubscriptionSlot,
+  getSlotManifest
+};
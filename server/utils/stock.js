@@ -0,0 +1,443 @@
+const { executeQuery, getConnection } = require('../config/database');
+const { VARIANT_NAME_SQL } = require('./variants');
+const { checkLowStock } = require('./lowStock');
+const { recordMovement } = require('./stockLedger');
+
+const stockError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Kinds of stock movement; manual adjustments use the last three
+const MOVEMENT_TYPES = ['sale', 'cancellation', 'production', 'wastage', 'spoilage', 'correction'];
+const ADJUSTMENT_TYPES = ['wastage', 'spoilage', 'correction'];
+
+const dateOnly = (value) => (value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10));
+
+// Lock a variant's row and its open batches and work out how much of its
+// stock can be sold: the unexpired batches plus stock that never came in as a
+// batch. Batches past their expiry date that the expiry job has not written
+// off yet still count in product_variants.stock but cannot be sold.
+async function lockStock(connection, variantId) {
+  const [variants] = await connection.execute(
+    'SELECT stock FROM product_variants WHERE variant_id = ? FOR UPDATE',
+    [variantId]
+  );
+  if (!variants.length) throw stockError('Product variant not found');
+
+  const [batches] = await connection.execute(`
+    SELECT batch_id, remaining_quantity, expiry_date >= CURDATE() as is_fresh
+    FROM stock_batches
+    WHERE variant_id = ? AND status = 'active' AND remaining_quantity > 0
+    ORDER BY expiry_date, batch_id
+    FOR UPDATE
+  `, [variantId]);
+
+  const freshBatches = batches.filter(batch => Number(batch.is_fresh) === 1);
+  const batched = batches.reduce((sum, batch) => sum + batch.remaining_quantity, 0);
+  const unbatched = Math.max(variants[0].stock - batched, 0);
+
+  return {
+    freshBatches,
+    available: unbatched + freshBatches.reduce((sum, batch) => sum + batch.remaining_quantity, 0)
+  };
+}
+
+// Sellable stock of a variant (see lockStock). Locks the variant until the
+// caller's transaction ends, so a check made with it still holds when the
+// stock is taken.
+async function getAvailableStock(connection, variantId) {
+  return (await lockStock(connection, variantId)).available;
+}
+
+// Take stock of a variant for a sale or write-off and record the movement
+// (a sale of an order unless told otherwise). Must run inside the caller's
+// transaction. The quantity comes out of unexpired batches
+// first-expiry-first-out; with an itemId the batches used are recorded against
+// that order item. Stock that was never received as a batch (e.g. from before
+// batch tracking) covers whatever the batches cannot. Throws an error with
+// status 400 when there is not enough sellable stock. Returns the allocations.
+async function takeStock(connection, variantId, quantity, {
+  itemId = null,
+  movementType = 'sale',
+  referenceType = 'order',
+  referenceId = null,
+  note = null,
+  createdBy = null
+} = {}) {
+  const { freshBatches, available } = await lockStock(connection, variantId);
+  if (quantity > available) {
+    throw stockError(`Insufficient stock. Available: ${available}`);
+  }
+
+  const allocations = [];
+  let needed = quantity;
+
+  for (const batch of freshBatches) {
+    if (needed <= 0) break;
+    const taken = Math.min(needed, batch.remaining_quantity);
+
+    await connection.execute(
+      'UPDATE stock_batches SET remaining_quantity = remaining_quantity - ? WHERE batch_id = ?',
+      [taken, batch.batch_id]
+    );
+    if (itemId) {
+      await connection.execute(
+        'INSERT INTO order_item_batches (item_id, batch_id, quantity) VALUES (?, ?, ?)',
+        [itemId, batch.batch_id, taken]
+      );
+    }
+
+    allocations.push({ batch_id: batch.batch_id, quantity: taken });
+    needed -= taken;
+  }
+
+  await connection.execute(
+    'UPDATE product_variants SET stock = stock - ? WHERE variant_id = ?',
+    [quantity, variantId]
+  );
+
+  await recordMovement(connection, variantId, -quantity, {
+    movementType,
+    batchId: allocations.length === 1 ? allocations[0].batch_id : null,
+    referenceType,
+    referenceId,
+    note,
+    createdBy
+  });
+
+  return allocations;
+}
+
+// Put an order item's quantity back into stock and into the batches it came
+// from, recorded as a cancellation. Must run inside the caller's transaction.
+// Quantities going back to a batch that has since expired are written off by
+// the next expiry run.
+async function returnStock(connection, variantId, quantity, { itemId = null, referenceId = null, note = null, createdBy = null } = {}) {
+  if (itemId) {
+    const [allocations] = await connection.execute(
+      'SELECT batch_id, quantity FROM order_item_batches WHERE item_id = ?',
+      [itemId]
+    );
+
+    for (const allocation of allocations) {
+      await connection.execute(
+        'UPDATE stock_batches SET remaining_quantity = remaining_quantity + ? WHERE batch_id = ?',
+        [allocation.quantity, allocation.batch_id]
+      );
+    }
+    await connection.execute('DELETE FROM order_item_batches WHERE item_id = ?', [itemId]);
+  }
+
+  await connection.execute(
+    'UPDATE product_variants SET stock = stock + ? WHERE variant_id = ?',
+    [quantity, variantId]
+  );
+
+  await recordMovement(connection, variantId, quantity, {
+    movementType: 'cancellation',
+    referenceType: 'order',
+    referenceId,
+    note,
+    createdBy
+  });
+}
+
+// Receive a production batch into stock. The batch code defaults to the SKU
+// and production date, e.g. COW-MILK-1L-20240115.
+async function receiveBatch({ variantId, batchCode, productionDate, expiryDate, quantity, createdBy }) {
+  if (dateOnly(expiryDate) < dateOnly(productionDate)) {
+    throw stockError('Expiry date must be on or after the production date');
+  }
+
+  const connection = await getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [variants] = await connection.execute(
+      'SELECT variant_id, sku FROM product_variants WHERE variant_id = ? FOR UPDATE',
+      [variantId]
+    );
+    if (!variants.length) throw stockError('Product variant not found');
+
+    const code = batchCode || `${variants[0].sku}-${dateOnly(productionDate).replace(/-/g, '')}`;
+    const [existing] = await connection.execute(
+      'SELECT batch_id FROM stock_batches WHERE variant_id = ? AND batch_code = ?',
+      [variantId, code]
+    );
+    if (existing.length) throw stockError(`Batch ${code} has already been received`);
+
+    const [result] = await connection.execute(`
+      INSERT INTO stock_batches (variant_id, batch_code, production_date, expiry_date, quantity, remaining_quantity, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [variantId, code, productionDate, expiryDate, quantity, quantity, createdBy]);
+
+    await connection.execute(
+      'UPDATE product_variants SET stock = stock + ? WHERE variant_id = ?',
+      [quantity, variantId]
+    );
+
+    await recordMovement(connection, variantId, quantity, {
+      movementType: 'production',
+      batchId: result.insertId,
+      referenceType: 'batch',
+      referenceId: result.insertId,
+      note: `Batch ${code}`,
+      createdBy
+    });
+
+    await connection.commit();
+    return { batch_id: result.insertId, variant_id: variantId, batch_code: code };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Flag batches past their expiry date as expired and write off what is left
+// of them, taking it out of the variant's stock and re-running the low-stock
+// check for those variants. Returns the batches written off.
+async function expireBatches() {
+  const due = await executeQuery(`
+    SELECT batch_id FROM stock_batches
+    WHERE expiry_date < CURDATE() AND (status = 'active' OR remaining_quantity > 0)
+    ORDER BY expiry_date
+    LIMIT 500
+  `);
+
+  const expired = [];
+
+  for (const { batch_id } of due) {
+    const connection = await getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [batches] = await connection.execute(
+        'SELECT * FROM stock_batches WHERE batch_id = ? FOR UPDATE',
+        [batch_id]
+      );
+      const batch = batches[0];
+
+      if (batch.remaining_quantity > 0) {
+        await connection.execute(
+          'UPDATE product_variants SET stock = stock - ? WHERE variant_id = ?',
+          [batch.remaining_quantity, batch.variant_id]
+        );
+        await recordMovement(connection, batch.variant_id, -batch.remaining_quantity, {
+          movementType: 'spoilage',
+          batchId: batch_id,
+          referenceType: 'batch',
+          referenceId: batch_id,
+          note: `Batch ${batch.batch_code} expired`
+        });
+      }
+
+      await connection.execute(`
+        UPDATE stock_batches
+        SET status = 'expired', written_off_quantity = written_off_quantity + remaining_quantity, remaining_quantity = 0
+        WHERE batch_id = ?
+      `, [batch_id]);
+
+      await connection.commit();
+      expired.push({ batch_id, variant_id: batch.variant_id, batch_code: batch.batch_code, written_off: batch.remaining_quantity });
+    } catch (error) {
+      await connection.rollback();
+      console.error(`Batch expiry error for batch ${batch_id}:`, error);
+    } finally {
+      connection.release();
+    }
+  }
+
+  await checkLowStock(expired.map(batch => batch.variant_id));
+
+  return expired;
+}
+
+// Manual stock adjustment with a reason: wastage or spoilage take a positive
+// quantity out (from the given batch, else first-expiry-first-out); a
+// correction adds a positive quantity or removes a negative one. Returns the
+// variant's new stock.
+async function adjustStock({ variantId, movementType, quantity, batchId = null, reason, createdBy }) {
+  if (movementType !== 'correction' && quantity <= 0) {
+    throw stockError('Wastage and spoilage quantities must be positive');
+  }
+  if (quantity === 0) throw stockError('Quantity cannot be zero');
+
+  const connection = await getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [variants] = await connection.execute(
+      'SELECT variant_id, stock FROM product_variants WHERE variant_id = ? FOR UPDATE',
+      [variantId]
+    );
+    if (!variants.length) throw stockError('Product variant not found');
+
+    const change = movementType === 'correction' ? quantity : -quantity;
+    const outgoing = Math.max(-change, 0);
+    if (outgoing > variants[0].stock) {
+      throw stockError(`Only ${variants[0].stock} in stock`);
+    }
+
+    if (batchId) {
+      const [batches] = await connection.execute(
+        'SELECT batch_id, remaining_quantity FROM stock_batches WHERE batch_id = ? AND variant_id = ? FOR UPDATE',
+        [batchId, variantId]
+      );
+      if (!batches.length) throw stockError('Batch not found for this variant');
+      if (outgoing > batches[0].remaining_quantity) {
+        throw stockError(`Only ${batches[0].remaining_quantity} left in this batch`);
+      }
+
+      await connection.execute(
+        'UPDATE stock_batches SET remaining_quantity = remaining_quantity + ? WHERE batch_id = ?',
+        [change, batchId]
+      );
+      await connection.execute(
+        'UPDATE product_variants SET stock = stock + ? WHERE variant_id = ?',
+        [change, variantId]
+      );
+      await recordMovement(connection, variantId, change, {
+        movementType,
+        batchId,
+        referenceType: 'adjustment',
+        note: reason,
+        createdBy
+      });
+    } else if (outgoing) {
+      await takeStock(connection, variantId, outgoing, {
+        movementType,
+        referenceType: 'adjustment',
+        note: reason,
+        createdBy
+      });
+    } else {
+      await connection.execute(
+        'UPDATE product_variants SET stock = stock + ? WHERE variant_id = ?',
+        [change, variantId]
+      );
+      await recordMovement(connection, variantId, change, {
+        movementType,
+        referenceType: 'adjustment',
+        note: reason,
+        createdBy
+      });
+    }
+
+    const [updated] = await connection.execute('SELECT stock FROM product_variants WHERE variant_id = ?', [variantId]);
+
+    await connection.commit();
+    return updated[0].stock;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Stock on hand per active variant valued at the list price, with totals per
+// category
+async function getStockValuation() {
+  const variants = await executeQuery(`
+    SELECT v.variant_id, v.product_id, v.sku, ${VARIANT_NAME_SQL} as name, p.category, v.unit, v.stock, v.price,
+           v.stock * v.price as stock_value,
+           COALESCE((SELECT SUM(b.remaining_quantity) FROM stock_batches b
+                     WHERE b.variant_id = v.variant_id AND b.status = 'active'), 0) as batched_stock
+    FROM product_variants v
+    JOIN products p ON v.product_id = p.product_id
+    WHERE v.is_active = true AND p.is_active = true
+    ORDER BY p.category, p.name, v.sort_order
+  `);
+
+  const rows = variants.map(variant => ({
+    ...variant,
+    price: Number(variant.price),
+    stock_value: Number(variant.stock_value),
+    batched_stock: Number(variant.batched_stock)
+  }));
+
+  const categories = new Map();
+  for (const row of rows) {
+    const entry = categories.get(row.category) || { category: row.category, variants: 0, stock_value: 0 };
+    entry.variants += 1;
+    entry.stock_value = Math.round((entry.stock_value + row.stock_value) * 100) / 100;
+    categories.set(row.category, entry);
+  }
+
+  return {
+    variants: rows,
+    categories: [...categories.values()],
+    total_value: Math.round(rows.reduce((sum, row) => sum + row.stock_value, 0) * 100) / 100
+  };
+}
+
+// Unexpired stock that expires within the next `days` days, soonest first,
+// with the stock value at list price so it can be discounted in time
+async function getNearExpiryStock(days) {
+  const batches = await executeQuery(`
+    SELECT b.batch_id, b.batch_code, b.variant_id, v.product_id, v.sku, ${VARIANT_NAME_SQL} as name,
+           b.production_date, b.expiry_date, DATEDIFF(b.expiry_date, CURDATE()) as days_left,
+           b.remaining_quantity, v.unit, v.price, b.remaining_quantity * v.price as stock_value
+    FROM stock_batches b
+    JOIN product_variants v ON b.variant_id = v.variant_id
+    JOIN products p ON v.product_id = p.product_id
+    WHERE b.status = 'active' AND b.remaining_quantity > 0
+      AND b.expiry_date BETWEEN CURDATE() AND DATE_ADD(CURDATE(), INTERVAL ? DAY)
+    ORDER BY b.expiry_date, b.batch_id
+  `, [days]);
+
+  return batches.map(batch => ({
+    ...batch,
+    price: Number(batch.price),
+    stock_value: Number(batch.stock_value)
+  }));
+}
+
+let expiryTimer = null;
+let expiryRunning = false;
+
+// Periodically write off expired batches
+function startBatchExpiryJob() {
+  const minutes = parseInt(process.env.BATCH_EXPIRY_INTERVAL_MINUTES || '60', 10);
+  if (!minutes || expiryTimer) return;
+
+  const tick = async () => {
+    if (expiryRunning) return;
+    expiryRunning = true;
+    try {
+      const expired = await expireBatches();
+      if (expired.length) {
+        console.log(`🗑️ Wrote off ${expired.length} expired batch(es)`);
+      }
+    } catch (error) {
+      console.error('Batch expiry job error:', error);
+    } finally {
+      expiryRunning = false;
+    }
+  };
+
+  expiryTimer = setInterval(tick, minutes * 60 * 1000);
+  tick();
+}
+
+module.exports = {
+  MOVEMENT_TYPES,
+  ADJUSTMENT_TYPES,
+  recordMovement,
+  getAvailableStock,
+  takeStock,
+  returnStock,
+  receiveBatch,
+  expireBatches,
+  adjustStock,
+  getStockValuation,
+  getNearExpiryStock,
+  startBatchExpiryJob
+};
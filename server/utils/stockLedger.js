@@ -0,0 +1,28 @@
+// Add a row to the stock ledger for a change already made to the variant's
+// stock, with the balance it left. Must run inside the caller's transaction.
+// quantity is negative for stock going out. Lives apart from stock.js so that
+// variants.js, which stock.js requires, can use it as well.
+async function recordMovement(connection, variantId, quantity, { movementType, batchId = null, referenceType = null, referenceId = null, note = null, createdBy = null }) {
+  const [variants] = await connection.execute('SELECT stock FROM product_variants WHERE variant_id = ?', [variantId]);
+
+  await connection.execute(`
+    INSERT INTO stock_movements (
+      variant_id, movement_type, quantity, balance_after, batch_id, reference_type, reference_id, note, created_by
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    variantId,
+    movementType,
+    quantity,
+    variants.length ? variants[0].stock : 0,
+    batchId,
+    referenceType,
+    referenceId,
+    note,
+    createdBy
+  ]);
+}
+
+module.exports = {
+  recordMovement
+};
@@ -0,0 +1,328 @@
+const { executeQuery, getConnection } = require('../config/database');
+const { recordStatusHistory } = require('./orderStatus');
+const { applyBestPrices } = require('./pricing');
+const { VARIANT_NAME_SQL, getVariant } = require('./variants');
+const { getAvailableStock, takeStock } = require('./stock');
+const { checkLowStock } = require('./lowStock');
+const { assignSubscriptionSlot } = require('./slots');
+const { quoteDelivery } = require('./zones');
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Format a Date (or YYYY-MM-DD string) as a local YYYY-MM-DD string
+function toDateString(value) {
+  if (typeof value === 'string') return value.slice(0, 10);
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+}
+
+// Day arithmetic is done in UTC on plain dates so DST/timezones never shift a day
+function parseDate(dateString) {
+  const [y, m, d] = dateString.split('-').map(Number);
+  return Date.UTC(y, m - 1, d);
+}
+
+function addDays(dateString, days) {
+  const date = new Date(parseDate(dateString) + days * 86400000);
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+}
+
+function daysBetween(from, to) {
+  return Math.round((parseDate(to) - parseDate(from)) / 86400000);
+}
+
+function parseWeekdays(weekdays) {
+  if (!weekdays) return [];
+  return String(weekdays).split(',').filter(Boolean).map(Number);
+}
+
+// Whether the subscription's frequency puts a delivery on this date
+// (pauses, skips and holds are checked separately)
+function isDeliveryDay(subscription, dateString) {
+  const start = toDateString(subscription.start_date);
+  if (dateString < start) return false;
+  if (subscription.end_date && dateString > toDateString(subscription.end_date)) return false;
+
+  switch (subscription.frequency) {
+    case 'daily':
+      return true;
+    case 'alternate_days':
+      return daysBetween(start, dateString) % 2 === 0;
+    case 'weekly':
+      return parseWeekdays(subscription.weekdays).includes(new Date(parseDate(dateString)).getUTCDay());
+    default:
+      return false;
+  }
+}
+
+// Active subscriptions with a delivery on the given date, with their items.
+// Skipped days and vacation holds are flagged rather than filtered out so the
+// scheduler can record them.
+async function getDueSubscriptions(dateString) {
+  const subscriptions = await executeQuery(`
+    SELECT * FROM subscriptions
+    WHERE status = 'active' AND start_date <= ? AND (end_date IS NULL OR end_date >= ?)
+  `, [dateString, dateString]);
+
+  const due = subscriptions.filter(s => isDeliveryDay(s, dateString));
+  if (!due.length) return [];
+
+  const ids = due.map(s => s.subscription_id);
+  const placeholders = ids.map(() => '?').join(', ');
+
+  const [items, skips, holds] = await Promise.all([
+    executeQuery(`
+      SELECT si.subscription_id, si.product_id, si.variant_id, si.quantity, ${VARIANT_NAME_SQL} as name, v.price, v.unit,
+             (v.is_active AND p.is_active) as is_active
+      FROM subscription_items si
+      JOIN product_variants v ON si.variant_id = v.variant_id
+      JOIN products p ON v.product_id = p.product_id
+      WHERE si.subscription_id IN (${placeholders})
+    `, ids),
+    executeQuery(
+      `SELECT subscription_id FROM subscription_skips WHERE skip_date = ? AND subscription_id IN (${placeholders})`,
+      [dateString, ...ids]
+    ),
+    executeQuery(
+      `SELECT subscription_id FROM subscription_holds WHERE ? BETWEEN start_date AND end_date AND subscription_id IN (${placeholders})`,
+      [dateString, ...ids]
+    )
+  ]);
+
+  const skipped = new Set(skips.map(r => r.subscription_id));
+  const held = new Set(holds.map(r => r.subscription_id));
+
+  return due.map(s => ({
+    ...s,
+    items: items.filter(i => i.subscription_id === s.subscription_id),
+    skipped: skipped.has(s.subscription_id),
+    on_hold: held.has(s.subscription_id)
+  }));
+}
+
+// Create the order for one subscription delivery. The subscription_runs row is
+// claimed first, so running the scheduler twice for a date never creates a
+// second order. A run that failed (e.g. out of stock) is tried again by later
+// ticks on the same day.
+async function processSubscriptionDelivery(subscription, dateString) {
+  const connection = await getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [claim] = await connection.execute(
+      "INSERT IGNORE INTO subscription_runs (subscription_id, delivery_date, status) VALUES (?, ?, 'processing')",
+      [subscription.subscription_id, dateString]
+    );
+
+    let claimed = claim.affectedRows > 0;
+    if (!claimed) {
+      const [retry] = await connection.execute(
+        "UPDATE subscription_runs SET status = 'processing', note = NULL WHERE subscription_id = ? AND delivery_date = ? AND status = 'failed'",
+        [subscription.subscription_id, dateString]
+      );
+      claimed = retry.affectedRows > 0;
+    }
+
+    if (!claimed) {
+      await connection.rollback();
+      return 'already_processed';
+    }
+
+    const finishRun = async (status, note, orderId = null) => {
+      await connection.execute(
+        'UPDATE subscription_runs SET status = ?, note = ?, order_id = ? WHERE subscription_id = ? AND delivery_date = ?',
+        [status, note, orderId, subscription.subscription_id, dateString]
+      );
+      await connection.commit();
+      return status;
+    };
+
+    if (subscription.skipped || subscription.on_hold) {
+      return await finishRun('skipped', subscription.on_hold ? 'Vacation hold' : 'Skipped by customer');
+    }
+
+    if (!subscription.items.length) {
+      return await finishRun('failed', 'Subscription has no items');
+    }
+
+    const listItems = [];
+
+    for (const item of subscription.items) {
+      const variant = await getVariant(item.variant_id, { connection, forUpdate: true, includeInactive: true });
+
+      if (!variant || !variant.is_active) {
+        return await finishRun('failed', `Product ${item.name} is no longer available`);
+      }
+
+      const available = await getAvailableStock(connection, variant.variant_id);
+      if (available < item.quantity) {
+        return await finishRun('failed', `Insufficient stock for ${variant.name}. Available: ${available}`);
+      }
+
+      listItems.push({
+        product_id: variant.product_id,
+        variant_id: variant.variant_id,
+        quantity: item.quantity,
+        price: variant.price,
+        unit: variant.unit
+      });
+    }
+
+    const orderItems = await applyBestPrices(subscription.user_id, listItems, connection);
+    const itemsTotal = Math.round(orderItems.reduce((sum, item) => sum + item.price * item.quantity, 0) * 100) / 100;
+
+    let quote;
+    let slot;
+    try {
+      // Zone rules apply as at checkout: an address or day the zone does not
+      // serve fails the run, and the zone's delivery charge is added
+      quote = await quoteDelivery(
+        { pincode: subscription.delivery_pincode },
+        { orderValue: itemsTotal, deliveryDate: dateString },
+        connection
+      );
+
+      // Book the day's slot so the delivery counts against its capacity and is on its manifest
+      slot = await assignSubscriptionSlot(connection, dateString, {
+        pincode: subscription.delivery_pincode,
+        items: orderItems
+      });
+    } catch (error) {
+      if (!error.status) throw error;
+      return await finishRun('failed', error.message);
+    }
+
+    const totalAmount = Math.round((itemsTotal + quote.delivery_charge) * 100) / 100;
+
+    // Subscription deliveries are paid at the doorstep
+    const [orderResult] = await connection.execute(`
+      INSERT INTO orders (
+        user_id, total_amount, delivery_charge, zone_id, delivery_address, delivery_pincode, phone, slot_id,
+        subscription_id, payment_method, order_status
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'cod', 'confirmed')
+    `, [
+      subscription.user_id,
+      totalAmount,
+      quote.delivery_charge,
+      quote.zone ? quote.zone.zone_id : null,
+      subscription.delivery_address,
+      subscription.delivery_pincode || null,
+      subscription.phone,
+      slot ? slot.slot_id : null,
+      subscription.subscription_id
+    ]);
+
+    const orderId = orderResult.insertId;
+
+    await recordStatusHistory(connection, orderId, {
+      toStatus: 'confirmed',
+      note: `Subscription delivery for ${dateString}`
+    });
+
+    for (const item of orderItems) {
+      const [itemResult] = await connection.execute(
+        'INSERT INTO order_items (order_id, product_id, variant_id, quantity, price, price_tier_id, price_rule) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [orderId, item.product_id, item.variant_id, item.quantity, item.price, item.price_tier_id, item.price_rule]
+      );
+
+      await takeStock(connection, item.variant_id, item.quantity, {
+        itemId: itemResult.insertId,
+        referenceId: orderId,
+        note: `Subscription #${subscription.subscription_id}`
+      });
+    }
+
+    return await finishRun('created', null, orderId);
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Generate orders for every subscription due on the given date
+async function runSubscriptionsForDate(dateString) {
+  const summary = { date: dateString, created: 0, skipped: 0, failed: 0, already_processed: 0 };
+  const due = await getDueSubscriptions(dateString);
+
+  for (const subscription of due) {
+    try {
+      const outcome = await processSubscriptionDelivery(subscription, dateString);
+      summary[outcome] += 1;
+    } catch (error) {
+      console.error(`Subscription ${subscription.subscription_id} run error:`, error);
+      summary.failed += 1;
+    }
+  }
+
+  if (summary.created > 0) {
+    await checkLowStock(due.flatMap(subscription => subscription.items.map(item => item.variant_id)));
+  }
+
+  return summary;
+}
+
+// Planned quantity per product variant for a delivery date (skips and holds excluded)
+async function getPlannedQuantities(dateString) {
+  const due = await getDueSubscriptions(dateString);
+  const byVariant = new Map();
+
+  for (const subscription of due) {
+    if (subscription.skipped || subscription.on_hold) continue;
+
+    for (const item of subscription.items) {
+      const entry = byVariant.get(item.variant_id) || {
+        product_id: item.product_id,
+        variant_id: item.variant_id,
+        product_name: item.name,
+        unit: item.unit,
+        total_quantity: 0,
+        subscriptions: 0
+      };
+      entry.total_quantity += item.quantity;
+      entry.subscriptions += 1;
+      byVariant.set(item.variant_id, entry);
+    }
+  }
+
+  return Array.from(byVariant.values()).sort((a, b) => a.product_name.localeCompare(b.product_name));
+}
+
+let schedulerTimer = null;
+let schedulerRunning = false;
+
+// Run today's subscription deliveries periodically. Each tick is idempotent, so
+// restarts and overlapping instances never double-create orders.
+function startSubscriptionScheduler() {
+  const minutes = parseInt(process.env.SUBSCRIPTION_SCHEDULER_INTERVAL_MINUTES || '60', 10);
+  if (!minutes || schedulerTimer) return;
+
+  const tick = async () => {
+    if (schedulerRunning) return;
+    schedulerRunning = true;
+    try {
+      const summary = await runSubscriptionsForDate(toDateString(new Date()));
+      if (summary.created || summary.failed) {
+        console.log('📦 Subscription run:', summary);
+      }
+    } catch (error) {
+      console.error('Subscription scheduler error:', error);
+    } finally {
+      schedulerRunning = false;
+    }
+  };
+
+  schedulerTimer = setInterval(tick, minutes * 60 * 1000);
+  tick();
+}
+
+module.exports = {
+  toDateString,
+  addDays,
+  isDeliveryDay,
+  getPlannedQuantities,
+  runSubscriptionsForDate,
+  startSubscriptionScheduler
+};
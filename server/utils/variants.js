@@ -0,0 +1,140 @@
+const { executeQuery, getConnection } = require('../config/database');
+const { recordMovement } = require('./stockLedger');
+
+// Run a query on the transaction connection when there is one, else on the pool
+const runQuery = async (connection, sql, params) => {
+  if (connection) {
+    const [rows] = await connection.execute(sql, params);
+    return rows;
+  }
+  return executeQuery(sql, params);
+};
+
+// Display name of a variant in queries joining products p and product_variants v,
+// e.g. "Cow Milk 500ml"
+const VARIANT_NAME_SQL = "CONCAT_WS(' ', p.name, v.size_label)";
+
+// A variant with its product's shared fields, or null. Only variants of active
+// products that are themselves active unless includeInactive is set.
+async function getVariant(variantId, { connection = null, forUpdate = false, includeInactive = false } = {}) {
+  const variants = await runQuery(connection, `
+    SELECT v.variant_id, v.product_id, ${VARIANT_NAME_SQL} as name, p.name as product_name, v.size_label, v.sku,
+           v.price, v.stock, v.unit, p.category, COALESCE(v.image_url, p.image_url) as image_url,
+           (v.is_active AND p.is_active) as is_active
+    FROM product_variants v
+    JOIN products p ON v.product_id = p.product_id
+    WHERE v.variant_id = ? ${includeInactive ? '' : 'AND v.is_active = true AND p.is_active = true'}
+    ${forUpdate ? 'FOR UPDATE' : ''}
+  `, [variantId]);
+  return variants[0] || null;
+}
+
+// Variants of the products in display order (active ones only unless
+// includeInactive is set), keyed by product_id
+async function getProductVariants(productIds, { includeInactive = false } = {}) {
+  const variantsByProduct = new Map();
+  if (!productIds.length) return variantsByProduct;
+
+  const variants = await executeQuery(`
+    SELECT variant_id, product_id, sku, size_label, unit, price, stock, image_url, image_sizes, sort_order, is_active
+    FROM product_variants
+    WHERE product_id IN (${productIds.map(() => '?').join(', ')}) ${includeInactive ? '' : 'AND is_active = true'}
+    ORDER BY product_id, sort_order, price
+  `, productIds);
+
+  for (const variant of variants) {
+    if (!variantsByProduct.has(variant.product_id)) variantsByProduct.set(variant.product_id, []);
+    variantsByProduct.get(variant.product_id).push({ ...variant, price: Number(variant.price) });
+  }
+
+  return variantsByProduct;
+}
+
+// Pack size at the end of a product name, e.g. "Cow Milk 500ml" or "Paneer 1 kg"
+const PACK_SIZE_PATTERN = /\s+(\d+(?:\.\d+)?\s?(?:ml|l|ltr|litre|liter|g|gm|kg))$/i;
+
+// Split a size-suffixed name into the product name and the variant's size
+// label: "Cow Milk 500ml" -> { baseName: 'Cow Milk', sizeLabel: '500ml' }
+function splitPackSize(name) {
+  const match = String(name).trim().match(PACK_SIZE_PATTERN);
+  if (!match) return { baseName: String(name).trim(), sizeLabel: null };
+  return {
+    baseName: String(name).trim().slice(0, match.index).replace(/\s*-\s*$/, ''),
+    sizeLabel: match[1].replace(/\s+/g, '')
+  };
+}
+
+// SKU from a product name and size label, e.g. COW-MILK-500ML
+function makeSku(baseName, sizeLabel) {
+  return [baseName, sizeLabel]
+    .filter(Boolean)
+    .join(' ')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 50);
+}
+
+// Catalog import: add a size-suffixed item as a variant of the product with
+// the same base name and category, creating the product on first sight, and
+// record its opening stock in the stock ledger.
+// Skips SKUs that already exist. Returns true when a variant was added.
+async function ensureVariant({ name, description, category, price, stock, unit, image_url = null }) {
+  const { baseName, sizeLabel } = splitPackSize(name);
+  const sku = makeSku(baseName, sizeLabel);
+  const connection = await getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [existing] = await connection.execute('SELECT variant_id FROM product_variants WHERE sku = ? FOR UPDATE', [sku]);
+    if (existing.length) {
+      await connection.rollback();
+      return false;
+    }
+
+    const [products] = await connection.execute(
+      'SELECT product_id FROM products WHERE name = ? AND category = ?',
+      [baseName, category]
+    );
+    const productId = products.length
+      ? products[0].product_id
+      : (await connection.execute(
+        'INSERT INTO products (name, description, image_url, category, is_active) VALUES (?, ?, ?, ?, true)',
+        [baseName, description, image_url, category]
+      ))[0].insertId;
+
+    const [result] = await connection.execute(
+      'INSERT INTO product_variants (product_id, sku, size_label, unit, price, stock) VALUES (?, ?, ?, ?, ?, ?)',
+      [productId, sku, sizeLabel, unit, price, stock]
+    );
+
+    if (Number(stock) > 0) {
+      await recordMovement(connection, result.insertId, Number(stock), {
+        movementType: 'correction',
+        referenceType: 'adjustment',
+        note: 'Opening stock'
+      });
+    }
+
+    await connection.commit();
+    return true;
+  } catch (error) {
+    await connection.rollback();
+    // Another import added the same SKU first
+    if (error.code === 'ER_DUP_ENTRY') return false;
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+module.exports = {
+  VARIANT_NAME_SQL,
+  PACK_SIZE_PATTERN,
+  getVariant,
+  getProductVariants,
+  splitPackSize,
+  makeSku,
+  ensureVariant
+};
@@ -0,0 +1,145 @@
+const { executeQuery, getConnection } = require('../config/database');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const walletError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Ledger entry types and which way they move the balance
+const ENTRY_DIRECTIONS = {
+  topup: 'credit',
+  admin_credit: 'credit',
+  order_refund: 'credit',
+  order_debit: 'debit',
+  admin_debit: 'debit'
+};
+
+// Add a ledger entry and move the balance. Must run inside the caller's
+// transaction: the wallet row is locked so concurrent entries cannot take the
+// balance below zero. A reference (e.g. a Razorpay payment ID) can only be
+// used once, which makes top-up credits idempotent.
+// Throws an error with status 400 when a debit exceeds the balance.
+// Returns the balance after the entry.
+async function postWalletEntry(connection, userId, { entryType, amount, orderId = null, reference = null, note = null, createdBy = null }) {
+  const value = round2(Number(amount));
+  if (!(value > 0)) throw walletError('Amount must be greater than zero');
+
+  await connection.execute('INSERT IGNORE INTO wallets (user_id) VALUES (?)', [userId]);
+
+  const [wallets] = await connection.execute(
+    'SELECT balance FROM wallets WHERE user_id = ? FOR UPDATE',
+    [userId]
+  );
+
+  const direction = ENTRY_DIRECTIONS[entryType];
+  const balance = round2(Number(wallets[0].balance) + (direction === 'credit' ? value : -value));
+
+  if (balance < 0) {
+    throw walletError(`Insufficient wallet balance. Available: ${wallets[0].balance}`);
+  }
+
+  await connection.execute(`
+    INSERT INTO wallet_transactions (user_id, entry_type, direction, amount, balance_after, order_id, reference, note, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [userId, entryType, direction, value, balance, orderId, reference, note, createdBy]);
+
+  await connection.execute('UPDATE wallets SET balance = ? WHERE user_id = ?', [balance, userId]);
+
+  return balance;
+}
+
+async function getWalletBalance(userId, connection = null) {
+  const sql = 'SELECT balance FROM wallets WHERE user_id = ?';
+  const wallets = connection ? (await connection.execute(sql, [userId]))[0] : await executeQuery(sql, [userId]);
+  return wallets.length ? Number(wallets[0].balance) : 0;
+}
+
+// Credit a paid top-up. Safe to call from both the client verification and
+// the webhook: only the first call moves money.
+// Returns false when razorpayOrderId is not a wallet top-up.
+async function creditWalletTopup(connection, razorpayOrderId, paymentId) {
+  const [topups] = await connection.execute(
+    'SELECT * FROM wallet_topups WHERE razorpay_order_id = ? FOR UPDATE',
+    [razorpayOrderId]
+  );
+
+  if (!topups.length) return false;
+
+  const topup = topups[0];
+  if (topup.status === 'paid') return true;
+
+  await postWalletEntry(connection, topup.user_id, {
+    entryType: 'topup',
+    amount: topup.amount,
+    reference: paymentId,
+    note: 'Wallet top-up via Razorpay'
+  });
+
+  await connection.execute(
+    "UPDATE wallet_topups SET status = 'paid', razorpay_payment_id = ?, paid_at = NOW() WHERE topup_id = ?",
+    [paymentId, topup.topup_id]
+  );
+
+  return true;
+}
+
+// Ledger for one calendar month (YYYY-MM) with opening and closing balances
+async function getWalletStatement(userId, month) {
+  const from = `${month}-01`;
+
+  const [opening] = await executeQuery(`
+    SELECT balance_after FROM wallet_transactions
+    WHERE user_id = ? AND created_at < ?
+    ORDER BY created_at DESC, txn_id DESC
+    LIMIT 1
+  `, [userId, from]);
+
+  const entries = await executeQuery(`
+    SELECT txn_id, entry_type, direction, amount, balance_after, order_id, reference, note, created_at
+    FROM wallet_transactions
+    WHERE user_id = ? AND created_at >= ? AND created_at < DATE_ADD(?, INTERVAL 1 MONTH)
+    ORDER BY created_at, txn_id
+  `, [userId, from, from]);
+
+  const openingBalance = opening ? Number(opening.balance_after) : 0;
+  const sumOf = (direction) => round2(entries
+    .filter(e => e.direction === direction)
+    .reduce((sum, e) => sum + Number(e.amount), 0));
+
+  return {
+    month,
+    opening_balance: openingBalance,
+    total_credits: sumOf('credit'),
+    total_debits: sumOf('debit'),
+    closing_balance: entries.length ? Number(entries[entries.length - 1].balance_after) : openingBalance,
+    entries
+  };
+}
+
+// Adjust a wallet outside of an order (admin credit or debit)
+async function adjustWallet(userId, { entryType, amount, note, createdBy }) {
+  const connection = await getConnection();
+
+  try {
+    await connection.beginTransaction();
+    const balance = await postWalletEntry(connection, userId, { entryType, amount, note, createdBy });
+    await connection.commit();
+    return balance;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+module.exports = {
+  postWalletEntry,
+  getWalletBalance,
+  creditWalletTopup,
+  getWalletStatement,
+  adjustWallet
+};
@@ -0,0 +1,123 @@
+const { executeQuery } = require('../config/database');
+
+// Run a query on the transaction connection when there is one, else on the pool
+const runQuery = async (connection, sql, params) => {
+  if (connection) {
+    const [rows] = await connection.execute(sql, params);
+    return rows;
+  }
+  return executeQuery(sql, params);
+};
+
+const zoneError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+function parseList(value) {
+  if (!value) return [];
+  return String(value).split(',').map(v => v.trim()).filter(Boolean);
+}
+
+// Where radius zones are measured from; radius zones never match without it
+function getDairyLocation() {
+  const latitude = parseFloat(process.env.DAIRY_LATITUDE);
+  const longitude = parseFloat(process.env.DAIRY_LONGITUDE);
+  return Number.isFinite(latitude) && Number.isFinite(longitude) ? { latitude, longitude } : null;
+}
+
+// Great-circle distance in km between two points
+function distanceKm(from, to) {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Zone row with numbers and lists in the shape the API returns
+function formatZone(zone) {
+  return {
+    zone_id: zone.zone_id,
+    name: zone.name,
+    zone_type: zone.zone_type,
+    pincodes: parseList(zone.pincodes),
+    radius_km: zone.radius_km === null ? null : Number(zone.radius_km),
+    min_order_value: Number(zone.min_order_value),
+    delivery_charge: Number(zone.delivery_charge),
+    free_delivery_above: zone.free_delivery_above === null ? null : Number(zone.free_delivery_above),
+    delivery_days: parseList(zone.delivery_days).map(Number),
+    is_active: Boolean(zone.is_active)
+  };
+}
+
+// The zone covering an address. Pincode zones win over radius zones; among
+// radius zones the smallest one containing the address wins. Returns
+// { zone, configured } where configured is false when no zones are set up
+// yet (every address is then served free of charge).
+async function findZone({ pincode, latitude, longitude }, connection = null) {
+  const zones = (await runQuery(connection, 'SELECT * FROM delivery_zones WHERE is_active = true', []))
+    .map(formatZone);
+
+  if (!zones.length) return { zone: null, configured: false };
+
+  const byPincode = pincode
+    ? zones.find(zone => zone.zone_type === 'pincodes' && zone.pincodes.includes(String(pincode)))
+    : null;
+  if (byPincode) return { zone: byPincode, configured: true };
+
+  const dairy = getDairyLocation();
+  if (dairy && latitude !== null && latitude !== undefined && longitude !== null && longitude !== undefined) {
+    const distance = distanceKm(dairy, { latitude: Number(latitude), longitude: Number(longitude) });
+    const byRadius = zones
+      .filter(zone => zone.zone_type === 'radius' && distance <= zone.radius_km)
+      .sort((a, b) => a.radius_km - b.radius_km)[0];
+    if (byRadius) return { zone: { ...byRadius, distance_km: round2(distance) }, configured: true };
+  }
+
+  return { zone: null, configured: true };
+}
+
+// Delivery charge for an order value in a zone (0 at or above the free threshold)
+function deliveryChargeFor(zone, orderValue) {
+  if (!zone) return 0;
+  if (zone.free_delivery_above !== null && orderValue >= zone.free_delivery_above) return 0;
+  return zone.delivery_charge;
+}
+
+// Check an address can take an order of orderValue (after discounts) on
+// deliveryDate and work out the delivery charge. Throws an error with status
+// 400 when it cannot. Returns { zone, delivery_charge }.
+async function quoteDelivery(address, { orderValue, deliveryDate } = {}, connection = null) {
+  const { zone, configured } = await findZone(address, connection);
+
+  if (!configured) return { zone: null, delivery_charge: 0 };
+  if (!zone) throw zoneError('Sorry, we do not deliver to this address yet');
+
+  if (orderValue < zone.min_order_value) {
+    throw zoneError(`Minimum order value for ${zone.name} is Rs. ${zone.min_order_value.toFixed(2)}`);
+  }
+
+  if (deliveryDate && zone.delivery_days.length) {
+    const weekday = new Date(deliveryDate).getDay();
+    if (!zone.delivery_days.includes(weekday)) {
+      throw zoneError(`We deliver to ${zone.name} only on ${zone.delivery_days.map(day => WEEKDAY_NAMES[day]).join(', ')}`);
+    }
+  }
+
+  return { zone, delivery_charge: deliveryChargeFor(zone, orderValue) };
+}
+
+module.exports = {
+  WEEKDAY_NAMES,
+  formatZone,
+  findZone,
+  deliveryChargeFor,
+  quoteDelivery
+};